@@ -5,9 +5,16 @@ const fetch = globalThis.fetch || (async (...args) =>
 const express = require('express');
 const cors = require('cors');
 const { Pool } = require('pg');
-const { createHash } = require('crypto');
+const { createHash, createHmac, randomBytes, randomUUID, scrypt, timingSafeEqual } = require('crypto');
+const fs = require('fs');
+const dns = require('dns');
+const net = require('net');
+const path = require('path');
 
 const isProduction = process.env.NODE_ENV === 'production';
+// Commandes CLI (node server.js evaluate | grant-admin <email>) : pas de serveur HTTP
+const CLI_COMMANDS = ['evaluate', 'grant-admin'];
+const cliCommand = CLI_COMMANDS.includes(process.argv[2]) ? process.argv[2] : null;
 const startupWarnings = [];
 
 let chalkModule = null;
@@ -27,11 +34,16 @@ try {
     startupWarnings.push('express-rate-limit non disponible — utilisation d\'un limiteur interne.');
     rateLimit = (options = {}) => {
         const windowMs = options.windowMs || 60 * 1000;
-        const max = options.max || 30;
         const hits = new Map();
         return (req, res, next) => {
+            if (typeof options.skip === 'function' && options.skip(req, res)) {
+                return next();
+            }
             const now = Date.now();
-            const key = req.ip || req.headers['x-forwarded-for'] || req.connection?.remoteAddress || 'global';
+            const max = typeof options.max === 'function' ? options.max(req, res) : (options.max || 30);
+            const key = typeof options.keyGenerator === 'function'
+                ? options.keyGenerator(req, res)
+                : req.ip || req.headers['x-forwarded-for'] || req.connection?.remoteAddress || 'global';
             const record = hits.get(key) || { count: 0, reset: now + windowMs };
             if (now >= record.reset) {
                 record.count = 0;
@@ -43,6 +55,12 @@ try {
                 res.status(429).json({ error: 'Too many requests' });
                 return;
             }
+            if (options.skipSuccessfulRequests) {
+                const wasSuccessful = options.requestWasSuccessful || ((request, response) => response.statusCode < 400);
+                res.on('finish', () => {
+                    if (wasSuccessful(req, res) && record.count > 0) record.count -= 1;
+                });
+            }
             next();
         };
     };
@@ -107,6 +125,55 @@ try {
     };
 }
 
+let undiciModule = null;
+try {
+    undiciModule = require('undici');
+} catch (err) {
+    startupWarnings.push('undici non disponible — récupération des pages sources désactivée.');
+}
+
+let cheerioModule = null;
+try {
+    cheerioModule = require('cheerio');
+} catch (err) {
+    startupWarnings.push('cheerio non disponible — analyse des pages sources désactivée.');
+}
+
+let multerModule = null;
+try {
+    multerModule = require('multer');
+} catch (err) {
+    startupWarnings.push('multer non disponible — vérification de documents désactivée.');
+}
+
+let pdfParseModule = null;
+try {
+    pdfParseModule = require('pdf-parse');
+} catch (err) {
+    startupWarnings.push('pdf-parse non disponible — seuls les fichiers texte/markdown sont acceptés.');
+}
+
+let bcryptModule = null;
+try {
+    bcryptModule = require('bcrypt');
+} catch (err) {
+    startupWarnings.push('bcrypt non disponible — hachage scrypt natif pour les identifiants.');
+}
+
+let stripeModule = null;
+try {
+    stripeModule = require('stripe');
+} catch (err) {
+    startupWarnings.push('stripe non disponible — abonnements désactivés.');
+}
+
+let nodeScheduleModule = null;
+try {
+    nodeScheduleModule = require('node-schedule');
+} catch (err) {
+    startupWarnings.push('node-schedule non disponible — surveillance des affirmations désactivée.');
+}
+
 const stringSimilarity = stringSimilarityModule;
 const NodeCache = NodeCacheModule;
 
@@ -119,7 +186,7 @@ const colorize = (color, message) => {
 };
 
 const logInfo = (message) => {
-    if (!isProduction) {
+    if (!isProduction && !cliCommand) {
         console.log(colorize('cyan', message));
     }
 };
@@ -139,6 +206,14 @@ const logError = (message, error) => {
 
 startupWarnings.forEach(message => logWarn(message));
 
+// franc est un module ESM : chargement asynchrone, détection par mots-outils en attendant
+let francDetect = null;
+const francLoading = import('franc')
+    .then(module => {
+        francDetect = module.franc;
+    })
+    .catch(() => logWarn('franc non disponible — détection de langue par mots-outils.'));
+
 const app = express();
 
 const CACHE_TTL_SECONDS = 300;
@@ -206,6 +281,13 @@ const MAX_TEXT_LENGTH = 10_000;
 const MAX_RESPONSE_BYTES = 1024 * 1024; // 1MB
 const FETCH_TIMEOUT_MS = 7000;
 const MAX_API_DELAY_MS = 200;
+const MAX_DOCUMENT_BYTES = 15 * 1024 * 1024;
+const MAX_DOCUMENT_SECTIONS = 20;
+const PAGE_FETCH_ENABLED = process.env.FETCH_SOURCE_PAGES === 'true';
+const PAGE_FETCH_TIMEOUT_MS = 5000;
+const MAX_PAGE_BYTES = 1.5 * 1024 * 1024;
+const MAX_ENRICHED_PAGES = 5;
+const PAGE_CACHE_TTL_SECONDS = 900;
 
 // Configuration CORS
 const allowedOrigins = [
@@ -241,15 +323,43 @@ app.use(cors({
     credentials: true
 }));
 
+// Limite par compte pour les appels authentifiés, par IP pour les appels anonymes
 const limiter = rateLimit({
     windowMs: 60 * 1000,
-    max: 30,
+    max: (req) => (req.account ? ACCOUNT_RATE_LIMIT_PER_MINUTE : 30),
+    keyGenerator: (req) => (req.account ? `user:${req.account.userId}` : (req.ip || 'global')),
+    // Les webhooks Stripe sont authentifiés par leur signature
+    skip: (req) => req.path === '/billing/webhook',
+    standardHeaders: true,
+    legacyHeaders: false
+});
+
+// Clés refusées par IP, avant toute recherche en base : seules les réponses 401 sont décomptées
+const AUTH_FAILURE_WINDOW_MS = 15 * 60 * 1000;
+const AUTH_FAILURES_PER_WINDOW = 20;
+const authFailureLimiter = rateLimit({
+    windowMs: AUTH_FAILURE_WINDOW_MS,
+    max: AUTH_FAILURES_PER_WINDOW,
+    keyGenerator: (req) => req.ip || 'global',
+    skip: (req) => !extractApiKeyFromRequest(req),
+    skipSuccessfulRequests: true,
+    requestWasSuccessful: (req, res) => res.statusCode !== 401,
     standardHeaders: true,
     legacyHeaders: false
 });
 
+app.use(authFailureLimiter);
+app.use((req, res, next) => authenticate(req, res, next));
 app.use(limiter);
-app.use(express.json({ limit: '5mb' }));
+app.use(express.json({
+    limit: '5mb',
+    // Corps brut conservé pour la vérification de signature des webhooks Stripe
+    verify: (req, res, buffer) => {
+        if (req.originalUrl === '/billing/webhook') {
+            req.rawBody = buffer;
+        }
+    }
+}));
 
 app.use((req, res, next) => {
     metrics.totalRequests += 1;
@@ -264,1106 +374,7755 @@ const pool = process.env.DATABASE_URL
     })
   : null;
 
-// ========== SYSTÈME DE FACT-CHECKING AMÉLIORÉ ET FIABLE ==========
+// ========== COMPTES UTILISATEURS ET CLÉS API ==========
+// Clés au format "vai_<préfixe>_<secret>" : le préfixe sert à retrouver la clé, seul le hash bcrypt du secret est stocké.
+
+const ACCOUNT_RATE_LIMIT_PER_MINUTE = 120;
+const BCRYPT_ROUNDS = 10;
+const API_KEY_CACHE_TTL_SECONDS = 60;
+const SESSION_KEY_TTL_HOURS = 24;
+const MAX_SESSION_KEYS_PER_USER = 5;
+const REQUIRE_API_KEY = process.env.REQUIRE_API_KEY === 'true';
+const API_KEY_SCOPES = ['verify', 'jobs', 'feedback', 'account', 'admin'];
+const DEFAULT_API_KEY_SCOPES = ['verify', 'jobs', 'feedback', 'account'];
+
+const apiKeyCache = new NodeCache({ stdTTL: API_KEY_CACHE_TTL_SECONDS, checkperiod: CACHE_CHECK_PERIOD_SECONDS });
+
+// bcrypt si disponible, sinon scrypt natif ("scrypt$sel$hash") — les deux formats sont vérifiables
+const credentialHasher = {
+    async hash(value) {
+        if (bcryptModule) {
+            return bcryptModule.hash(value, BCRYPT_ROUNDS);
+        }
+        const salt = randomBytes(16).toString('hex');
+        const derived = await new Promise((resolve, reject) =>
+            scrypt(value, salt, 64, (err, key) => (err ? reject(err) : resolve(key))));
+        return `scrypt$${salt}$${derived.toString('hex')}`;
+    },
+    async compare(value, hash) {
+        if (!hash) return false;
+        if (hash.startsWith('scrypt$')) {
+            const [, salt, expected] = hash.split('$');
+            const derived = await new Promise((resolve, reject) =>
+                scrypt(value, salt, 64, (err, key) => (err ? reject(err) : resolve(key))));
+            const expectedBuffer = Buffer.from(expected, 'hex');
+            return expectedBuffer.length === derived.length && timingSafeEqual(expectedBuffer, derived);
+        }
+        return bcryptModule ? bcryptModule.compare(value, hash) : false;
+    }
+};
 
-class ImprovedFactChecker {
-    constructor() {
-        this.sourceCredibilityRanks = {
-            tier1: { 
-                domains: ['edu', 'gov', 'who.int', 'nature.com', 'science.org', 'pubmed.ncbi.nlm.nih.gov', 'insee.fr', 'cia.gov', 'worldbank.org'],
-                multiplier: 1.0,
-                description: 'Sources académiques et officielles'
-            },
-            tier2: { 
-                domains: ['reuters.com', 'bbc.com', 'lemonde.fr', 'nytimes.com', 'theguardian.com', 'lefigaro.fr', 'economist.com'],
-                multiplier: 0.85,
-                description: 'Médias avec processus éditorial rigoureux'
-            },
-            tier3: { 
-                domains: ['wikipedia.org', 'britannica.com', 'larousse.fr'],
-                multiplier: 0.75,
-                description: 'Encyclopédies avec vérification communautaire'
-            },
-            tier4: { 
-                domains: ['scholar.google.com', 'jstor.org', 'researchgate.net'],
-                multiplier: 0.9,
-                description: 'Bases de données scientifiques'
-            },
-            unreliable: {
-                domains: ['reddit.com', 'quora.com', 'yahoo.answers', 'answers.com'],
-                multiplier: 0.3,
-                description: 'Sources non éditorialisées'
-            }
-        };
+// Hash factice pour garder un temps de réponse constant quand l'email n'existe pas
+let dummyCredentialHash = null;
 
-        // Contextes pour éviter les fausses contradictions
-        this.contextPatterns = {
-            geographic: {
-                city: /\b(ville|city proper|intra.?muros|centre.?ville|downtown)\b/i,
-                metro: /\b(métropole|metropolitan|agglomération|agglomeration|urban area|greater)\b/i,
-                region: /\b(région|region|area|zone|territoire|territory)\b/i
-            },
-            temporal: {
-                current: /\b(2024|2025|actuellement|currently|now|today)\b/i,
-                historical: /\b(19\d{2}|20[01]\d|historiquement|historically|était|was)\b/i
-            }
-        };
-    }
+function generateApiKey() {
+    const prefix = randomBytes(6).toString('hex');
+    const secret = randomBytes(24).toString('base64url');
+    return { prefix, secret, key: `vai_${prefix}_${secret}` };
+}
 
-    // 1. EXTRACTION DE CLAIMS VÉRIFIABLES
-    extractVerifiableClaims(text) {
-        const claims = [];
-        const cleanText = sanitizeInput(text);
-        
-        // Claims quantitatifs
-        const numberClaims = cleanText.match(/\b\d+([,\.]\d+)?\s*(millions?|milliards?|billions?|%|pour\s*cent|kilomètres?|km|habitants?|années?|ans|dollars?|\$|euros?|€)\b/gi);
-        if (numberClaims) {
-            claims.push(...numberClaims.slice(0, 3).map(claim => ({
-                type: 'QUANTITATIVE',
-                text: claim.trim(),
-                verifiable: true,
-                confidence: 0.9
-            })));
-        }
+function parseApiKey(value) {
+    const match = /^vai_([a-f0-9]{12})_([A-Za-z0-9_-]{20,})$/.exec(value || '');
+    return match ? { prefix: match[1], secret: match[2] } : null;
+}
 
-        // Claims historiques
-        const historicalClaims = cleanText.match(/\b(en|in|depuis|from|until)\s+(19|20)\d{2}.*?(fondé|créé|né|mort|established|founded|born|died|independence|indépendance|guerre|war)\b/gi);
-        if (historicalClaims) {
-            claims.push(...historicalClaims.slice(0, 2).map(claim => ({
-                type: 'HISTORICAL',
-                text: claim.trim(),
-                verifiable: true,
-                confidence: 0.85
-            })));
-        }
+function normalizeScopes(scopes, role) {
+    const allowed = API_KEY_SCOPES.filter(scope => scope !== 'admin' || role === 'admin');
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+        return role === 'admin' ? [...DEFAULT_API_KEY_SCOPES, 'admin'] : [...DEFAULT_API_KEY_SCOPES];
+    }
+    return [...new Set(scopes.filter(scope => allowed.includes(scope)))];
+}
 
-        // Claims géographiques
-        const geoClaims = cleanText.match(/\b(capitale|capital|population|superficie|area|situé|located)\s+(de|of|dans|in)\s+[A-Z][a-zA-ZÀ-ÿ\s]+\b/gi);
-        if (geoClaims) {
-            claims.push(...geoClaims.slice(0, 2).map(claim => ({
-                type: 'GEOGRAPHIC',
-                text: claim.trim(),
-                verifiable: true,
-                confidence: 0.95
-            })));
-        }
+async function issueApiKey(userId, { name, scopes, expiresAt = null, session = false }) {
+    const { prefix, secret, key } = generateApiKey();
+    const keyHash = await credentialHasher.hash(secret);
+    const { rows } = await pool.query(
+        `INSERT INTO api_keys(user_id, name, prefix, key_hash, scopes, expires_at, is_session)
+         VALUES($1, $2, $3, $4, $5, $6, $7)
+         RETURNING id, name, prefix, scopes, created_at, expires_at`,
+        [userId, name, prefix, keyHash, scopes, expiresAt, session]
+    );
+    return { ...formatApiKey(rows[0]), key };
+}
 
-        // Claims scientifiques
-        const sciClaims = cleanText.match(/\b(vitesse.*lumière|point.*ébullition|formule.*chimique|speed.*light|boiling.*point|chemical.*formula|299.*792.*458|température|temperature)\b/gi);
-        if (sciClaims) {
-            claims.push(...sciClaims.slice(0, 2).map(claim => ({
-                type: 'SCIENTIFIC',
-                text: claim.trim(),
-                verifiable: true,
-                confidence: 0.92
-            })));
-        }
+// Avant une connexion : révoque les clés de session expirées et les plus anciennes au-delà de la limite.
+// Elles sont révoquées plutôt que supprimées, leur consommation du quota reste comptée.
+async function pruneSessionKeys(userId) {
+    const { rows } = await pool.query(
+        `UPDATE api_keys SET revoked_at = CURRENT_TIMESTAMP
+         WHERE user_id = $1 AND is_session AND revoked_at IS NULL
+           AND (expires_at <= $3 OR id NOT IN (
+               SELECT id FROM api_keys
+               WHERE user_id = $1 AND is_session AND revoked_at IS NULL AND expires_at > $3
+               ORDER BY created_at DESC, id DESC
+               LIMIT $2))
+         RETURNING id`,
+        [userId, MAX_SESSION_KEYS_PER_USER - 1, new Date().toISOString()]
+    );
+    rows.forEach(row => revokeCachedApiKey(row.id));
+}
 
-        logInfo(`🔍 Claims extraits: ${claims.length}`);
-        return claims;
+// Accorde le rôle admin à un compte existant (commande node server.js grant-admin <email>)
+async function grantAdminRole(email) {
+    const normalizedEmail = typeof email === 'string' ? email.trim().toLowerCase() : '';
+    if (!pool) {
+        throw new Error('DATABASE_URL est requis.');
+    }
+    if (!EMAIL_PATTERN.test(normalizedEmail)) {
+        throw new Error('Usage : node server.js grant-admin <email>');
+    }
+    const { rows } = await pool.query(
+        "UPDATE users SET role = 'admin' WHERE email = $1 RETURNING id, email",
+        [normalizedEmail]
+    );
+    if (!rows[0]) {
+        throw new Error(`Aucun compte pour ${normalizedEmail}.`);
     }
+    return rows[0];
+}
 
-    // 2. ANALYSE DU TYPE DE CONTENU - VERSION AMÉLIORÉE
-    analyzeContentType(text, claims) {
-        const lower = text.toLowerCase();
-        
-        // Opinion subjective
-        const opinionPatterns = [
-            /\b(je pense|je crois|à mon avis|personnellement|subjectivement)\b/i,
-            /\b(i think|i believe|in my opinion|personally|subjectively)\b/i,
-            /\b(meilleur|pire|préfère|favorite|best|worst|better than|worse than)\b/i
-        ];
-        
-        if (opinionPatterns.some(pattern => pattern.test(text))) {
-            return {
-                type: 'OPINION',
-                baseScore: 0.40,
-                reasoning: '**Opinion subjective** (40%) - Point de vue personnel nécessitant d\'autres perspectives.'
-            };
-        }
+function formatApiKey(row) {
+    return {
+        id: row.id,
+        name: row.name,
+        prefix: `vai_${row.prefix}`,
+        scopes: row.scopes,
+        createdAt: row.created_at,
+        lastUsedAt: row.last_used_at || null,
+        expiresAt: row.expires_at || null,
+        revokedAt: row.revoked_at || null
+    };
+}
 
-        // Question directe
-        if (text.length < 300 && (/^(what|how|why|when|where|qui|quoi|comment|pourquoi|quand|où)/i.test(text.trim()) || text.includes('?'))) {
-            return {
-                type: 'QUESTION',
-                baseScore: 0.30,
-                reasoning: '**Question utilisateur** (30%) - Demande d\'information directe.'
-            };
-        }
+function extractApiKeyFromRequest(req) {
+    const header = req.headers.authorization || '';
+    if (/^Bearer\s+/i.test(header)) {
+        return header.replace(/^Bearer\s+/i, '').trim();
+    }
+    return typeof req.headers['x-api-key'] === 'string' ? req.headers['x-api-key'].trim() : null;
+}
 
-        // Faits avec claims vérifiables
-        if (claims.length > 0) {
-            const hasScientific = claims.some(c => c.type === 'SCIENTIFIC');
-            const hasQuantitative = claims.some(c => c.type === 'QUANTITATIVE');
-            const hasHistorical = claims.some(c => c.type === 'HISTORICAL');
-            const hasGeographic = claims.some(c => c.type === 'GEOGRAPHIC');
-            
-            if (hasScientific) {
-                return {
-                    type: 'SCIENTIFIC_FACT',
-                    baseScore: 0.75,
-                    reasoning: '**Fait scientifique** (75%) - Information scientifique établie et vérifiable.'
-                };
-            } else if (hasGeographic) {
-                return {
-                    type: 'GEOGRAPHIC_FACT',
-                    baseScore: 0.70,
-                    reasoning: '**Fait géographique** (70%) - Données géographiques officielles vérifiables.'
-                };
-            } else if (hasQuantitative) {
-                return {
-                    type: 'STATISTICAL_FACT',
-                    baseScore: 0.65,
-                    reasoning: '**Données quantitatives** (65%) - Statistiques mesurables et vérifiables.'
-                };
-            } else if (hasHistorical) {
-                return {
-                    type: 'HISTORICAL_FACT',
-                    baseScore: 0.68,
-                    reasoning: '**Fait historique** (68%) - Information historique documentée.'
-                };
-            }
+async function resolveApiKey(rawKey) {
+    const cacheKey = createHash('sha256').update(rawKey).digest('hex');
+    const cached = apiKeyCache.get(cacheKey);
+    if (cached !== undefined) return cached;
+
+    const parsed = parseApiKey(rawKey);
+    let account = null;
+    if (parsed) {
+        const { rows } = await pool.query(
+            `SELECT k.id AS key_id, k.key_hash, k.scopes, k.expires_at, u.id AS user_id, u.email, u.role
+             FROM api_keys k JOIN users u ON u.id = k.user_id
+             WHERE k.prefix = $1 AND k.revoked_at IS NULL`,
+            [parsed.prefix]
+        );
+        const row = rows[0];
+        const notExpired = row && (!row.expires_at || new Date(row.expires_at).getTime() > Date.now());
+        if (row && notExpired && await credentialHasher.compare(parsed.secret, row.key_hash)) {
+            account = { userId: row.user_id, email: row.email, role: row.role, keyId: row.key_id, scopes: row.scopes };
+            pool.query('UPDATE api_keys SET last_used_at = CURRENT_TIMESTAMP WHERE id = $1', [row.key_id])
+                .catch(error => logError('Erreur mise à jour last_used_at', error.message));
         }
+    }
 
-        // Information générale
-        return {
-            type: 'GENERAL_INFO',
-            baseScore: 0.50,
-            reasoning: '**Information générale** (50%) - Contenu informatif standard.'
-        };
+    // Seules les clés valides sont mises en cache : des clés aléatoires ne doivent pas faire grossir le cache
+    if (account) {
+        apiKeyCache.set(cacheKey, account);
     }
+    return account;
+}
 
-    // 3. EXTRACTION DE CONTEXTE DÉTAILLÉ
-    extractDetailedContext(text) {
-        return {
-            geographic: {
-                hasCity: this.contextPatterns.geographic.city.test(text),
-                hasMetro: this.contextPatterns.geographic.metro.test(text),
-                hasRegion: this.contextPatterns.geographic.region.test(text)
-            },
-            temporal: {
-                isCurrent: this.contextPatterns.temporal.current.test(text),
-                isHistorical: this.contextPatterns.temporal.historical.test(text)
-            },
-            measurement: {
-                hasTotal: /\b(total|ensemble|including|avec|with)\b/i.test(text),
-                hasPartial: /\b(seulement|only|just|environ|approximately|about)\b/i.test(text)
-            }
-        };
+// Attache req.account quand une clé valide est fournie ; une clé invalide est refusée
+async function authenticate(req, res, next) {
+    const rawKey = extractApiKeyFromRequest(req);
+    if (!rawKey) {
+        req.account = null;
+        return next();
     }
 
-    // 4. VÉRIFICATION DE CONTEXTES COMPLÉMENTAIRES
-    areComplementaryContexts(context1, context2) {
-        // Ville vs Métropole = complémentaires
-        if ((context1.geographic.hasCity && context2.geographic.hasMetro) ||
-            (context1.geographic.hasMetro && context2.geographic.hasCity)) {
-            return true;
-        }
+    if (!pool) {
+        res.status(503);
+        return sendSafeJson(res, { error: 'Authentication requires a configured database.' });
+    }
 
-        // Données historiques vs actuelles = complémentaires
-        if ((context1.temporal.isCurrent && context2.temporal.isHistorical) ||
-            (context1.temporal.isHistorical && context2.temporal.isCurrent)) {
-            return true;
+    try {
+        req.account = await resolveApiKey(rawKey);
+        if (!req.account) {
+            res.status(401);
+            return sendSafeJson(res, { error: 'Invalid or revoked API key.' });
         }
+        return next();
+    } catch (error) {
+        logError('❌ Erreur authentification', error.message);
+        res.status(503);
+        return sendSafeJson(res, { error: 'Authentication temporarily unavailable.' });
+    }
+}
 
-        // Total vs partiel = complémentaires
-        if ((context1.measurement.hasTotal && context2.measurement.hasPartial) ||
-            (context1.measurement.hasPartial && context2.measurement.hasTotal)) {
-            return true;
+// Scope exigé pour un appel authentifié ; les appels anonymes passent sauf si REQUIRE_API_KEY=true
+function requireScope(scope, { allowAnonymous = true } = {}) {
+    return (req, res, next) => {
+        if (!req.account) {
+            if (allowAnonymous && !REQUIRE_API_KEY) return next();
+            res.status(401);
+            return sendSafeJson(res, { error: 'API key required.' });
+        }
+        if (!req.account.scopes.includes(scope)) {
+            res.status(403);
+            return sendSafeJson(res, { error: `API key is missing the "${scope}" scope.` });
         }
+        return next();
+    };
+}
 
-        return false;
+function revokeCachedApiKey(keyId) {
+    const keys = typeof apiKeyCache.keys === 'function' ? apiKeyCache.keys() : [];
+    for (const cacheKey of keys) {
+        const account = apiKeyCache.get(cacheKey);
+        if (account && account.keyId === keyId) {
+            apiKeyCache.del(cacheKey);
+        }
     }
+}
+
+// ========== ABONNEMENTS ET QUOTAS ==========
+// Quota mensuel de vérifications par compte, décompté pour chaque clé API ; les plans payants passent par Stripe Checkout.
+// Les appels anonymes ont leur propre quota par adresse IP : retirer sa clé ne contourne pas un quota épuisé.
+
+const BILLING_PLANS = {
+    free: { name: 'Free', monthlyQuota: 100, priceId: null },
+    pro: { name: 'Pro', monthlyQuota: 5000, priceId: process.env.STRIPE_PRICE_PRO || null },
+    team: { name: 'Team', monthlyQuota: 50000, priceId: process.env.STRIPE_PRICE_TEAM || null }
+};
+const ACTIVE_SUBSCRIPTION_STATUSES = new Set(['active', 'trialing']);
+const ANONYMOUS_MONTHLY_QUOTA = Math.max(0, Number.parseInt(process.env.ANONYMOUS_MONTHLY_QUOTA, 10) || 20);
+const STRIPE_WEBHOOK_SECRET = process.env.STRIPE_WEBHOOK_SECRET || '';
 
-    // 5. EXTRACTION DE NOMBRES AVEC CONTEXTE
-    extractNumbersWithContext(text) {
-        const numberMatches = text.match(/\b\d+([,\.]\d+)?\b/g) || [];
-        return numberMatches.map(match => ({
-            value: parseFloat(match.replace(',', '.')),
-            context: this.extractDetailedContext(text)
-        }));
+// STRIPE_API_BASE permet de viser stripe-mock (ex. http://localhost:12111)
+const createStripeClient = () => {
+    if (!stripeModule || !process.env.STRIPE_SECRET_KEY) {
+        return null;
+    }
+    const config = { maxNetworkRetries: 1, timeout: FETCH_TIMEOUT_MS };
+    if (process.env.STRIPE_API_BASE) {
+        const base = new URL(process.env.STRIPE_API_BASE);
+        config.protocol = base.protocol.replace(':', '');
+        config.host = base.hostname;
+        config.port = Number(base.port) || (config.protocol === 'https' ? 443 : 80);
     }
+    return stripeModule(process.env.STRIPE_SECRET_KEY, config);
+};
 
-    // 6. DÉTECTION DE CONTRADICTIONS INTELLIGENTE
-    detectIntelligentContradiction(text1, text2) {
-        const context1 = this.extractDetailedContext(text1);
-        const context2 = this.extractDetailedContext(text2);
-        
-        // Si contextes complémentaires, pas de contradiction
-        if (this.areComplementaryContexts(context1, context2)) {
-            return { 
-                detected: false, 
-                details: { 
-                    reason: 'Contextes complémentaires',
-                    context1: context1,
-                    context2: context2
-                }
-            };
-        }
+const stripe = createStripeClient();
 
-        const nums1 = this.extractNumbersWithContext(text1);
-        const nums2 = this.extractNumbersWithContext(text2);
+function currentUsagePeriod(date = new Date()) {
+    return date.toISOString().slice(0, 7);
+}
 
-        if (nums1.length === 0 || nums2.length === 0) {
-            return { detected: false, details: null };
-        }
+function nextUsagePeriodStart(date = new Date()) {
+    return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1)).toISOString();
+}
 
-        // Comparaison intelligente
-        for (const num1 of nums1) {
-            for (const num2 of nums2) {
-                if (num1.value > 0 && Math.abs(num1.value - num2.value) / num1.value > 0.5) {
-                    if (this.isTrueContradiction(num1, num2, context1, context2)) {
-                        return {
-                            detected: true,
-                            details: { 
-                                original: num1.value, 
-                                source: num2.value, 
-                                difference: Math.abs(num1.value - num2.value) / num1.value,
-                                reason: 'Contradiction numérique significative'
-                            }
-                        };
-                    }
-                }
-            }
+function planForPriceId(priceId) {
+    return Object.keys(BILLING_PLANS).find(plan => priceId && BILLING_PLANS[plan].priceId === priceId) || null;
+}
+
+async function getAccountSubscription(userId) {
+    const { rows } = await pool.query('SELECT * FROM subscriptions WHERE user_id = $1', [userId]);
+    const row = rows[0];
+    const active = row && ACTIVE_SUBSCRIPTION_STATUSES.has(row.status) && BILLING_PLANS[row.plan];
+    return {
+        plan: active ? row.plan : 'free',
+        status: row ? row.status : 'none',
+        currentPeriodEnd: row ? row.current_period_end : null,
+        stripeCustomerId: row ? row.stripe_customer_id : null
+    };
+}
+
+async function getAccountQuota(userId) {
+    const { plan } = await getAccountSubscription(userId);
+    return { plan, limit: BILLING_PLANS[plan].monthlyQuota };
+}
+
+async function getAccountUsage(userId, period) {
+    const { rows } = await pool.query('SELECT count FROM quota_usage WHERE subject = $1 AND period = $2', [`user:${userId}`, period]);
+    return rows[0] ? rows[0].count : 0;
+}
+
+async function recordApiKeyUsage(keyId, period, units = 1) {
+    await pool.query(
+        `INSERT INTO api_key_usage(api_key_id, period, count) VALUES($1, $2, $3)
+         ON CONFLICT (api_key_id, period) DO UPDATE SET count = api_key_usage.count + EXCLUDED.count`,
+        [keyId, period, units]
+    );
+}
+
+// Compteurs anonymes en mémoire quand la base n'est pas configurée (remis à zéro à chaque période)
+const memoryQuotaUsage = { period: null, counts: new Map() };
+
+// Réserve une unité de quota par une mise à jour conditionnelle (count < limite) : renvoie le compteur, ou null si épuisé
+async function reserveQuota(subject, period, limit) {
+    if (!pool) {
+        if (memoryQuotaUsage.period !== period) {
+            memoryQuotaUsage.period = period;
+            memoryQuotaUsage.counts.clear();
         }
+        const used = memoryQuotaUsage.counts.get(subject) || 0;
+        if (used >= limit) return null;
+        memoryQuotaUsage.counts.set(subject, used + 1);
+        return used + 1;
+    }
+    if (limit <= 0) return null;
+    const increment = () => pool.query(
+        'UPDATE quota_usage SET count = count + 1 WHERE subject = $1 AND period = $2 AND count < $3 RETURNING count',
+        [subject, period, limit]
+    );
+    let { rows } = await increment();
+    if (rows[0]) return rows[0].count;
+
+    // Première requête de la période ; si une requête concurrente crée la ligne entre-temps, nouvel essai conditionnel
+    ({ rows } = await pool.query(
+        `INSERT INTO quota_usage(subject, period, count)
+         SELECT $1, $2, 1 WHERE NOT EXISTS (SELECT 1 FROM quota_usage WHERE subject = $1 AND period = $2)
+         ON CONFLICT (subject, period) DO NOTHING
+         RETURNING count`,
+        [subject, period]
+    ));
+    if (rows[0]) return rows[0].count;
+    ({ rows } = await increment());
+    return rows[0] ? rows[0].count : null;
+}
 
-        return { detected: false, details: null };
+// Rend les unités réservées par une requête refusée
+async function releaseQuota(subject, period, units = 1) {
+    if (!pool) {
+        const used = memoryQuotaUsage.period === period ? memoryQuotaUsage.counts.get(subject) || 0 : 0;
+        if (used > 0) memoryQuotaUsage.counts.set(subject, Math.max(0, used - units));
+        return;
     }
+    await pool.query('UPDATE quota_usage SET count = GREATEST(count - $3::int, 0) WHERE subject = $1 AND period = $2 AND count > 0', [subject, period, units]);
+}
 
-    // 7. VÉRIFICATION DE VRAIE CONTRADICTION
-    isTrueContradiction(num1, num2, context1, context2) {
-        if (JSON.stringify(context1) === JSON.stringify(context2)) {
-            return true;
-        }
-        
-        if (this.areComplementaryContexts(context1, context2)) {
-            return false;
+// Réserve le quota avant l'exécution (402 s'il est épuisé) et le rend si la réponse est une erreur (4xx, 5xx) :
+// seules les requêtes acceptées consomment le quota. Sans clé, le quota anonyme s'applique par adresse IP.
+async function enforceQuota(req, res, next) {
+    try {
+        const period = currentUsagePeriod();
+        let plan = null;
+        let limit = ANONYMOUS_MONTHLY_QUOTA;
+        let subject = `ip:${createHash('sha256').update(req.ip || 'unknown').digest('hex').substring(0, 32)}`;
+        if (req.account) {
+            ({ plan, limit } = await getAccountQuota(req.account.userId));
+            subject = `user:${req.account.userId}`;
         }
-        
-        return Math.abs(num1.value - num2.value) / num1.value > 3.0;
-    }
 
-    // 8. ÉVALUATION DE LA QUALITÉ DES SOURCES
-    evaluateSourceQuality(sources) {
-        if (sources.length === 0) {
-            return {
-                impact: -0.10,
-                confidence: 0,
-                reasoning: 'Aucune source de vérification trouvée (-10%).'
-            };
+        const used = await reserveQuota(subject, period, limit);
+        if (used === null) {
+            res.status(402);
+            return sendSafeJson(res, {
+                error: req.account ? 'Monthly verification quota exhausted.' : 'Anonymous monthly verification quota exhausted.',
+                quota: { plan: plan || 'anonymous', limit, used: limit, remaining: 0, period, resetsAt: nextUsagePeriodStart() },
+                upgradeUrl: req.account ? '/billing/checkout' : '/auth/signup'
+            });
         }
 
-        let qualityScore = 0;
-        let supportingHigh = sources.filter(s => s.actuallySupports && s.credibilityMultiplier > 0.8).length;
-        let supportingAny = sources.filter(s => s.actuallySupports).length;
-        let contradictingHigh = sources.filter(s => s.contradicts && s.credibilityMultiplier > 0.8).length;
+        const account = req.account;
+        const quota = { subject, period, limit, units: 1 };
+        req.quota = quota;
+        res.on('close', () => {
+            const settle = res.statusCode >= 400
+                ? releaseQuota(subject, period, quota.units)
+                : (account ? recordApiKeyUsage(account.keyId, period, quota.units) : Promise.resolve());
+            settle.catch(error => logError('❌ Erreur enregistrement quota', error.message));
+        });
+        res.set({ 'X-Quota-Limit': String(limit), 'X-Quota-Remaining': String(Math.max(0, limit - used)) });
+        return next();
+    } catch (error) {
+        // Quota invérifiable : refus plutôt qu'un accès illimité
+        logError('❌ Erreur quota', error.message);
+        res.status(503);
+        return sendSafeJson(res, { error: 'Quota check temporarily unavailable.' });
+    }
+}
 
-        // Bonus pour sources de support
-        if (supportingHigh > 0) {
-            qualityScore += supportingHigh * 0.15;
-        } else if (supportingAny > 0) {
-            qualityScore += supportingAny * 0.08;
-        }
+// Unité supplémentaire pour une requête déjà admise par enforceQuota (ex. chaque section d'un document au-delà
+// de la première) : false si le quota est épuisé. Elle est rendue avec les autres si la réponse est une erreur.
+async function reserveExtraQuota(req, res) {
+    const { subject, period, limit } = req.quota;
+    const used = await reserveQuota(subject, period, limit);
+    if (used === null) return false;
+    req.quota.units += 1;
+    res.set('X-Quota-Remaining', String(Math.max(0, limit - used)));
+    return true;
+}
 
-        // Pénalité pour vraies contradictions seulement
-        if (contradictingHigh > 0) {
-            qualityScore -= contradictingHigh * 0.08;
-        }
+async function upsertSubscription({ userId, plan, status, customerId = null, subscriptionId = null, currentPeriodEnd = null }) {
+    await pool.query(
+        `INSERT INTO subscriptions(user_id, plan, status, stripe_customer_id, stripe_subscription_id, current_period_end, updated_at)
+         VALUES($1, $2, $3, $4, $5, $6, CURRENT_TIMESTAMP)
+         ON CONFLICT (user_id) DO UPDATE SET
+            plan = EXCLUDED.plan,
+            status = EXCLUDED.status,
+            stripe_customer_id = COALESCE(EXCLUDED.stripe_customer_id, subscriptions.stripe_customer_id),
+            stripe_subscription_id = COALESCE(EXCLUDED.stripe_subscription_id, subscriptions.stripe_subscription_id),
+            current_period_end = COALESCE(EXCLUDED.current_period_end, subscriptions.current_period_end),
+            updated_at = CURRENT_TIMESTAMP`,
+        [userId, plan, status, customerId, subscriptionId, currentPeriodEnd]
+    );
+}
 
-        // Bonus progressif pour sources multiples
-        if (sources.length >= 3) {
-            qualityScore += 0.05;
-        }
+async function findSubscriptionOwner(subscriptionId) {
+    if (!subscriptionId) return null;
+    const { rows } = await pool.query('SELECT user_id, plan FROM subscriptions WHERE stripe_subscription_id = $1', [subscriptionId]);
+    return rows[0] || null;
+}
 
-        // Bonus spécial pour sources très fiables
-        const tier1Sources = sources.filter(s => s.credibilityMultiplier === 1.0).length;
-        if (tier1Sources > 0) {
-            qualityScore += tier1Sources * 0.08;
+// Met à jour l'état d'abonnement à partir d'un événement Stripe déjà authentifié
+async function applyStripeEvent(event) {
+    const object = event.data?.object || {};
+
+    switch (event.type) {
+        case 'checkout.session.completed': {
+            const userId = Number.parseInt(object.client_reference_id || object.metadata?.userId, 10);
+            const plan = object.metadata?.plan;
+            if (!Number.isInteger(userId) || !BILLING_PLANS[plan]) return false;
+            await upsertSubscription({
+                userId,
+                plan,
+                status: 'active',
+                customerId: object.customer || null,
+                subscriptionId: object.subscription || null
+            });
+            return true;
         }
-
-        let reasoning = `Sources analysées: ${supportingAny} confirment`;
-        if (contradictingHigh > 0) {
-            reasoning += `, ${contradictingHigh} contredisent vraiment`;
+        case 'customer.subscription.created':
+        case 'customer.subscription.updated':
+        case 'customer.subscription.deleted': {
+            const owner = await findSubscriptionOwner(object.id);
+            const userId = Number.parseInt(object.metadata?.userId, 10) || owner?.user_id;
+            if (!userId) return false;
+            const deleted = event.type === 'customer.subscription.deleted';
+            const plan = planForPriceId(object.items?.data?.[0]?.price?.id)
+                || (BILLING_PLANS[object.metadata?.plan] ? object.metadata.plan : null)
+                || owner?.plan
+                || 'free';
+            await upsertSubscription({
+                userId,
+                plan: deleted ? 'free' : plan,
+                status: deleted ? 'canceled' : object.status,
+                customerId: object.customer || null,
+                subscriptionId: object.id,
+                currentPeriodEnd: object.current_period_end ? new Date(object.current_period_end * 1000).toISOString() : null
+            });
+            return true;
         }
-        if (supportingHigh > 0) {
-            reasoning += `. ${supportingHigh} sources très fiables confirment (+${supportingHigh * 15}%).`;
+        case 'invoice.payment_failed': {
+            const result = await pool.query(
+                `UPDATE subscriptions SET status = 'past_due', updated_at = CURRENT_TIMESTAMP WHERE stripe_subscription_id = $1`,
+                [object.subscription]
+            );
+            return result.rowCount > 0;
         }
-
-        return {
-            impact: Math.max(-0.15, Math.min(0.30, qualityScore)),
-            confidence: Math.min(0.4, sources.length * 0.1),
-            reasoning
-        };
+        default:
+            return false;
     }
+}
 
-    // 9. ÉVALUATION DU CONSENSUS
-    evaluateConsensus(sources) {
-        if (sources.length < 2) {
-            return { bonus: 0, confidence: 0, reasoning: '' };
-        }
-
-        const supporting = sources.filter(s => s.actuallySupports).length;
-        const contradicting = sources.filter(s => s.contradicts).length;
-        const total = sources.length;
+// ========== PROFILS LINGUISTIQUES ==========
+// Vocabulaire par langue utilisé pour construire les motifs de claims, de contexte, d'opinion et de question,
+// ainsi que l'analyse des quantités (séparateur décimal, mots de grandeur, noms dénombrables), la détection de
+// position (négations, réfutations, paires d'antonymes), les requêtes de recherche (mots de liaison, domaines nationaux)
+// la détection des références citées ("Source :", "selon"), les faits structurés (propriétés vérifiables dans
+// une base de connaissances, comparaisons "plus de", "environ") et les expressions de temps ("l'an dernier",
+// "depuis", "il y a N ans" : N marque le nombre).
+// Les fragments sont des morceaux de regex (insensibles à la casse).
+
+const DEFAULT_LANGUAGE = 'fr';
+
+const LANGUAGE_PROFILES = {
+    fr: {
+        iso6393: 'fra',
+        name: 'French',
+        stopWords: ['le', 'la', 'les', 'un', 'une', 'des', 'du', 'de', 'et', 'ou', 'mais', 'dans', 'sur', 'pour', 'avec', 'par', 'est', 'sont', 'qui', 'que', 'ce', 'cette', 'ces', 'il', 'elle', 'au', 'aux', 'en', 'pas', 'plus'],
+        quantityUnits: ['millions?', 'milliards?', 'billions?', '%', 'pour\\s*cent', 'kilomètres?', 'km', 'habitants?', 'années?', 'ans', 'dollars?', '\\$', 'euros?', '€'],
+        decimalSeparator: ',',
+        magnitudeWords: { 'milliers?': 1e3, 'mille': 1e3, 'millions?': 1e6, 'milliards?': 1e9, 'billions?': 1e12 },
+        countNouns: ['habitants?', 'personnes?', 'individus?', 'résidents?', 'âmes', 'visiteurs?', 'victimes?', 'morts', 'salariés?', 'employés?', 'élèves', 'étudiants?'],
+        negationWords: ['pas', 'jamais', 'aucune?', 'nullement', 'ni', 'non', 'n[\'’]\\p{L}+\\s+plus', 'ne\\s+\\p{L}+\\s+plus'],
+        negationExceptions: ['non\\s+seulement', 'pas\\s+seulement', 'pas\\s+uniquement', 'pas\\s+moins\\s+de'],
+        refutationWords: ['faux', 'fausse', 'inexacte?', 'erronée?', 'démentie?', 'infox', 'intox', 'canular', 'rumeur'],
+        antonymPairs: [['augment\\p{L}*', 'diminu\\p{L}*'], ['hausses?', 'baisses?'], ['croissance', 'déclin'], ['supérieure?s?', 'inférieure?s?'], ['majorité', 'minorité'], ['vivante?s?', 'morte?s?'], ['gagnée?s?', 'perdue?s?'], ['victoire', 'défaite'], ['ouverte?s?', 'fermée?s?'], ['légale?s?|légaux', 'illégale?s?|illégaux'], ['autorisée?s?', 'interdite?s?'], ['efficaces?', 'inefficaces?'], ['maximum', 'minimum']],
+        discourseWords: ['selon', 'cependant', 'toutefois', 'pourtant', 'néanmoins', 'ainsi', 'donc', 'aussi', 'enfin', 'notamment', 'effectivement', 'd\'après', 'alors'],
+        countryDomains: ['fr'],
+        citationNouns: ['sources?', 'références?', 'réf\\.'],
+        citationPrepositions: ['selon', 'd[\'’]après'],
+        knowledgeProperties: { capital: ['capitale'], population: ['population', 'habitants?', 'peuplée?'], inception: ['fondée?', 'fondation', 'créée?', 'création'], height: ['altitude', 'culmine', 'hauteur', 'haute?'], area: ['superficie'] },
+        comparisonWords: { above: ['dépasse\\p{L}*', 'plus\\s+de', 'au\\s+moins', 'supérieure?s?\\s+à'], below: ['moins\\s+de', 'inférieure?s?\\s+à'], approximate: ['environ', 'près\\s+de', 'quelque', 'approximativement'] },
+        timeExpressions: { lastYear: ['l[\'’]an\\s+dernier', 'l[\'’]année\\s+(?:dernière|passée)'], thisYear: ['cette\\s+année'], since: ['depuis'], yearsAgo: ['il\\s+y\\s+a\\s+N\\s+ans'] },
+        geoWords: ['capitale', 'population', 'superficie', 'situé', 'située'],
+        geoPrepositions: ['de', 'dans', 'du', 'en'],
+        datePrepositions: ['en', 'depuis', 'jusqu\'en'],
+        historicalEvents: ['fondée?', 'créée?', 'née?', 'morte?', 'indépendance', 'guerre'],
+        scienceTerms: ['vitesse.*lumière', 'point.*ébullition', 'formule.*chimique', 'température'],
+        opinionPhrases: ['je pense', 'je crois', 'à mon avis', 'personnellement', 'subjectivement'],
+        comparativeWords: ['meilleur', 'pire', 'préfère'],
+        questionWords: ['qui', 'quoi', 'comment', 'pourquoi', 'quand', 'où', 'quel', 'quelle'],
+        cityWords: ['ville', 'intra.?muros', 'centre.?ville'],
+        metroWords: ['métropole', 'agglomération'],
+        regionWords: ['région', 'zone', 'territoire'],
+        currentWords: ['actuellement', 'aujourd\'hui'],
+        historicalWords: ['historiquement', 'était']
+    },
+    en: {
+        iso6393: 'eng',
+        name: 'English',
+        stopWords: ['the', 'and', 'or', 'but', 'in', 'on', 'at', 'to', 'for', 'of', 'with', 'by', 'is', 'are', 'was', 'were', 'this', 'that', 'it', 'a', 'an', 'from', 'not'],
+        quantityUnits: ['millions?', 'billions?', '%', 'percent', 'kilometers?', 'km', 'miles?', 'inhabitants', 'people', 'years?', 'dollars?', '\\$'],
+        decimalSeparator: '.',
+        magnitudeWords: { 'thousands?': 1e3, 'millions?': 1e6, 'billions?': 1e9, 'trillions?': 1e12, 'lakhs?': 1e5, 'lacs?': 1e5, 'crores?': 1e7 },
+        countNouns: ['inhabitants?', 'people', 'persons?', 'residents?', 'individuals?', 'visitors?', 'victims?', 'deaths', 'employees?', 'students?'],
+        negationWords: ['not', 'no', 'never', 'none', 'nor', 'neither', 'cannot', '\\p{L}+n[\'’]t', 'no\\s+longer'],
+        negationExceptions: ['not\\s+(?:only|just|least)', 'no\\s+doubt', 'no\\s+(?:less|fewer)\\s+than'],
+        refutationWords: ['false', 'incorrect', 'untrue', 'inaccurate', 'myth', 'debunked', 'hoax', 'misleading'],
+        antonymPairs: [['increas\\p{L}*', 'decreas\\p{L}*'], ['rise[sn]?|rising|rose', 'fall(?:s|en|ing)?|fell'], ['higher', 'lower'], ['majority', 'minority'], ['alive', 'dead'], ['won|wins?', 'lost|loses?'], ['victory', 'defeat'], ['open(?:ed)?', 'closed'], ['legal', 'illegal'], ['allowed|permitted', 'banned|forbidden|prohibited'], ['effective', 'ineffective'], ['safe', 'unsafe|dangerous'], ['maximum', 'minimum']],
+        discourseWords: ['however', 'according', 'although', 'moreover', 'furthermore', 'therefore', 'thus', 'also', 'indeed', 'meanwhile', 'nevertheless', 'notably', 'yet', 'so'],
+        countryDomains: [],
+        citationNouns: ['sources?', 'references?', 'ref\\.'],
+        citationPrepositions: ['according\\s+to', 'as\\s+reported\\s+by'],
+        knowledgeProperties: { capital: ['capital'], population: ['population', 'inhabitants?', 'residents?', 'populous'], inception: ['founded', 'established', 'foundation', 'created'], height: ['elevation', 'altitude', 'high', 'tall', 'height'], area: ['area'] },
+        comparisonWords: { above: ['more\\s+than', 'over', 'exceed\\p{L}*', 'at\\s+least', 'above'], below: ['less\\s+than', 'fewer\\s+than', 'under', 'below'], approximate: ['about', 'around', 'approximately', 'roughly', 'nearly', 'some'] },
+        timeExpressions: { lastYear: ['last\\s+year'], thisYear: ['this\\s+year'], since: ['since'], yearsAgo: ['N\\s+years?\\s+ago'] },
+        geoWords: ['capital', 'population', 'area', 'located'],
+        geoPrepositions: ['of', 'in'],
+        datePrepositions: ['in', 'from', 'until', 'since'],
+        historicalEvents: ['established', 'founded', 'born', 'died', 'independence', 'war'],
+        scienceTerms: ['speed.*light', 'boiling.*point', 'chemical.*formula', '299.*792.*458', 'temperature'],
+        opinionPhrases: ['i think', 'i believe', 'in my opinion', 'personally', 'subjectively'],
+        comparativeWords: ['favorite', 'best', 'worst', 'better than', 'worse than'],
+        questionWords: ['what', 'how', 'why', 'when', 'where', 'who', 'which'],
+        cityWords: ['city proper', 'downtown'],
+        metroWords: ['metropolitan', 'agglomeration', 'urban area', 'greater'],
+        regionWords: ['region', 'area', 'zone', 'territory'],
+        currentWords: ['currently', 'now', 'today'],
+        historicalWords: ['historically', 'was']
+    },
+    es: {
+        iso6393: 'spa',
+        name: 'Spanish',
+        stopWords: ['el', 'la', 'los', 'las', 'un', 'una', 'unos', 'unas', 'de', 'del', 'y', 'o', 'pero', 'en', 'sobre', 'para', 'con', 'por', 'es', 'son', 'que', 'este', 'esta', 'al', 'se', 'no', 'más'],
+        quantityUnits: ['millones', 'millón', 'mil\\s+millones', '%', 'por\\s*ciento', 'kilómetros?', 'km', 'habitantes?', 'años?', 'dólares?', 'euros?', '€', '\\$'],
+        decimalSeparator: ',',
+        magnitudeWords: { 'mil\\s+millones': 1e9, 'millones': 1e6, 'millón': 1e6, 'mil': 1e3 },
+        countNouns: ['habitantes?', 'personas?'],
+        negationWords: ['no', 'nunca', 'jamás', 'ningun[oa]?', 'tampoco', 'ni'],
+        negationExceptions: ['no\\s+s[oó]lo'],
+        refutationWords: ['falso', 'falsa', 'bulo', 'mito'],
+        antonymPairs: [['aument\\p{L}*', 'disminu\\p{L}*'], ['superior', 'inferior'], ['vivos?', 'muertos?']],
+        discourseWords: ['según', 'embargo', 'además', 'aunque', 'también', 'entonces', 'pues'],
+        countryDomains: ['es', 'mx', 'ar'],
+        citationNouns: ['fuentes?', 'referencias?'],
+        citationPrepositions: ['según', 'de\\s+acuerdo\\s+con'],
+        knowledgeProperties: { capital: ['capital'], population: ['población', 'habitantes'], inception: ['fundad[ao]', 'fundación', 'cread[ao]'], height: ['altitud', 'altura', 'alt[ao]'], area: ['superficie'] },
+        comparisonWords: { above: ['más\\s+de', 'supera\\p{L}*', 'al\\s+menos'], below: ['menos\\s+de'], approximate: ['unos', 'unas', 'aproximadamente', 'cerca\\s+de', 'alrededor\\s+de'] },
+        timeExpressions: { lastYear: ['el\\s+año\\s+pasado'], thisYear: ['este\\s+año'], since: ['desde'], yearsAgo: ['hace\\s+N\\s+años'] },
+        geoWords: ['capital', 'población', 'superficie', 'situad[oa]', 'ubicad[oa]'],
+        geoPrepositions: ['de', 'del', 'en'],
+        datePrepositions: ['en', 'desde', 'hasta'],
+        historicalEvents: ['fundad[oa]', 'cread[oa]', 'nació', 'murió', 'independencia', 'guerra'],
+        scienceTerms: ['velocidad.*luz', 'punto.*ebullición', 'fórmula.*química', 'temperatura'],
+        opinionPhrases: ['creo que', 'pienso que', 'en mi opinión', 'personalmente', 'subjetivamente'],
+        comparativeWords: ['mejor', 'peor', 'prefiero'],
+        questionWords: ['qué', 'cómo', 'por qué', 'cuándo', 'dónde', 'quién', 'cuál', '¿'],
+        cityWords: ['ciudad', 'casco urbano'],
+        metroWords: ['área metropolitana', 'metropolitana', 'aglomeración'],
+        regionWords: ['región', 'zona', 'territorio'],
+        currentWords: ['actualmente', 'hoy', 'ahora'],
+        historicalWords: ['históricamente', 'era', 'fue']
+    },
+    de: {
+        iso6393: 'deu',
+        name: 'German',
+        stopWords: ['der', 'die', 'das', 'ein', 'eine', 'und', 'oder', 'aber', 'in', 'auf', 'für', 'mit', 'von', 'zu', 'ist', 'sind', 'den', 'dem', 'des', 'im', 'nicht', 'als', 'auch', 'es'],
+        quantityUnits: ['millionen', 'million', 'milliarden', 'milliarde', '%', 'prozent', 'kilometer', 'km', 'einwohnern?', 'jahren?', 'dollar', 'euro', '€', '\\$'],
+        decimalSeparator: ',',
+        magnitudeWords: { 'tausend': 1e3, 'millionen': 1e6, 'million': 1e6, 'milliarden': 1e9, 'milliarde': 1e9 },
+        countNouns: ['einwohnern?', 'menschen', 'personen'],
+        negationWords: ['nicht', 'kein(?:e|en|em|er|es)?', 'nie', 'niemals', 'weder'],
+        negationExceptions: ['nicht\\s+nur'],
+        refutationWords: ['falsch', 'unwahr', 'mythos'],
+        antonymPairs: [['gestiegen|steigt', 'gesunken|sinkt'], ['höher', 'niedriger'], ['lebendig', 'tot']],
+        discourseWords: ['laut', 'jedoch', 'außerdem', 'dennoch', 'also', 'allerdings', 'zudem'],
+        countryDomains: ['de', 'at'],
+        citationNouns: ['quellen?', 'referenz(?:en)?'],
+        citationPrepositions: ['laut', 'gemäß', 'nach\\s+angaben\\s+(?:von|des|der)'],
+        knowledgeProperties: { capital: ['hauptstadt'], population: ['bevölkerung', 'einwohner(?:zahl|n)?'], inception: ['gegründet', 'gründung'], height: ['höhe', 'hoch'], area: ['fläche'] },
+        comparisonWords: { above: ['mehr\\s+als', 'über', 'mindestens'], below: ['weniger\\s+als', 'unter'], approximate: ['etwa', 'rund', 'ungefähr', 'circa'] },
+        timeExpressions: { lastYear: ['letztes\\s+jahr', 'im\\s+vorjahr'], thisYear: ['dieses\\s+jahr', 'in\\s+diesem\\s+jahr'], since: ['seit'], yearsAgo: ['vor\\s+N\\s+jahren'] },
+        geoWords: ['hauptstadt', 'bevölkerung', 'einwohnerzahl', 'fläche', 'liegt'],
+        geoPrepositions: ['von', 'in', 'im'],
+        geoPrepositionOptional: true,
+        datePrepositions: ['im\\s+jahr(?:e)?', 'seit', 'bis', 'in'],
+        historicalEvents: ['gegründet', 'geboren', 'gestorben', 'unabhängigkeit', 'krieg'],
+        scienceTerms: ['lichtgeschwindigkeit', 'siedepunkt', 'chemische.*formel', 'temperatur'],
+        opinionPhrases: ['ich denke', 'ich glaube', 'meiner meinung nach', 'persönlich', 'subjektiv'],
+        comparativeWords: ['beste', 'schlechteste', 'besser als', 'schlechter als', 'bevorzuge'],
+        questionWords: ['was', 'wie', 'warum', 'wann', 'wo', 'wer', 'welche'],
+        cityWords: ['stadtgebiet', 'innenstadt', 'kernstadt'],
+        metroWords: ['metropolregion', 'ballungsraum', 'großraum'],
+        regionWords: ['region', 'gebiet', 'zone'],
+        currentWords: ['derzeit', 'aktuell', 'heute'],
+        historicalWords: ['historisch', 'war']
+    },
+    it: {
+        iso6393: 'ita',
+        name: 'Italian',
+        stopWords: ['il', 'lo', 'la', 'i', 'gli', 'le', 'un', 'una', 'di', 'del', 'della', 'e', 'o', 'ma', 'in', 'su', 'per', 'con', 'da', 'è', 'sono', 'che', 'questo', 'questa', 'non', 'più'],
+        quantityUnits: ['milioni', 'milione', 'miliardi', 'miliardo', '%', 'per\\s*cento', 'chilometri', 'km', 'abitanti', 'anni', 'dollari', 'euro', '€', '\\$'],
+        decimalSeparator: ',',
+        magnitudeWords: { 'mila': 1e3, 'milioni': 1e6, 'milione': 1e6, 'miliardi': 1e9, 'miliardo': 1e9 },
+        countNouns: ['abitanti', 'persone'],
+        negationWords: ['non', 'mai', 'nessun[oa]?', 'né'],
+        negationExceptions: ['non\\s+solo'],
+        refutationWords: ['falso', 'falsa', 'bufala', 'mito'],
+        antonymPairs: [['aument\\p{L}*', 'diminu\\p{L}*'], ['superiore', 'inferiore'], ['viv[oi]', 'mort[oi]']],
+        discourseWords: ['secondo', 'tuttavia', 'però', 'inoltre', 'quindi', 'anche', 'infatti'],
+        countryDomains: ['it'],
+        citationNouns: ['fonti?', 'riferimenti'],
+        citationPrepositions: ['secondo', 'stando\\s+a'],
+        knowledgeProperties: { capital: ['capitale'], population: ['popolazione', 'abitanti'], inception: ['fondat[ao]', 'fondazione'], height: ['altitudine', 'altezza', 'alt[ao]'], area: ['superficie'] },
+        comparisonWords: { above: ['più\\s+di', 'oltre', 'supera\\p{L}*', 'almeno'], below: ['meno\\s+di'], approximate: ['circa', 'quasi', 'intorno\\s+a'] },
+        timeExpressions: { lastYear: ['l[\'’]anno\\s+scorso'], thisYear: ['quest[\'’]anno'], since: ['dal'], yearsAgo: ['N\\s+anni\\s+fa'] },
+        geoWords: ['capitale', 'popolazione', 'superficie', 'situat[oa]'],
+        geoPrepositions: ['di', 'del', 'della', 'dell\'', 'in'],
+        datePrepositions: ['nel', 'dal', 'fino al', 'in'],
+        historicalEvents: ['fondat[oa]', 'nat[oa]', 'mort[oa]', 'indipendenza', 'guerra'],
+        scienceTerms: ['velocità.*luce', 'punto.*ebollizione', 'formula.*chimica', 'temperatura'],
+        opinionPhrases: ['penso che', 'credo che', 'secondo me', 'a mio parere', 'personalmente'],
+        comparativeWords: ['migliore', 'peggiore', 'preferisco'],
+        questionWords: ['che cosa', 'cosa', 'come', 'perché', 'quando', 'dove', 'chi', 'quale'],
+        cityWords: ['città', 'centro storico'],
+        metroWords: ['area metropolitana', 'città metropolitana', 'agglomerato'],
+        regionWords: ['regione', 'zona', 'territorio'],
+        currentWords: ['attualmente', 'oggi', 'ora'],
+        historicalWords: ['storicamente', 'era', 'fu']
+    },
+    pt: {
+        iso6393: 'por',
+        name: 'Portuguese',
+        stopWords: ['o', 'a', 'os', 'as', 'um', 'uma', 'de', 'do', 'da', 'e', 'ou', 'mas', 'em', 'no', 'na', 'para', 'com', 'por', 'é', 'são', 'que', 'este', 'esta', 'não', 'mais'],
+        quantityUnits: ['milhões', 'milhão', 'bilhões', 'mil\\s+milhões', '%', 'por\\s*cento', 'quil[ôó]metros?', 'km', 'habitantes', 'anos', 'dólares?', 'euros?', 'reais', '€', '\\$'],
+        decimalSeparator: ',',
+        magnitudeWords: { 'mil\\s+milhões': 1e9, 'milhões': 1e6, 'milhão': 1e6, 'bilhões': 1e9, 'bilhão': 1e9, 'mil': 1e3 },
+        countNouns: ['habitantes', 'pessoas'],
+        negationWords: ['não', 'nunca', 'jamais', 'nenhum(?:a)?', 'nem'],
+        negationExceptions: ['não\\s+s[oó]', 'não\\s+apenas'],
+        refutationWords: ['falso', 'falsa', 'boato', 'mito'],
+        antonymPairs: [['aument\\p{L}*', 'diminu\\p{L}*'], ['superior', 'inferior'], ['vivos?', 'mortos?']],
+        discourseWords: ['segundo', 'porém', 'contudo', 'além', 'entretanto', 'portanto', 'também'],
+        countryDomains: ['pt', 'br'],
+        citationNouns: ['fontes?', 'referências?'],
+        citationPrepositions: ['segundo', 'de\\s+acordo\\s+com'],
+        knowledgeProperties: { capital: ['capital'], population: ['população', 'habitantes'], inception: ['fundad[ao]', 'fundação'], height: ['altitude', 'altura', 'alt[ao]'], area: ['área', 'superfície'] },
+        comparisonWords: { above: ['mais\\s+de', 'ultrapassa\\p{L}*', 'pelo\\s+menos'], below: ['menos\\s+de'], approximate: ['cerca\\s+de', 'aproximadamente', 'quase'] },
+        timeExpressions: { lastYear: ['(?:o|no)\\s+ano\\s+passado'], thisYear: ['este\\s+ano', 'neste\\s+ano'], since: ['desde'], yearsAgo: ['há\\s+N\\s+anos'] },
+        geoWords: ['capital', 'população', 'área', 'superfície', 'localizad[oa]', 'situad[oa]'],
+        geoPrepositions: ['de', 'do', 'da', 'em', 'no', 'na'],
+        datePrepositions: ['em', 'desde', 'até'],
+        historicalEvents: ['fundad[oa]', 'criad[oa]', 'nasceu', 'morreu', 'independência', 'guerra'],
+        scienceTerms: ['velocidade.*luz', 'ponto.*ebulição', 'fórmula.*química', 'temperatura'],
+        opinionPhrases: ['eu acho', 'eu acredito', 'na minha opinião', 'pessoalmente', 'subjetivamente'],
+        comparativeWords: ['melhor', 'pior', 'prefiro'],
+        questionWords: ['o que', 'como', 'por que', 'quando', 'onde', 'quem', 'qual'],
+        cityWords: ['cidade', 'centro'],
+        metroWords: ['região metropolitana', 'área metropolitana', 'aglomeração'],
+        regionWords: ['região', 'zona', 'território'],
+        currentWords: ['atualmente', 'hoje', 'agora'],
+        historicalWords: ['historicamente', 'era', 'foi']
+    }
+};
 
-        const supportRatio = supporting / total;
-        const contradictRatio = contradicting / total;
-        
-        let bonus = 0;
-        let reasoning = '';
+// Le français et l'anglais sont toujours combinés (textes mixtes fréquents) ; l'anglais sert de repli aux autres langues
+const LANGUAGE_PATTERN_SOURCES = {
+    fr: ['fr', 'en'],
+    en: ['en', 'fr'],
+    es: ['es', 'en'],
+    de: ['de', 'en'],
+    it: ['it', 'en'],
+    pt: ['pt', 'en']
+};
 
-        if (supportRatio >= 0.8 && supporting >= 2) {
-            bonus = 0.12;
-            reasoning = `Consensus très fort: ${supporting}/${total} sources confirment (+12%).`;
-        } else if (supportRatio >= 0.6 && supporting >= 2) {
-            bonus = 0.08;
-            reasoning = `Bon consensus: ${supporting}/${total} sources confirment (+8%).`;
-        } else if (supportRatio >= 0.4 && supporting >= 1) {
-            bonus = 0.04;
-            reasoning = `Consensus modéré: ${supporting}/${total} sources confirment (+4%).`;
-        } else if (contradictRatio > 0.5) {
-            bonus = -0.06;
-            reasoning = `Contradictions dominantes: ${contradicting}/${total} sources contredisent (-6%).`;
-        } else {
-            reasoning = `Pas de consensus clair: sources partagées.`;
-        }
+// \b ne reconnaît que les lettres ASCII : bornes de mots Unicode pour "área", "été", etc.
+const WORD_START = '(?<![\\p{L}\\d])';
+const WORD_END = '(?![\\p{L}\\d])';
+
+const languagePatternCache = new Map();
+
+// La langue principale l'emporte ("billions" : 10^12 en français, 10^9 en anglais) ; les fragments longs sont essayés d'abord
+function quantityMagnitudes(profiles) {
+    const factors = new Map();
+    profiles.forEach(profile => Object.entries(profile.magnitudeWords || {}).forEach(([fragment, factor]) => {
+        if (!factors.has(fragment)) factors.set(fragment, factor);
+    }));
+    return [...factors]
+        .sort((a, b) => b[0].length - a[0].length)
+        .map(([fragment, factor]) => ({ regex: new RegExp(`${QUANTITY_SPACE}*(?:${fragment})${QUANTITY_UNIT_END}`, 'iuy'), factor }));
+}
 
-        return {
-            bonus: Math.max(-0.10, Math.min(0.15, bonus)),
-            confidence: Math.min(0.25, total * 0.06),
-            reasoning
-        };
+function getLanguagePatterns(language) {
+    const code = LANGUAGE_PROFILES[language] ? language : DEFAULT_LANGUAGE;
+    if (languagePatternCache.has(code)) {
+        return languagePatternCache.get(code);
     }
 
-    // 10. COHÉRENCE CONTEXTUELLE
-    evaluateContextualCoherence(originalText, sources) {
-        if (sources.length === 0) return { bonus: 0, reasoning: '' };
-
-        let coherenceScore = 0;
-        
-        // Bonus pour diversité de sources
-        const uniqueDomains = new Set(sources.map(s => {
-            try {
-                return new URL(s.url).hostname;
-            } catch {
-                return s.url;
+    const profiles = LANGUAGE_PATTERN_SOURCES[code].map(key => LANGUAGE_PROFILES[key]);
+    const words = field => [...new Set(profiles.flatMap(profile => profile[field] || []))].join('|');
+    const groupWords = (field, key) => [...new Set(profiles.flatMap(profile => (profile[field] && profile[field][key]) || []))].join('|');
+    // Qualificatif placé juste avant le nombre, un mot court toléré entre les deux ("dépasse les 14 millions")
+    const comparisonBefore = key => new RegExp(`${WORD_START}(?:${groupWords('comparisonWords', key)})(?:\\s+\\p{L}{1,4})?\\s*$`, 'iu');
+    const geoPreposition = profiles[0].geoPrepositionOptional
+        ? `(?:(?:${words('geoPrepositions')})\\s+)?`
+        : `(?:${words('geoPrepositions')})\\s+`;
+
+    const patterns = {
+        stopWords: new Set(profiles.flatMap(profile => profile.stopWords)),
+        claimPatterns: [
+            { type: 'SCIENTIFIC', regex: new RegExp(`${WORD_START}(${words('scienceTerms')})${WORD_END}`, 'iu'), confidence: 0.92 },
+            { type: 'GEOGRAPHIC', regex: new RegExp(`${WORD_START}(${words('geoWords')})\\s+${geoPreposition}[A-ZÀ-Ý][\\p{L}\\s]+`, 'iu'), confidence: 0.95 },
+            { type: 'QUANTITATIVE', regex: new RegExp(`\\b\\d+([,\\.]\\d+)?\\s*(${words('quantityUnits')})(?![\\p{L}\\d])`, 'iu'), confidence: 0.9 },
+            { type: 'HISTORICAL', regex: new RegExp(`${WORD_START}(${words('datePrepositions')})\\s+(1[5-9]|20)\\d{2}.*?(${words('historicalEvents')})${WORD_END}`, 'iu'), confidence: 0.85 }
+        ],
+        contextPatterns: {
+            geographic: {
+                city: new RegExp(`${WORD_START}(${words('cityWords')})${WORD_END}`, 'iu'),
+                metro: new RegExp(`${WORD_START}(${words('metroWords')})${WORD_END}`, 'iu'),
+                region: new RegExp(`${WORD_START}(${words('regionWords')})${WORD_END}`, 'iu')
+            },
+            // Les années et "actuellement" sont situés par rapport à l'année de référence (voir extractDetailedContext)
+            temporal: {
+                historical: new RegExp(`${WORD_START}(${words('historicalWords')})${WORD_END}`, 'iu')
             }
-        })).size;
-        
-        if (uniqueDomains >= 3) {
-            coherenceScore += 0.03;
+        },
+        opinionPatterns: [
+            new RegExp(`${WORD_START}(${words('opinionPhrases')})${WORD_END}`, 'iu'),
+            new RegExp(`${WORD_START}(${words('comparativeWords')})${WORD_END}`, 'iu')
+        ],
+        questionPattern: new RegExp(`^(¿|(${words('questionWords')})${WORD_END})`, 'iu'),
+        quantity: {
+            decimalSeparator: profiles[0].decimalSeparator,
+            // Les sources sont souvent dans une autre langue que le texte : vocabulaire de toutes les langues en repli
+            magnitudes: quantityMagnitudes([...profiles, ...Object.values(LANGUAGE_PROFILES)]),
+            countNouns: {
+                regex: new RegExp(`${QUANTITY_SPACE}?(?:${[...new Set(Object.values(LANGUAGE_PROFILES).flatMap(profile => profile.countNouns))].join('|')})${QUANTITY_UNIT_END}`, 'iuy')
+            }
+        },
+        // Mots à écarter des requêtes et mots-clés ("Selon", "However", "What"…)
+        queryStopWords: new Set(profiles
+            .flatMap(profile => [...profile.stopWords, ...profile.discourseWords, ...profile.questionWords])
+            .map(word => word.toLowerCase())),
+        knowledge: {
+            properties: Object.keys(profiles[0].knowledgeProperties).map(property => ({
+                property,
+                regex: new RegExp(`${WORD_START}(${groupWords('knowledgeProperties', property)})${WORD_END}`, 'iu')
+            })),
+            above: comparisonBefore('above'),
+            below: comparisonBefore('below'),
+            approximate: comparisonBefore('approximate')
+        },
+        time: {
+            lastYear: new RegExp(`${WORD_START}(?:${groupWords('timeExpressions', 'lastYear')})${WORD_END}`, 'giu'),
+            thisYear: new RegExp(`${WORD_START}(?:${groupWords('timeExpressions', 'thisYear')}|${words('currentWords')})${WORD_END}`, 'giu'),
+            yearsAgo: new RegExp(`${WORD_START}(?:${groupWords('timeExpressions', 'yearsAgo').replace(/N/g, '(\\d{1,3})')})${WORD_END}`, 'giu'),
+            // Mot placé juste avant une année : "depuis 1998"
+            sinceBefore: new RegExp(`${WORD_START}(?:${groupWords('timeExpressions', 'since')})\\s+$`, 'iu')
+        },
+        stance: {
+            negation: new RegExp(`${WORD_START}(${words('negationWords')})${WORD_END}`, 'iu'),
+            refutation: new RegExp(`${WORD_START}(${words('refutationWords')})${WORD_END}`, 'iu'),
+            negationExceptions: new RegExp(`${WORD_START}(${words('negationExceptions')})${WORD_END}`, 'giu'),
+            antonyms: profiles.flatMap(profile => profile.antonymPairs || []).map(pair => pair.map(fragment =>
+                new RegExp(`${WORD_START}(${fragment})${WORD_END}`, 'iu')))
         }
+    };
 
-        // Bonus pour mix de types de sources
-        const hasTier1 = sources.some(s => s.credibilityTier === 'tier1');
-        const hasTier2 = sources.some(s => s.credibilityTier === 'tier2');
-        const hasTier3 = sources.some(s => s.credibilityTier === 'tier3');
-        
-        if ((hasTier1 && hasTier2) || (hasTier1 && hasTier3) || (hasTier2 && hasTier3)) {
-            coherenceScore += 0.04;
-        }
+    languagePatternCache.set(code, patterns);
+    return patterns;
+}
 
-        // Bonus pour sources récentes
-        const hasRecentSources = sources.some(s => 
-            s.snippet && /202[3-5]|recent|latest|current/i.test(s.snippet)
-        );
-        
-        if (hasRecentSources && /population|data|statistics|facts/i.test(originalText)) {
-            coherenceScore += 0.03;
+// Repli sans franc (ou texte trop court) : langue dont les mots-outils sont les plus fréquents
+function detectLanguageByStopWords(text, fallback = DEFAULT_LANGUAGE) {
+    const tokens = text.toLowerCase().split(/[^\p{L}]+/u).filter(Boolean);
+    let best = { code: fallback, hits: 0 };
+    for (const [code, profile] of Object.entries(LANGUAGE_PROFILES)) {
+        const stopWords = new Set(profile.stopWords);
+        const hits = tokens.filter(token => stopWords.has(token)).length;
+        if (hits > best.hits) {
+            best = { code, hits };
         }
+    }
+    return best.code;
+}
 
-        let reasoning = '';
-        if (coherenceScore > 0) {
-            reasoning = `Cohérence contextuelle: sources diversifiées (+${Math.round(coherenceScore * 100)}%).`;
-        }
+// fallback : langue retenue quand rien ne permet de trancher (extrait sans mots-outils, "1.4 billion")
+function detectLanguage(text, fallback = DEFAULT_LANGUAGE) {
+    const sample = sanitizeInput(text || '').substring(0, 2000);
+    if (!sample) return fallback;
 
-        return {
-            bonus: coherenceScore,
-            reasoning: reasoning
-        };
+    if (francDetect && sample.length >= 40) {
+        const iso6393 = francDetect(sample, {
+            only: Object.values(LANGUAGE_PROFILES).map(profile => profile.iso6393),
+            minLength: 10
+        });
+        const match = Object.entries(LANGUAGE_PROFILES).find(([, profile]) => profile.iso6393 === iso6393);
+        if (match) {
+            return match[0];
+        }
     }
 
-    // 11. CALCUL FINAL ÉQUILIBRÉ
-    calculateBalancedScore(originalText, analyzedSources, claims) {
-        let totalScore = 0;
-        let confidence = 0;
-        const reasoning = [];
-
-        logInfo(`🎯 Calcul du score équilibré...`);
+    return detectLanguageByStopWords(sample, fallback);
+}
 
-        // 1. Score de base
-        const contentType = this.analyzeContentType(originalText, claims);
-        totalScore += contentType.baseScore;
-        reasoning.push(contentType.reasoning);
-        confidence += 0.3;
+// ========== QUANTITÉS ==========
+// Valeurs chiffrées normalisées : séparateurs selon la langue, mots de grandeur ("14 millions", "1.4 crore"),
+// abréviations ("14 M", "2 Md€"), pourcentages, devises et unités métriques converties dans une unité de base.
+// Seules des quantités de même dimension, rattachées au même sujet, sont comparées entre elles.
 
-        // 2. Qualité des sources
-        const sourceEval = this.evaluateSourceQuality(analyzedSources);
-        totalScore += sourceEval.impact;
-        reasoning.push(sourceEval.reasoning);
-        confidence += sourceEval.confidence;
+const QUANTITY_SPACE = '[ \\u00A0\\u202F\\u2009]';
+const QUANTITY_UNIT_END = "(?![\\p{L}\\d'’])";
+const QUANTITY_NUMBER_REGEX = new RegExp(
+    `(?<![\\p{L}\\d.,])(?:(US\\$|\\$|€|£|¥|₹)${QUANTITY_SPACE}?)?([-−]?)(\\d{1,3}(?:${QUANTITY_SPACE}\\d{3})+(?:[.,]\\d+)?|\\d+(?:[.,]\\d+)*)(?!\\d)`,
+    'gu'
+);
+const QUANTITY_CONNECTOR_REGEX = new RegExp(`${QUANTITY_SPACE}*(?:de${QUANTITY_SPACE}+|d['’]${QUANTITY_SPACE}*|of${QUANTITY_SPACE}+)`, 'iuy');
+const QUANTITY_PREFIX_CURRENCIES = { 'US$': 'USD', '$': 'USD', '€': 'EUR', '£': 'GBP', '¥': 'JPY', '₹': 'INR' };
+const QUANTITY_YEAR_RANGE = { min: 1000, max: 2100 };
+
+// Abréviations sensibles à la casse : "M" = million, "m" = mètre
+const QUANTITY_ABBREVIATIONS = [
+    ['Mds?|Mrds?|bn|B', 1e9],
+    ['M|mln|Mio', 1e6],
+    ['k|K', 1e3]
+].map(([fragment, factor]) => ({ regex: new RegExp(`${QUANTITY_SPACE}?(?:${fragment})${QUANTITY_UNIT_END}`, 'uy'), factor }));
+
+// Ordre significatif : "km/h" avant "km", "m²" avant "m"
+const QUANTITY_UNITS = [
+    ['%|pour\\s*cent|pourcent|per\\s*cent|percent|por\\s*ciento|per\\s*cento|prozent', 'percent', '%', 1],
+    ['us\\$|usd|\\$|dollars?|dólares?|dollari', 'currency', 'USD'],
+    ['€|eur|euros?', 'currency', 'EUR'],
+    ['£|gbp|livres?\\s+sterling|pounds?\\s+sterling', 'currency', 'GBP'],
+    ['¥|jpy|yens?', 'currency', 'JPY'],
+    ['₹|inr|roupies?|rupees?', 'currency', 'INR'],
+    ['chf|francs?\\s+suisses?|swiss\\s+francs?', 'currency', 'CHF'],
+    ['km/h|kmh|kilom[eè]tres?\\s+(?:par|à\\s+l[\'’])\\s*heure|kilomet(?:er|re)s?\\s+per\\s+hour', 'speed', 'm/s', 1 / 3.6],
+    ['mph|miles?\\s+per\\s+hour', 'speed', 'm/s', 0.44704],
+    ['m/s', 'speed', 'm/s', 1],
+    ['km²|km2|kilom[eè]tres?\\s+carr[ée]s|square\\s+kilomet(?:er|re)s?', 'area', 'm²', 1e6],
+    ['m²|m2|m[eè]tres?\\s+carr[ée]s|square\\s+met(?:er|re)s?', 'area', 'm²', 1],
+    ['ha|hectares?', 'area', 'm²', 1e4],
+    ['m³|m3|m[eè]tres?\\s+cubes|cubic\\s+met(?:er|re)s?', 'volume', 'l', 1000],
+    ['ml|millilitres?|milliliters?', 'volume', 'l', 0.001],
+    ['l|litres?|liters?', 'volume', 'l', 1],
+    ['km|kilom[eè]tres?|kilomet(?:er|re)s?', 'length', 'm', 1000],
+    ['cm|centim[eè]tres?|centimet(?:er|re)s?', 'length', 'm', 0.01],
+    ['mm|millim[eè]tres?|millimet(?:er|re)s?', 'length', 'm', 0.001],
+    ['m|m[eè]tres?|met(?:er|re)s?', 'length', 'm', 1],
+    ['miles?', 'length', 'm', 1609.344],
+    ['ft|feet|foot|pieds?', 'length', 'm', 0.3048],
+    ['mg|milligrammes?|milligrams?', 'mass', 'kg', 1e-6],
+    ['kg|kilogrammes?|kilograms?|kilos?', 'mass', 'kg', 1],
+    ['g|grammes?|grams?', 'mass', 'kg', 0.001],
+    ['t|tonnes?|tons?', 'mass', 'kg', 1000],
+    ['lbs?', 'mass', 'kg', 0.45359237],
+    ['sec|secondes?|seconds?', 'duration', 's', 1],
+    ['min|minutes?', 'duration', 's', 60],
+    ['h|heures?|hours?', 'duration', 's', 3600],
+    ['jours?|days?', 'duration', 's', 86400],
+    ['semaines?|weeks?', 'duration', 's', 604800],
+    ['mois|months?', 'duration', 's', 2629800],
+    ['ans|années?|years?', 'duration', 's', 31557600],
+    ['°\\s*c|degr[ée]s?\\s+celsius|degrees?\\s+celsius|celsius', 'temperature', '°C', value => value],
+    ['°\\s*f|degr[ée]s?\\s+fahrenheit|degrees?\\s+fahrenheit|fahrenheit', 'temperature', '°C', value => (value - 32) * 5 / 9]
+].map(([fragment, dimension, unit, conversion = null]) => ({
+    regex: new RegExp(`${QUANTITY_SPACE}?(?:${fragment})${QUANTITY_UNIT_END}`, 'iuy'),
+    dimension,
+    unit,
+    convert: typeof conversion === 'function' ? conversion : (value => (conversion === null ? value : value * conversion))
+}));
 
-        // 3. Consensus
-        const consensus = this.evaluateConsensus(analyzedSources);
-        totalScore += consensus.bonus;
-        if (consensus.reasoning) {
-            reasoning.push(consensus.reasoning);
+// Mots qui entourent souvent un chiffre sans désigner son sujet
+const QUANTITY_FILLER_WORDS = new Set([
+    'environ', 'pres', 'moins', 'compte', 'comptait', 'comptent', 'depasse', 'depassait', 'atteint', 'atteignait', 'estime', 'estimee',
+    'soit', 'avait', 'etait', 'selon', 'total', 'totale', 'about', 'around', 'approximately', 'nearly', 'almost', 'over', 'under', 'more',
+    'less', 'than', 'estimated', 'reaches', 'reached', 'exceeds', 'exceeded', 'totals', 'has', 'have', 'had', 'was', 'were', 'according'
+]);
+const QUANTITY_SUBJECT_WORDS_BEFORE = 10;
+const QUANTITY_SUBJECT_WORDS_AFTER = 3;
+const QUANTITY_SUBJECT_STEM_LENGTH = 6;
+
+const normalizeSubjectWord = (word) => word.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').split(/['’]/).pop();
+
+// "14,000,000" (en), "14 000 000" / "3,6" (fr), "14.000.000" (de) ; un seul séparateur suivi de trois chiffres
+// est un séparateur de milliers, sauf s'il s'agit du séparateur décimal de la langue
+function parseLocalizedNumber(raw, decimalSeparator = '.') {
+    const compact = raw.replace(new RegExp(QUANTITY_SPACE, 'gu'), '');
+    const lastComma = compact.lastIndexOf(',');
+    const lastDot = compact.lastIndexOf('.');
+
+    let decimalIndex = -1;
+    if (lastComma >= 0 && lastDot >= 0) {
+        decimalIndex = Math.max(lastComma, lastDot);
+    } else if (lastComma >= 0 || lastDot >= 0) {
+        const separator = lastComma >= 0 ? ',' : '.';
+        const groups = compact.split(separator);
+        const thousandsGroups = groups.slice(1).every(group => group.length === 3);
+        if (groups.length > 2) {
+            if (!thousandsGroups) return null;
+        } else if (separator === decimalSeparator || !thousandsGroups) {
+            decimalIndex = compact.indexOf(separator);
         }
-        confidence += consensus.confidence;
+    }
 
-        // 4. Cohérence contextuelle
-        const contextBonus = this.evaluateContextualCoherence(originalText, analyzedSources);
-        totalScore += contextBonus.bonus;
-        if (contextBonus.reasoning) {
-            reasoning.push(contextBonus.reasoning);
-        }
+    const integerPart = (decimalIndex >= 0 ? compact.substring(0, decimalIndex) : compact).replace(/[.,]/g, '');
+    const fractionPart = decimalIndex >= 0 ? compact.substring(decimalIndex + 1) : '';
+    if (/[.,]/.test(fractionPart)) return null;
+    const value = Number(fractionPart ? `${integerPart}.${fractionPart}` : integerPart);
+    return Number.isFinite(value) ? value : null;
+}
 
-        const finalScore = Math.max(0.15, Math.min(0.92, totalScore));
-        
-        logInfo(`📊 Score équilibré: ${Math.round(finalScore * 100)}%`);
-        
-        return {
-            score: finalScore,
-            confidence: Math.min(1.0, confidence),
-            reasoning: reasoning.join(' '),
-            details: {
-                baseScore: contentType.baseScore,
-                sourceImpact: sourceEval.impact,
-                consensusBonus: consensus.bonus,
-                contextBonus: contextBonus.bonus,
-                claimsFound: claims.length,
-                sourcesAnalyzed: analyzedSources.length,
-                supportingSources: analyzedSources.filter(s => s.actuallySupports).length,
-                contradictingSources: analyzedSources.filter(s => s.contradicts).length,
-                contentType: contentType.type
-            }
-        };
+function matchQuantityPart(entries, text, position) {
+    for (const entry of entries) {
+        entry.regex.lastIndex = position;
+        const match = entry.regex.exec(text);
+        if (match) {
+            return { entry, end: position + match[0].length };
+        }
     }
+    return null;
+}
 
-    // MÉTHODES UTILITAIRES
-
-    calculateSemanticSimilarity(text1, text2) {
-        if (!text1 || !text2) return { score: 0, confirms: false };
-        
-        const stopWords = new Set(['the', 'and', 'or', 'but', 'in', 'on', 'at', 'to', 'for', 'of', 'with', 'by', 'le', 'la', 'les', 'un', 'une', 'des', 'du', 'de', 'et', 'ou', 'mais', 'dans', 'sur', 'pour', 'avec', 'par']);
-        
-        const extractKeywords = (text) => {
-            return text.toLowerCase()
-                .replace(/[^\w\sàâäéèêëïîôöùûüÿç]/g, ' ')
-                .split(/\s+/)
-                .filter(word => word.length > 3 && !stopWords.has(word) && !/^\d+$/.test(word));
-        };
+// Mots porteurs de sens autour d'une quantité (même phrase, sans déborder sur les quantités voisines)
+function quantitySubject(text, quantity, previousEnd, nextStart, stopWords) {
+    const before = text.substring(Math.max(previousEnd, quantity.start - 120), quantity.start).split(/[.!?;](?=\s|$)/).pop();
+    const after = text.substring(quantity.end, Math.min(nextStart, quantity.end + 60)).split(/[.!?;,](?=\s|$)/)[0];
+    const contentWords = (segment) => (segment.match(/\p{L}[\p{L}'’-]*/gu) || [])
+        .filter(word => !stopWords.has(word.toLowerCase()))
+        .map(normalizeSubjectWord)
+        .filter(word => word.length >= 3 && !stopWords.has(word) && !QUANTITY_FILLER_WORDS.has(word))
+        .map(word => word.substring(0, QUANTITY_SUBJECT_STEM_LENGTH));
+
+    return [...new Set([
+        ...contentWords(before).slice(-QUANTITY_SUBJECT_WORDS_BEFORE),
+        ...contentWords(after).slice(0, QUANTITY_SUBJECT_WORDS_AFTER)
+    ])];
+}
 
-        const keywords1 = new Set(extractKeywords(text1));
-        const keywords2 = new Set(extractKeywords(text2));
+// Quantités d'un texte : { raw, value (unité de base), dimension, unit, start, end, subject }
+function parseQuantities(text, language = DEFAULT_LANGUAGE) {
+    if (!text || typeof text !== 'string') return [];
+    const patterns = getLanguagePatterns(language);
+    const { decimalSeparator, magnitudes, countNouns } = patterns.quantity;
+    const quantities = [];
+
+    QUANTITY_NUMBER_REGEX.lastIndex = 0;
+    let match;
+    while ((match = QUANTITY_NUMBER_REGEX.exec(text)) !== null) {
+        const [, prefixCurrency, sign, digits] = match;
+        const number = parseLocalizedNumber(digits, decimalSeparator);
+        if (number === null) continue;
+
+        let cursor = match.index + match[0].length;
+        const magnitude = matchQuantityPart(magnitudes, text, cursor) || matchQuantityPart(QUANTITY_ABBREVIATIONS, text, cursor);
+        if (magnitude) {
+            cursor = magnitude.end;
+            QUANTITY_CONNECTOR_REGEX.lastIndex = cursor;
+            const connector = QUANTITY_CONNECTOR_REGEX.exec(text);
+            // "millions de dollars", "millions d'habitants" : le connecteur n'est retenu que devant une unité
+            if (connector) {
+                const afterConnector = cursor + connector[0].length;
+                if (matchQuantityPart(QUANTITY_UNITS, text, afterConnector) || matchQuantityPart([countNouns], text, afterConnector)) {
+                    cursor = afterConnector;
+                }
+            }
+        }
 
-        const intersection = new Set([...keywords1].filter(x => keywords2.has(x)));
-        const union = new Set([...keywords1, ...keywords2]);
+        const unit = matchQuantityPart(QUANTITY_UNITS, text, cursor);
+        const countNoun = unit ? null : matchQuantityPart([countNouns], text, cursor);
+        if (unit) cursor = unit.end;
+        if (countNoun) cursor = countNoun.end;
+
+        const scaled = (sign ? -number : number) * (magnitude ? magnitude.entry.factor : 1);
+        let dimension = 'count';
+        let unitName = null;
+        let value = scaled;
+
+        if (prefixCurrency && (!unit || unit.entry.dimension === 'currency')) {
+            dimension = 'currency';
+            unitName = QUANTITY_PREFIX_CURRENCIES[prefixCurrency];
+        } else if (unit) {
+            dimension = unit.entry.dimension;
+            unitName = unit.entry.unit;
+            value = unit.entry.convert(scaled);
+        } else if (!magnitude && !countNoun && !sign && /^\d{4}$/.test(digits)
+            && number >= QUANTITY_YEAR_RANGE.min && number <= QUANTITY_YEAR_RANGE.max) {
+            dimension = 'year';
+        }
 
-        const lexicalSimilarity = union.size > 0 ? intersection.size / union.size : 0;
-        const semanticSimilarity = stringSimilarity.compareTwoStrings(
-            sanitizeInput(text1).toLowerCase(),
-            sanitizeInput(text2).toLowerCase()
-        );
+        quantities.push({
+            raw: text.substring(match.index, cursor).trim(),
+            value,
+            dimension,
+            unit: unitName,
+            start: match.index,
+            end: cursor
+        });
+        QUANTITY_NUMBER_REGEX.lastIndex = cursor;
+    }
 
-        const combinedScore = Math.min(1, (lexicalSimilarity * 0.6) + (semanticSimilarity * 0.4));
+    return quantities.map((quantity, index) => ({
+        ...quantity,
+        subject: quantitySubject(
+            text,
+            quantity,
+            index > 0 ? quantities[index - 1].end : 0,
+            index < quantities.length - 1 ? quantities[index + 1].start : text.length,
+            patterns.stopWords
+        )
+    }));
+}
 
-        return {
-            score: combinedScore,
-            confirms: combinedScore > 0.2
-        };
-    }
+// Même dimension (et même devise), et sujets communs quand les deux en ont un
+function areComparableQuantities(quantity1, quantity2) {
+    if (quantity1.dimension !== quantity2.dimension || quantity1.unit !== quantity2.unit) return false;
+    if (quantity1.subject.length === 0 || quantity2.subject.length === 0) return true;
+    return quantity1.subject.some(word => quantity2.subject.includes(word));
+}
 
-    getSourceCredibilityTier(url) {
-        if (!url) return { tier: 'unknown', multiplier: 0.4 };
-        
-        const urlLower = url.toLowerCase();
-        
-        for (const [tierName, tierData] of Object.entries(this.sourceCredibilityRanks)) {
-            if (tierData.domains.some(domain => urlLower.includes(domain))) {
-                return { tier: tierName, multiplier: tierData.multiplier };
+// ========== RAISONNEMENT TEMPOREL ==========
+// Expressions de temps normalisées en intervalles d'années absolues : "en 2023", "depuis 1998" (jusqu'à l'année de
+// référence), "l'an dernier", "il y a 5 ans", "actuellement". L'année de référence est l'année courante, ou celle
+// d'une date fixée pour rejouer une analyse. Une affirmation porte sa période { from, to, asOf } (sans expression,
+// elle parle du présent) ; une source, sa date : publication (page ou fournisseur), date en tête d'extrait, sinon
+// année la plus récente qu'elle cite, qui n'est qu'une borne basse.
+
+// Moins d'un an : "actuel" ; plus de cinq ans : "historique"
+const TEMPORAL_CURRENT_YEARS = 1;
+const TEMPORAL_HISTORICAL_YEARS = 5;
+// Quantités dont la valeur change avec le temps : une affirmation au présent qui en contient est datée
+const TIME_SENSITIVE_DIMENSIONS = ['count', 'percent', 'currency'];
+
+const foldAccents = (value) => value.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+
+// Noms de mois de toutes les langues des profils, formes longues et abrégées ("mars", "févr", "sep")
+const MONTH_NAMES = (() => {
+    const months = new Map();
+    for (const code of Object.keys(LANGUAGE_PROFILES)) {
+        for (const style of ['long', 'short']) {
+            const format = new Intl.DateTimeFormat(code, { month: style, timeZone: 'UTC' });
+            for (let month = 0; month < 12; month++) {
+                const name = foldAccents(format.format(Date.UTC(2020, month, 15))).replace(/\.$/, '');
+                if (/^\p{L}+$/u.test(name) && !months.has(name)) months.set(name, month);
             }
         }
-        return { tier: 'unknown', multiplier: 0.5 };
     }
+    return months;
+})();
+const MONTH_PATTERN = [...MONTH_NAMES.keys()].sort((a, b) => b.length - a.length).join('|');
+
+// Date en tête d'extrait, telle que l'affichent les moteurs : "Mar 3, 2023 — …", "3 mars 2023 ...", "2023-03-03 ·"
+const SNIPPET_DATE_REGEX = new RegExp(
+    `^\\s*(?:(\\d{1,2})(?:er|\\.)?\\s+(?:de\\s+)?(${MONTH_PATTERN})\\.?\\s+(?:de\\s+)?(\\d{4})|(${MONTH_PATTERN})\\.?\\s+(\\d{1,2}),?\\s+(\\d{4})|(\\d{4})-(\\d{2})-(\\d{2}))\\s*(?:[—–·-]|\\.\\.\\.|…)`,
+    'u'
+);
+
+const referenceYearOf = (referenceDate = null) => (referenceDate || new Date()).getUTCFullYear();
+
+function toIsoDate(value) {
+    if (!value) return null;
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date.toISOString();
 }
 
-// ========== FONCTION D'ANALYSE DES SOURCES AMÉLIORÉE ==========
+// Expressions de temps d'un texte : { text, kind: year | since | relative, from, to }, dans l'ordre du texte
+function extractTimeExpressions(text, language = DEFAULT_LANGUAGE, referenceYear = referenceYearOf()) {
+    if (!text || typeof text !== 'string') return [];
+    const patterns = getLanguagePatterns(language).time;
+    const expressions = [];
+
+    for (const quantity of parseQuantities(text, language)) {
+        if (quantity.dimension !== 'year') continue;
+        const since = patterns.sinceBefore.test(text.substring(Math.max(0, quantity.start - 20), quantity.start));
+        expressions.push({
+            text: quantity.raw,
+            kind: since ? 'since' : 'year',
+            from: quantity.value,
+            to: since ? Math.max(quantity.value, referenceYear) : quantity.value,
+            start: quantity.start
+        });
+    }
 
-async function analyzeSourcesWithImprovedLogic(factChecker, originalText, sources) {
-    const analyzedSources = [];
-    
-    for (const source of sources.slice(0, 5)) {
-        try {
-            const credibility = factChecker.getSourceCredibilityTier(source.url);
-            const semanticMatch = factChecker.calculateSemanticSimilarity(originalText, source.snippet || '');
-            const contradiction = factChecker.detectIntelligentContradiction(originalText, source.snippet || '');
-            
-            const actuallySupports = semanticMatch.confirms && !contradiction.detected && semanticMatch.score > 0.15;
-            
-            analyzedSources.push({
-                ...source,
-                semanticRelevance: semanticMatch.score,
-                confirmsContent: semanticMatch.confirms,
-                contradicts: contradiction.detected,
-                contradictionDetails: contradiction.details,
-                credibilityTier: credibility.tier,
-                credibilityMultiplier: credibility.multiplier,
-                actuallySupports: actuallySupports
-            });
-            
-        } catch (error) {
-            logError(`Erreur analyse source ${source.url}`, error.message);
-            
-            const credibility = factChecker.getSourceCredibilityTier(source.url);
-            analyzedSources.push({
-                ...source,
-                semanticRelevance: 0.3,
-                confirmsContent: false,
-                contradicts: false,
-                credibilityTier: credibility.tier,
-                credibilityMultiplier: credibility.multiplier,
-                actuallySupports: false
-            });
+    const relative = (regex, yearOf) => {
+        for (const match of text.matchAll(regex)) {
+            const year = yearOf(match);
+            expressions.push({ text: match[0], kind: 'relative', from: year, to: year, start: match.index });
         }
+    };
+    relative(patterns.lastYear, () => referenceYear - 1);
+    relative(patterns.thisYear, () => referenceYear);
+    relative(patterns.yearsAgo, match => referenceYear - Number(match.slice(1).find(Boolean)));
+
+    return expressions
+        .sort((a, b) => a.start - b.start)
+        .map(({ start, ...expression }) => expression);
+}
+
+function parseTimeFrame(text, language, referenceYear) {
+    const expressions = extractTimeExpressions(text, language, referenceYear);
+    if (expressions.length === 0) {
+        return { expressions, from: null, to: null, asOf: null };
     }
-    
-    return analyzedSources;
+    const to = Math.max(...expressions.map(expression => expression.to));
+    return { expressions, from: Math.min(...expressions.map(expression => expression.from)), to, asOf: to };
 }
 
-// ========== FONCTIONS UTILITAIRES ==========
+function parseSnippetDate(snippet) {
+    const match = SNIPPET_DATE_REGEX.exec(foldAccents(snippet.substring(0, 60)));
+    if (!match) return null;
+    const [, day1, month1, year1, month2, day2, year2, isoYear, isoMonth, isoDay] = match;
+    const date = isoYear
+        ? new Date(Date.UTC(Number(isoYear), Number(isoMonth) - 1, Number(isoDay)))
+        : new Date(Date.UTC(Number(year1 || year2), MONTH_NAMES.get(month1 || month2), Number(day1 || day2)));
+    return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
 
-function sanitizeInput(text) {
-    if (!text || typeof text !== 'string') return '';
+// { date, year, origin } avec origin ∈ published | snippet | mentioned, ou sans date
+function sourceTimeInfo(source, language, referenceYear) {
+    const published = toIsoDate(source.publishedAt);
+    if (published) {
+        return { date: published, year: new Date(published).getUTCFullYear(), origin: 'published' };
+    }
 
-    return text
-        .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F\x7F]/g, '')
-        .replace(/<script[^>]*>.*?<\/script>/gi, '')
-        .replace(/javascript:/gi, '')
-        .replace(/on\w+\s*=/gi, '')
-        .substring(0, MAX_TEXT_LENGTH)
-        .trim();
+    const snippet = typeof source.snippet === 'string' ? source.snippet : '';
+    const snippetDate = parseSnippetDate(snippet);
+    if (snippetDate) {
+        return { date: snippetDate, year: new Date(snippetDate).getUTCFullYear(), origin: 'snippet' };
+    }
+
+    const years = extractTimeExpressions(snippet, language, referenceYear)
+        .filter(expression => expression.kind === 'year' && expression.to <= referenceYear)
+        .map(expression => expression.to);
+    return years.length > 0
+        ? { date: null, year: Math.max(...years), origin: 'mentioned' }
+        : { date: null, year: null, origin: null };
+}
+
+// Une source publiée avant la période affirmée ne peut pas en témoigner ("predates_claim") ; pour une affirmation
+// qui parle du présent, une source publiée depuis plus de staleAfterYears est périmée ("stale"). Une année citée
+// ne date pas la source : elle reste "undated".
+function assessSourceTimeliness(timeFrame, source, { language, referenceYear, timeSensitive, weights }) {
+    const info = sourceTimeInfo(source, language, referenceYear);
+    const assessment = {
+        asOf: info.year,
+        date: info.date,
+        origin: info.origin,
+        ageYears: info.year === null ? null : referenceYear - info.year
+    };
+
+    if (info.year === null || info.origin === 'mentioned') {
+        return { ...assessment, status: 'undated', weight: 1 };
+    }
+    if (timeFrame.from !== null && info.year < timeFrame.from) {
+        return { ...assessment, status: 'predates_claim', weight: weights.predatesClaimWeight };
+    }
+    if (timeSensitive && assessment.ageYears > weights.staleAfterYears) {
+        return { ...assessment, status: 'stale', weight: weights.staleWeight };
+    }
+    return { ...assessment, status: 'timely', weight: 1 };
+}
+
+// ========== REGISTRE DE CRÉDIBILITÉ DES SOURCES ==========
+// Une entrée vaut pour un hôte exact ("exact") ou pour un domaine / suffixe public et ses sous-domaines ("domain") :
+// "gov" couvre "cdc.gov" mais pas "govtrack.example.com". L'entrée la plus spécifique l'emporte, et les
+// surcharges d'un compte (scope "user:<id>") passent avant le registre global.
+
+const CREDIBILITY_TIERS = {
+    tier1: { multiplier: 1.0, description: 'Sources académiques et officielles' },
+    tier2: { multiplier: 0.85, description: 'Médias avec processus éditorial rigoureux' },
+    tier3: { multiplier: 0.75, description: 'Encyclopédies avec vérification communautaire' },
+    tier4: { multiplier: 0.9, description: 'Bases de données scientifiques' },
+    unreliable: { multiplier: 0.3, description: 'Sources non éditorialisées' }
+};
+const UNKNOWN_SOURCE_MULTIPLIER = 0.5;
+const GLOBAL_CREDIBILITY_SCOPE = 'global';
+const CREDIBILITY_DOMAIN_PATTERN = /^(?:[a-z0-9](?:[a-z0-9-]*[a-z0-9])?\.)*[a-z0-9](?:[a-z0-9-]*[a-z0-9])?$/;
+
+const DEFAULT_CREDIBILITY_SOURCES = [
+    ...['edu', 'gov'].map(domain => ({ domain, tier: 'tier1', category: 'public_suffix' })),
+    ...['who.int', 'worldbank.org', 'insee.fr', 'cia.gov'].map(domain => ({ domain, tier: 'tier1', category: 'official' })),
+    ...['nature.com', 'science.org', 'pubmed.ncbi.nlm.nih.gov'].map(domain => ({ domain, tier: 'tier1', category: 'academic' })),
+    ...['reuters.com', 'bbc.com', 'lemonde.fr', 'nytimes.com', 'theguardian.com', 'lefigaro.fr', 'economist.com']
+        .map(domain => ({ domain, tier: 'tier2', category: 'news' })),
+    ...['wikipedia.org', 'britannica.com', 'larousse.fr'].map(domain => ({ domain, tier: 'tier3', category: 'encyclopedia' })),
+    ...['scholar.google.com', 'jstor.org', 'researchgate.net'].map(domain => ({ domain, tier: 'tier4', category: 'research_database' })),
+    ...['reddit.com', 'quora.com', 'answers.yahoo.com', 'answers.com'].map(domain => ({ domain, tier: 'unreliable', category: 'user_generated' }))
+];
+
+function tenantCredibilityScope(tenantId) {
+    return tenantId ? `user:${tenantId}` : GLOBAL_CREDIBILITY_SCOPE;
+}
+
+// Valide et complète une entrée ; renvoie { entry } ou { error }
+function normalizeCredibilityEntry(raw) {
+    const domain = typeof raw?.domain === 'string' ? raw.domain.trim().toLowerCase().replace(/^\*?\./, '') : '';
+    if (!CREDIBILITY_DOMAIN_PATTERN.test(domain) || domain.length > 253) {
+        return { error: 'domain must be a hostname or public suffix (e.g. "nature.com", "gouv.fr").' };
+    }
+    if (!CREDIBILITY_TIERS[raw.tier]) {
+        return { error: `tier must be one of: ${Object.keys(CREDIBILITY_TIERS).join(', ')}.` };
+    }
+    const match = raw.match === undefined ? 'domain' : raw.match;
+    if (!['domain', 'exact'].includes(match)) {
+        return { error: 'match must be "domain" or "exact".' };
+    }
+    const score = raw.score === undefined || raw.score === null ? CREDIBILITY_TIERS[raw.tier].multiplier : Number(raw.score);
+    if (!Number.isFinite(score) || score < 0 || score > 1) {
+        return { error: 'score must be a number between 0 and 1.' };
+    }
+
+    return {
+        entry: {
+            domain,
+            match,
+            tier: raw.tier,
+            score,
+            category: raw.category ? sanitizeInput(String(raw.category)).substring(0, 60) : null,
+            notes: raw.notes ? sanitizeInput(String(raw.notes)).substring(0, 500) : null
+        }
+    };
+}
+
+const createCredibilityRegistry = () => {
+    const scopes = new Map([[GLOBAL_CREDIBILITY_SCOPE, new Map()]]);
+
+    const entriesFor = (scope) => {
+        if (!scopes.has(scope)) scopes.set(scope, new Map());
+        return scopes.get(scope);
+    };
+
+    const matchInScope = (scope, hostname) => {
+        const entries = scopes.get(scope);
+        if (!entries || entries.size === 0) return null;
+        const exact = entries.get(hostname);
+        if (exact) return exact;
+        // Remonte les labels : "a.b.cdc.gov" → "b.cdc.gov" → "cdc.gov" → "gov"
+        const labels = hostname.split('.');
+        for (let i = 1; i < labels.length; i++) {
+            const entry = entries.get(labels.slice(i).join('.'));
+            if (entry && entry.match === 'domain') return entry;
+        }
+        return null;
+    };
+
+    const replaceScope = (scope, entries) => {
+        scopes.set(scope, new Map(entries.map(entry => [entry.domain, entry])));
+    };
+
+    return {
+        resolve(url, tenantId = null) {
+            let hostname;
+            try {
+                hostname = new URL(url).hostname.toLowerCase().replace(/\.$/, '');
+            } catch {
+                return null;
+            }
+            return (tenantId && matchInScope(tenantCredibilityScope(tenantId), hostname))
+                || matchInScope(GLOBAL_CREDIBILITY_SCOPE, hostname);
+        },
+        hasOverrides(tenantId) {
+            return !!tenantId && (scopes.get(tenantCredibilityScope(tenantId))?.size || 0) > 0;
+        },
+        list(scope = GLOBAL_CREDIBILITY_SCOPE) {
+            return [...(scopes.get(scope)?.values() || [])].sort((a, b) => a.domain.localeCompare(b.domain));
+        },
+        set(scope, entry) {
+            entriesFor(scope).set(entry.domain, entry);
+        },
+        remove(scope, domain) {
+            return scopes.get(scope)?.delete(domain) || false;
+        },
+        // Fichier CREDIBILITY_REGISTRY_FILE, ou liste par défaut
+        loadBase() {
+            let baseEntries = DEFAULT_CREDIBILITY_SOURCES;
+            if (process.env.CREDIBILITY_REGISTRY_FILE) {
+                try {
+                    const parsed = JSON.parse(fs.readFileSync(path.resolve(process.env.CREDIBILITY_REGISTRY_FILE), 'utf8'));
+                    baseEntries = Array.isArray(parsed) ? parsed : parsed.sources || [];
+                } catch (error) {
+                    logError('❌ Registre de crédibilité illisible — liste par défaut utilisée', error.message);
+                }
+            }
+            const normalized = baseEntries.map(normalizeCredibilityEntry);
+            normalized.filter(result => result.error).forEach(result => logWarn(`⚠️ Entrée de crédibilité ignorée: ${result.error}`));
+            replaceScope(GLOBAL_CREDIBILITY_SCOPE, normalized.filter(result => result.entry).map(result => result.entry));
+        },
+        // PostgreSQL fait foi une fois amorcé avec la liste de base
+        async loadFromDatabase() {
+            if (!pool) {
+                return;
+            }
+
+            const { rows: countRows } = await pool.query(
+                'SELECT COUNT(*)::int AS count FROM credibility_sources WHERE scope = $1',
+                [GLOBAL_CREDIBILITY_SCOPE]
+            );
+            if (countRows[0].count === 0) {
+                for (const entry of this.list()) {
+                    await saveCredibilityEntry(GLOBAL_CREDIBILITY_SCOPE, entry);
+                }
+                logInfo(`🏷️ Registre de crédibilité amorcé (${this.list().length} domaines)`);
+            }
+
+            const { rows } = await pool.query('SELECT * FROM credibility_sources');
+            const byScope = new Map();
+            for (const row of rows) {
+                if (!byScope.has(row.scope)) byScope.set(row.scope, []);
+                byScope.get(row.scope).push(credibilityEntryFromRow(row));
+            }
+            scopes.clear();
+            scopes.set(GLOBAL_CREDIBILITY_SCOPE, new Map());
+            for (const [scope, entries] of byScope) {
+                replaceScope(scope, entries);
+            }
+        }
+    };
+};
+
+function credibilityEntryFromRow(row) {
+    return {
+        domain: row.domain,
+        match: row.match,
+        tier: row.tier,
+        score: row.score,
+        category: row.category,
+        notes: row.notes,
+        updatedAt: row.updated_at
+    };
+}
+
+async function saveCredibilityEntry(scope, entry) {
+    const { rows } = await pool.query(
+        `INSERT INTO credibility_sources(scope, domain, match, tier, score, category, notes, updated_at)
+         VALUES($1, $2, $3, $4, $5, $6, $7, CURRENT_TIMESTAMP)
+         ON CONFLICT (scope, domain) DO UPDATE SET
+            match = EXCLUDED.match,
+            tier = EXCLUDED.tier,
+            score = EXCLUDED.score,
+            category = EXCLUDED.category,
+            notes = EXCLUDED.notes,
+            updated_at = CURRENT_TIMESTAMP
+         RETURNING *`,
+        [scope, entry.domain, entry.match, entry.tier, entry.score, entry.category, entry.notes]
+    );
+    return credibilityEntryFromRow(rows[0]);
+}
+
+const credibilityRegistry = createCredibilityRegistry();
+credibilityRegistry.loadBase();
+
+// ========== REGISTRE DES MODÈLES D'IA ==========
+// /verify/ai accepte tout modèle enregistré, désigné par son identifiant, son nom affiché ou un alias
+// (comparaison insensible à la casse). Les vérifications sont enregistrées sous l'identifiant canonique.
+
+const AI_MODEL_ID_PATTERN = /^[a-z0-9](?:[a-z0-9._-]{0,62}[a-z0-9])?$/;
+const MAX_MODEL_ALIASES = 20;
+const MAX_MODEL_QUIRKS = 10;
+
+const DEFAULT_AI_MODELS = [
+    { id: 'chatgpt', displayName: 'ChatGPT', vendor: 'OpenAI', aliases: ['gpt-4', 'gpt-4o', 'gpt-4o-mini', 'gpt-5', 'openai'] },
+    { id: 'claude', displayName: 'Claude', vendor: 'Anthropic', aliases: ['claude-sonnet', 'claude-opus', 'claude-haiku', 'anthropic'] },
+    { id: 'gemini', displayName: 'Gemini', vendor: 'Google', aliases: ['bard', 'gemini-pro', 'gemini-flash'] },
+    { id: 'mistral', displayName: 'Mistral', vendor: 'Mistral AI', aliases: ['le chat', 'lechat', 'mistral-large'] },
+    { id: 'llama', displayName: 'Llama', vendor: 'Meta', aliases: ['meta-ai', 'llama-3', 'llama3'] },
+    {
+        id: 'copilot', displayName: 'Copilot', vendor: 'Microsoft', aliases: ['bing chat', 'microsoft copilot'],
+        quirks: ['Les réponses contiennent des renvois numérotés vers les résultats Bing.']
+    },
+    {
+        id: 'perplexity', displayName: 'Perplexity', vendor: 'Perplexity AI', aliases: ['pplx', 'sonar'],
+        quirks: ['Les réponses contiennent des citations numérotées [1] vers les sources consultées.']
+    }
+];
+
+function cleanModelLabels(values, maxCount, maxLength) {
+    return [...new Set((Array.isArray(values) ? values : [])
+        .filter(value => typeof value === 'string')
+        .map(value => sanitizeInput(value).trim().substring(0, maxLength))
+        .filter(Boolean))]
+        .slice(0, maxCount);
+}
+
+// Valide et complète une entrée ; renvoie { entry } ou { error }
+function normalizeAiModelEntry(raw) {
+    const id = typeof raw?.id === 'string' ? raw.id.trim().toLowerCase() : '';
+    if (!AI_MODEL_ID_PATTERN.test(id)) {
+        return { error: 'id must be 1-64 lowercase letters, digits, ".", "_" or "-" (e.g. "mistral-large").' };
+    }
+    if (raw.displayName !== undefined && typeof raw.displayName !== 'string') {
+        return { error: 'displayName must be a string.' };
+    }
+    for (const field of ['aliases', 'quirks']) {
+        if (raw[field] !== undefined && !Array.isArray(raw[field])) {
+            return { error: `${field} must be an array of strings.` };
+        }
+    }
+
+    const displayName = raw.displayName ? sanitizeInput(raw.displayName).trim().substring(0, 60) : '';
+    return {
+        entry: {
+            id,
+            displayName: displayName || id,
+            vendor: raw.vendor ? sanitizeInput(String(raw.vendor)).trim().substring(0, 60) : null,
+            aliases: cleanModelLabels(raw.aliases, MAX_MODEL_ALIASES, 60)
+                .filter(alias => alias.toLowerCase() !== id && alias.toLowerCase() !== displayName.toLowerCase()),
+            quirks: cleanModelLabels(raw.quirks, MAX_MODEL_QUIRKS, 300)
+        }
+    };
+}
+
+// Noms sous lesquels un modèle peut être désigné (et enregistré dans l'historique)
+function aiModelNames(entry) {
+    return [...new Set([entry.id, entry.displayName, ...entry.aliases].map(name => name.toLowerCase()))];
+}
+
+const createAiModelRegistry = () => {
+    const models = new Map();
+    let names = new Map();
+
+    const reindex = () => {
+        names = new Map();
+        for (const entry of models.values()) {
+            aiModelNames(entry).forEach(name => {
+                if (!names.has(name)) names.set(name, entry);
+            });
+        }
+    };
+
+    const replaceAll = (entries) => {
+        models.clear();
+        entries.forEach(entry => models.set(entry.id, entry));
+        reindex();
+    };
+
+    return {
+        resolve(name) {
+            return typeof name === 'string' ? names.get(name.trim().toLowerCase()) || null : null;
+        },
+        get(id) {
+            return models.get(id) || null;
+        },
+        list() {
+            return [...models.values()].sort((a, b) => a.id.localeCompare(b.id));
+        },
+        // Nom déjà porté par un autre modèle, ou null
+        findConflict(entry) {
+            const conflict = aiModelNames(entry).map(name => names.get(name)).find(other => other && other.id !== entry.id);
+            return conflict || null;
+        },
+        set(entry) {
+            models.set(entry.id, entry);
+            reindex();
+        },
+        remove(id) {
+            const removed = models.delete(id);
+            reindex();
+            return removed;
+        },
+        // Fichier AI_MODELS_FILE, ou liste par défaut
+        loadBase() {
+            let baseEntries = DEFAULT_AI_MODELS;
+            if (process.env.AI_MODELS_FILE) {
+                try {
+                    const parsed = JSON.parse(fs.readFileSync(path.resolve(process.env.AI_MODELS_FILE), 'utf8'));
+                    baseEntries = Array.isArray(parsed) ? parsed : parsed.models || [];
+                } catch (error) {
+                    logError('❌ Registre des modèles illisible — liste par défaut utilisée', error.message);
+                }
+            }
+            const normalized = baseEntries.map(normalizeAiModelEntry);
+            normalized.filter(result => result.error).forEach(result => logWarn(`⚠️ Modèle ignoré: ${result.error}`));
+            replaceAll(normalized.filter(result => result.entry).map(result => result.entry));
+        },
+        // PostgreSQL fait foi une fois amorcé avec la liste de base
+        async loadFromDatabase() {
+            if (!pool) {
+                return;
+            }
+
+            const { rows: countRows } = await pool.query('SELECT COUNT(*)::int AS count FROM ai_models');
+            if (countRows[0].count === 0) {
+                for (const entry of this.list()) {
+                    await saveAiModelEntry(entry);
+                }
+                logInfo(`🤖 Registre des modèles amorcé (${this.list().length} modèles)`);
+            }
+
+            const { rows } = await pool.query('SELECT * FROM ai_models');
+            replaceAll(rows.map(aiModelEntryFromRow));
+        }
+    };
+};
+
+function aiModelEntryFromRow(row) {
+    return {
+        id: row.id,
+        displayName: row.display_name,
+        vendor: row.vendor,
+        aliases: row.aliases || [],
+        quirks: row.quirks || [],
+        updatedAt: row.updated_at
+    };
+}
+
+async function saveAiModelEntry(entry) {
+    const { rows } = await pool.query(
+        `INSERT INTO ai_models(id, display_name, vendor, aliases, quirks, updated_at)
+         VALUES($1, $2, $3, $4, $5, CURRENT_TIMESTAMP)
+         ON CONFLICT (id) DO UPDATE SET
+            display_name = EXCLUDED.display_name,
+            vendor = EXCLUDED.vendor,
+            aliases = EXCLUDED.aliases,
+            quirks = EXCLUDED.quirks,
+            updated_at = CURRENT_TIMESTAMP
+         RETURNING *`,
+        [entry.id, entry.displayName, entry.vendor, JSON.stringify(entry.aliases), JSON.stringify(entry.quirks)]
+    );
+    return aiModelEntryFromRow(rows[0]);
+}
+
+const aiModelRegistry = createAiModelRegistry();
+aiModelRegistry.loadBase();
+
+// ========== PROFILS DE SCORING ==========
+// Toutes les constantes de calculateBalancedScore et des verdicts. Un profil nommé ne décrit que ses écarts
+// par rapport au profil "default" ; SCORING_PROFILES_FILE peut en ajouter ou en redéfinir (JSON { nom: écarts }).
+
+const DEFAULT_SCORING_PROFILE_NAME = 'default';
+
+const DEFAULT_SCORING_PROFILE = {
+    description: 'Profil équilibré généraliste',
+    baseScores: {
+        OPINION: 0.40,
+        QUESTION: 0.30,
+        SCIENTIFIC_FACT: 0.75,
+        GEOGRAPHIC_FACT: 0.70,
+        STATISTICAL_FACT: 0.65,
+        HISTORICAL_FACT: 0.68,
+        GENERAL_INFO: 0.50
+    },
+    sourceQuality: {
+        noSourcesPenalty: -0.10,
+        highCredibilityThreshold: 0.8,
+        highCredibilitySupportBonus: 0.15,
+        supportBonus: 0.08,
+        highCredibilityContradictionPenalty: 0.08,
+        multipleSourcesMin: 3,
+        multipleSourcesBonus: 0.05,
+        tier1Bonus: 0.08,
+        minImpact: -0.15,
+        maxImpact: 0.30
+    },
+    consensus: {
+        bands: [
+            { minSupportRatio: 0.8, minSupporting: 2, bonus: 0.12, label: 'Consensus très fort' },
+            { minSupportRatio: 0.6, minSupporting: 2, bonus: 0.08, label: 'Bon consensus' },
+            { minSupportRatio: 0.4, minSupporting: 1, bonus: 0.04, label: 'Consensus modéré' }
+        ],
+        contradictionRatio: 0.5,
+        contradictionPenalty: -0.06,
+        minBonus: -0.10,
+        maxBonus: 0.15
+    },
+    context: {
+        diverseDomainsMin: 3,
+        diverseDomainsBonus: 0.03,
+        tierMixBonus: 0.04,
+        recentSourcesBonus: 0.03
+    },
+    // Date des sources par rapport à la période de l'affirmation : multiplicateur de crédibilité des sources
+    // périmées (affirmation au présent, source de plus de staleAfterYears ans) ou antérieures à la période affirmée
+    temporal: {
+        staleAfterYears: 3,
+        staleWeight: 0.6,
+        predatesClaimWeight: 0.4
+    },
+    // Faits comparés à la base de connaissances : poids dans les verdicts et effet direct sur le score
+    knowledgeBase: {
+        weight: 2.0,
+        supportBonus: 0.15,
+        contradictionPenalty: 0.25
+    },
+    scoreRange: { min: 0.15, max: 0.92 },
+    verdict: {
+        contradictedMaxScore: 0.35,
+        supportedMinScore: 0.6,
+        supportWeightRatio: 2,
+        unverifiedMaxScore: 0.6
+    },
+    labels: { highlyReliable: 0.85, mostlyReliable: 0.6, uncertain: 0.4 }
+};
+
+const BUILTIN_SCORING_PROFILES = {
+    medical: {
+        description: 'Santé : seules les sources de premier rang comptent comme très fiables, seuils de label relevés',
+        baseScores: { OPINION: 0.30, SCIENTIFIC_FACT: 0.60, STATISTICAL_FACT: 0.55, GENERAL_INFO: 0.40 },
+        sourceQuality: {
+            noSourcesPenalty: -0.20,
+            highCredibilityThreshold: 0.95,
+            supportBonus: 0.03,
+            highCredibilityContradictionPenalty: 0.15,
+            minImpact: -0.25
+        },
+        scoreRange: { min: 0.05, max: 0.90 },
+        verdict: { contradictedMaxScore: 0.25, supportedMinScore: 0.7, supportWeightRatio: 3, unverifiedMaxScore: 0.5 },
+        labels: { highlyReliable: 0.88, mostlyReliable: 0.7, uncertain: 0.45 }
+    },
+    news: {
+        description: 'Actualité générale : poids accru des médias éditorialisés et des sources récentes',
+        sourceQuality: { highCredibilityThreshold: 0.75, supportBonus: 0.10 },
+        context: { tierMixBonus: 0.05, recentSourcesBonus: 0.05 },
+        temporal: { staleAfterYears: 1 }
+    }
+};
+
+// Applique des écarts à un profil ; lève une erreur explicite sur une clé inconnue ou une valeur invalide
+function applyScoringOverrides(base, overrides, keyPath = '') {
+    if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+        throw new Error(`${keyPath || 'profile'} must be an object.`);
+    }
+
+    const result = { ...base };
+    for (const [key, value] of Object.entries(overrides)) {
+        const fieldPath = keyPath ? `${keyPath}.${key}` : key;
+        // Clés propres uniquement : "constructor" ou "__proto__" ne désignent aucun champ du profil
+        const current = Object.hasOwn(base, key) ? base[key] : undefined;
+
+        if (current === undefined) {
+            throw new Error(`Unknown scoring profile field "${fieldPath}".`);
+        } else if (typeof current === 'string') {
+            result[key] = String(value).substring(0, 200);
+        } else if (typeof current === 'number') {
+            if (typeof value !== 'number' || !Number.isFinite(value)) {
+                throw new Error(`${fieldPath} must be a number.`);
+            }
+            result[key] = value;
+        } else if (Array.isArray(current)) {
+            if (!Array.isArray(value) || value.length === 0) {
+                throw new Error(`${fieldPath} must be a non-empty array.`);
+            }
+            result[key] = value.map((item, index) => applyScoringOverrides(current[0], item, `${fieldPath}[${index}]`));
+        } else {
+            result[key] = applyScoringOverrides(current, value, fieldPath);
+        }
+    }
+    return result;
+}
+
+function loadScoringProfiles() {
+    const definitions = { ...BUILTIN_SCORING_PROFILES };
+    if (process.env.SCORING_PROFILES_FILE) {
+        try {
+            Object.assign(definitions, JSON.parse(fs.readFileSync(path.resolve(process.env.SCORING_PROFILES_FILE), 'utf8')));
+        } catch (error) {
+            logError('❌ Profils de scoring illisibles — profils intégrés utilisés', error.message);
+        }
+    }
+
+    const profiles = { [DEFAULT_SCORING_PROFILE_NAME]: { name: DEFAULT_SCORING_PROFILE_NAME, ...DEFAULT_SCORING_PROFILE } };
+    for (const [name, overrides] of Object.entries(definitions)) {
+        if (name === DEFAULT_SCORING_PROFILE_NAME) continue;
+        try {
+            profiles[name] = { ...applyScoringOverrides(DEFAULT_SCORING_PROFILE, overrides), name };
+        } catch (error) {
+            logWarn(`⚠️ Profil de scoring "${name}" ignoré: ${error.message}`);
+        }
+    }
+    return profiles;
+}
+
+const scoringProfiles = loadScoringProfiles();
+
+// Objet ordinaire : "constructor", "__proto__"… sont hérités et ne sont pas des profils
+const isScoringProfileName = (name) => typeof name === 'string' && Object.hasOwn(scoringProfiles, name);
+
+function getScoringProfile(name) {
+    return isScoringProfileName(name) ? scoringProfiles[name] : scoringProfiles[DEFAULT_SCORING_PROFILE_NAME];
+}
+
+// Nom de profil facultatif dans une requête : renvoie { name } ou { error }
+function parseScoringProfileName(value) {
+    if (value === undefined || value === null || value === '') {
+        return { name: DEFAULT_SCORING_PROFILE_NAME };
+    }
+    if (!isScoringProfileName(value)) {
+        return { error: `Unknown scoringProfile. Allowed values: ${Object.keys(scoringProfiles).join(', ')}.` };
+    }
+    return { name: value };
+}
+
+// ========== SYSTÈME DE FACT-CHECKING AMÉLIORÉ ET FIABLE ==========
+
+class ImprovedFactChecker {
+    constructor(options = {}) {
+        this.language = LANGUAGE_PROFILES[options.language] ? options.language : DEFAULT_LANGUAGE;
+        const languagePatterns = getLanguagePatterns(this.language);
+
+        // Compte dont les surcharges du registre de crédibilité s'appliquent
+        this.tenant = options.tenant || null;
+
+        // Profil de scoring : nom d'un profil enregistré ou objet déjà résolu
+        this.scoring = typeof options.scoringProfile === 'object' && options.scoringProfile !== null
+            ? options.scoringProfile
+            : getScoringProfile(options.scoringProfile);
+
+        // Motifs de claims vérifiables (par ordre de priorité) et détecteurs propres à la langue
+        this.claimPatterns = languagePatterns.claimPatterns;
+        this.opinionPatterns = languagePatterns.opinionPatterns;
+        this.questionPattern = languagePatterns.questionPattern;
+        this.stopWords = languagePatterns.stopWords;
+
+        // Contextes pour éviter les fausses contradictions
+        this.contextPatterns = languagePatterns.contextPatterns;
+
+        // Date de référence des expressions relatives et de l'âge des sources (maintenant par défaut)
+        this.referenceDate = options.referenceDate instanceof Date && !Number.isNaN(options.referenceDate.getTime())
+            ? options.referenceDate
+            : null;
+    }
+
+    referenceYear() {
+        return referenceYearOf(this.referenceDate);
+    }
+
+    // Période couverte par un texte : { expressions, from, to, asOf }, nulles pour un texte au présent
+    extractTimeFrame(text) {
+        return parseTimeFrame(text, this.language, this.referenceYear());
+    }
+
+    // Fraîcheur d'une source par rapport à la période d'une affirmation
+    assessSourceTimeliness(timeFrame, source, claimText) {
+        const referenceYear = this.referenceYear();
+        const timeSensitive = timeFrame.to !== null
+            ? timeFrame.to >= referenceYear - TEMPORAL_CURRENT_YEARS && timeFrame.from <= referenceYear
+            : parseQuantities(claimText, this.language).some(quantity => TIME_SENSITIVE_DIMENSIONS.includes(quantity.dimension));
+        return assessSourceTimeliness(timeFrame, source, {
+            language: this.language,
+            referenceYear,
+            timeSensitive,
+            weights: this.scoring.temporal
+        });
+    }
+
+    // 1. EXTRACTION DE CLAIMS VÉRIFIABLES
+    // Une affirmation = une phrase complète, avec ses positions (start/end) dans le texte d'origine.
+    extractVerifiableClaims(text) {
+        const claims = [];
+        if (!text || typeof text !== 'string') return claims;
+
+        for (const sentence of splitSentences(text)) {
+            if (!sanitizeInput(sentence.text)) continue;
+
+            const matchedTypes = this.claimPatterns.filter(pattern => pattern.regex.test(sentence.text));
+            if (matchedTypes.length === 0) continue;
+
+            // Type principal selon la même priorité que analyzeContentType
+            const primary = matchedTypes[0];
+            claims.push({
+                type: primary.type,
+                types: matchedTypes.map(pattern => pattern.type),
+                text: sentence.text,
+                start: sentence.start,
+                end: sentence.end,
+                entities: extractEntities(sentence.text, sentence.start),
+                verifiable: true,
+                confidence: Math.max(...matchedTypes.map(pattern => pattern.confidence))
+            });
+        }
+
+        logInfo(`🔍 Claims extraits: ${claims.length}`);
+        return claims;
+    }
+
+    // 2. ANALYSE DU TYPE DE CONTENU - VERSION AMÉLIORÉE
+    analyzeContentType(text, claims) {
+        const baseScores = this.scoring.baseScores;
+        const percent = (type) => Math.round(baseScores[type] * 100);
+
+        // Opinion subjective
+        if (this.opinionPatterns.some(pattern => pattern.test(text))) {
+            return {
+                type: 'OPINION',
+                baseScore: baseScores.OPINION,
+                reasoning: `**Opinion subjective** (${percent('OPINION')}%) - Point de vue personnel nécessitant d'autres perspectives.`
+            };
+        }
+
+        // Question directe
+        if (text.length < 300 && (this.questionPattern.test(text.trim()) || text.includes('?'))) {
+            return {
+                type: 'QUESTION',
+                baseScore: baseScores.QUESTION,
+                reasoning: `**Question utilisateur** (${percent('QUESTION')}%) - Demande d'information directe.`
+            };
+        }
+
+        // Faits avec claims vérifiables
+        if (claims.length > 0) {
+            const hasScientific = claims.some(c => c.type === 'SCIENTIFIC');
+            const hasQuantitative = claims.some(c => c.type === 'QUANTITATIVE');
+            const hasHistorical = claims.some(c => c.type === 'HISTORICAL');
+            const hasGeographic = claims.some(c => c.type === 'GEOGRAPHIC');
+            
+            if (hasScientific) {
+                return {
+                    type: 'SCIENTIFIC_FACT',
+                    baseScore: baseScores.SCIENTIFIC_FACT,
+                    reasoning: `**Fait scientifique** (${percent('SCIENTIFIC_FACT')}%) - Information scientifique établie et vérifiable.`
+                };
+            } else if (hasGeographic) {
+                return {
+                    type: 'GEOGRAPHIC_FACT',
+                    baseScore: baseScores.GEOGRAPHIC_FACT,
+                    reasoning: `**Fait géographique** (${percent('GEOGRAPHIC_FACT')}%) - Données géographiques officielles vérifiables.`
+                };
+            } else if (hasQuantitative) {
+                return {
+                    type: 'STATISTICAL_FACT',
+                    baseScore: baseScores.STATISTICAL_FACT,
+                    reasoning: `**Données quantitatives** (${percent('STATISTICAL_FACT')}%) - Statistiques mesurables et vérifiables.`
+                };
+            } else if (hasHistorical) {
+                return {
+                    type: 'HISTORICAL_FACT',
+                    baseScore: baseScores.HISTORICAL_FACT,
+                    reasoning: `**Fait historique** (${percent('HISTORICAL_FACT')}%) - Information historique documentée.`
+                };
+            }
+        }
+
+        // Information générale
+        return {
+            type: 'GENERAL_INFO',
+            baseScore: baseScores.GENERAL_INFO,
+            reasoning: `**Information générale** (${percent('GENERAL_INFO')}%) - Contenu informatif standard.`
+        };
+    }
+
+    // 3. EXTRACTION DE CONTEXTE DÉTAILLÉ
+    extractDetailedContext(text) {
+        const referenceYear = this.referenceYear();
+        const expressions = extractTimeExpressions(text, this.language, referenceYear);
+        return {
+            geographic: {
+                hasCity: this.contextPatterns.geographic.city.test(text),
+                hasMetro: this.contextPatterns.geographic.metro.test(text),
+                hasRegion: this.contextPatterns.geographic.region.test(text)
+            },
+            temporal: {
+                isCurrent: expressions.some(expression =>
+                    expression.to >= referenceYear - TEMPORAL_CURRENT_YEARS && expression.from <= referenceYear),
+                isHistorical: this.contextPatterns.temporal.historical.test(text) ||
+                    expressions.some(expression => expression.from < referenceYear - TEMPORAL_HISTORICAL_YEARS)
+            },
+            measurement: {
+                hasTotal: /\b(total|ensemble|including|avec|with)\b/i.test(text),
+                hasPartial: /\b(seulement|only|just|environ|approximately|about)\b/i.test(text)
+            }
+        };
+    }
+
+    // 4. VÉRIFICATION DE CONTEXTES COMPLÉMENTAIRES
+    areComplementaryContexts(context1, context2) {
+        // Ville vs Métropole = complémentaires
+        if ((context1.geographic.hasCity && context2.geographic.hasMetro) ||
+            (context1.geographic.hasMetro && context2.geographic.hasCity)) {
+            return true;
+        }
+
+        // Données historiques vs actuelles = complémentaires
+        if ((context1.temporal.isCurrent && context2.temporal.isHistorical) ||
+            (context1.temporal.isHistorical && context2.temporal.isCurrent)) {
+            return true;
+        }
+
+        // Total vs partiel = complémentaires
+        if ((context1.measurement.hasTotal && context2.measurement.hasPartial) ||
+            (context1.measurement.hasPartial && context2.measurement.hasTotal)) {
+            return true;
+        }
+
+        return false;
+    }
+
+    // 5. EXTRACTION DES QUANTITÉS AVEC CONTEXTE
+    // Séparateurs et mots de grandeur de la langue du texte lui-même : "1.4 billion" (en) = 1,4 milliard (fr)
+    extractQuantitiesWithContext(text, language = this.language) {
+        const context = this.extractDetailedContext(text);
+        return parseQuantities(text, language).map(quantity => ({ ...quantity, context }));
+    }
+
+    // 6. DÉTECTION DE CONTRADICTIONS INTELLIGENTE
+    detectIntelligentContradiction(text1, text2) {
+        const context1 = this.extractDetailedContext(text1);
+        const context2 = this.extractDetailedContext(text2);
+        
+        // Si contextes complémentaires, pas de contradiction
+        if (this.areComplementaryContexts(context1, context2)) {
+            return { 
+                detected: false, 
+                details: { 
+                    reason: 'Contextes complémentaires',
+                    context1: context1,
+                    context2: context2
+                }
+            };
+        }
+
+        const nums1 = this.extractQuantitiesWithContext(text1);
+        // L'extrait de source peut être dans une autre langue que l'affirmation
+        const nums2 = this.extractQuantitiesWithContext(text2, detectLanguage(text2, this.language));
+
+        if (nums1.length === 0 || nums2.length === 0) {
+            return { detected: false, details: null };
+        }
+
+        // Comparaison intelligente : même dimension et même sujet uniquement
+        for (const num1 of nums1) {
+            for (const num2 of nums2) {
+                if (!areComparableQuantities(num1, num2)) continue;
+                if (num1.value !== 0 && Math.abs(num1.value - num2.value) / Math.abs(num1.value) > 0.5) {
+                    if (this.isTrueContradiction(num1, num2, context1, context2)) {
+                        return {
+                            detected: true,
+                            details: { 
+                                original: num1.value, 
+                                source: num2.value, 
+                                dimension: num1.dimension,
+                                unit: num1.unit,
+                                originalText: num1.raw,
+                                sourceText: num2.raw,
+                                difference: Math.abs(num1.value - num2.value) / Math.abs(num1.value),
+                                reason: 'Contradiction numérique significative'
+                            }
+                        };
+                    }
+                }
+            }
+        }
+
+        return { detected: false, details: null };
+    }
+
+    // 7. VÉRIFICATION DE VRAIE CONTRADICTION
+    isTrueContradiction(num1, num2, context1, context2) {
+        if (JSON.stringify(context1) === JSON.stringify(context2)) {
+            return true;
+        }
+        
+        if (this.areComplementaryContexts(context1, context2)) {
+            return false;
+        }
+        
+        return Math.abs(num1.value - num2.value) / Math.abs(num1.value) > 3.0;
+    }
+
+    // 8. ÉVALUATION DE LA QUALITÉ DES SOURCES
+    evaluateSourceQuality(sources) {
+        const weights = this.scoring.sourceQuality;
+
+        if (sources.length === 0) {
+            return {
+                impact: weights.noSourcesPenalty,
+                confidence: 0,
+                reasoning: `Aucune source de vérification trouvée (${Math.round(weights.noSourcesPenalty * 100)}%).`
+            };
+        }
+
+        let qualityScore = 0;
+        let supportingHigh = sources.filter(s => s.actuallySupports && s.credibilityMultiplier > weights.highCredibilityThreshold).length;
+        let supportingAny = sources.filter(s => s.actuallySupports).length;
+        let contradictingHigh = sources.filter(s => s.contradicts && s.credibilityMultiplier > weights.highCredibilityThreshold).length;
+
+        // Bonus pour sources de support
+        if (supportingHigh > 0) {
+            qualityScore += supportingHigh * weights.highCredibilitySupportBonus;
+        } else if (supportingAny > 0) {
+            qualityScore += supportingAny * weights.supportBonus;
+        }
+
+        // Pénalité pour vraies contradictions seulement
+        if (contradictingHigh > 0) {
+            qualityScore -= contradictingHigh * weights.highCredibilityContradictionPenalty;
+        }
+
+        // Bonus progressif pour sources multiples
+        if (sources.length >= weights.multipleSourcesMin) {
+            qualityScore += weights.multipleSourcesBonus;
+        }
+
+        // Bonus spécial pour sources très fiables
+        const tier1Sources = sources.filter(s => s.credibilityMultiplier === 1.0).length;
+        if (tier1Sources > 0) {
+            qualityScore += tier1Sources * weights.tier1Bonus;
+        }
+
+        let reasoning = `Sources analysées: ${supportingAny} confirment`;
+        if (contradictingHigh > 0) {
+            reasoning += `, ${contradictingHigh} contredisent vraiment`;
+        }
+        if (supportingHigh > 0) {
+            reasoning += `. ${supportingHigh} sources très fiables confirment (+${Math.round(supportingHigh * weights.highCredibilitySupportBonus * 100)}%).`;
+        }
+
+        return {
+            impact: Math.max(weights.minImpact, Math.min(weights.maxImpact, qualityScore)),
+            confidence: Math.min(0.4, sources.length * 0.1),
+            reasoning
+        };
+    }
+
+    // 9. ÉVALUATION DU CONSENSUS
+    evaluateConsensus(sources) {
+        if (sources.length < 2) {
+            return { bonus: 0, confidence: 0, reasoning: '' };
+        }
+
+        const supporting = sources.filter(s => s.actuallySupports).length;
+        const contradicting = sources.filter(s => s.contradicts).length;
+        const total = sources.length;
+
+        const supportRatio = supporting / total;
+        const contradictRatio = contradicting / total;
+        const weights = this.scoring.consensus;
+        
+        let bonus = 0;
+        let reasoning = '';
+
+        // Bandes examinées dans l'ordre du profil : la première satisfaite s'applique
+        const band = weights.bands.find(b => supportRatio >= b.minSupportRatio && supporting >= b.minSupporting);
+        if (band) {
+            bonus = band.bonus;
+            reasoning = `${band.label}: ${supporting}/${total} sources confirment (+${Math.round(band.bonus * 100)}%).`;
+        } else if (contradictRatio > weights.contradictionRatio) {
+            bonus = weights.contradictionPenalty;
+            reasoning = `Contradictions dominantes: ${contradicting}/${total} sources contredisent (${Math.round(weights.contradictionPenalty * 100)}%).`;
+        } else {
+            reasoning = `Pas de consensus clair: sources partagées.`;
+        }
+
+        return {
+            bonus: Math.max(weights.minBonus, Math.min(weights.maxBonus, bonus)),
+            confidence: Math.min(0.25, total * 0.06),
+            reasoning
+        };
+    }
+
+    // 10. COHÉRENCE CONTEXTUELLE
+    evaluateContextualCoherence(originalText, sources) {
+        if (sources.length === 0) return { bonus: 0, reasoning: '' };
+
+        let coherenceScore = 0;
+        const weights = this.scoring.context;
+        
+        // Bonus pour diversité de sources
+        const uniqueDomains = new Set(sources.map(s => {
+            try {
+                return new URL(s.url).hostname;
+            } catch {
+                return s.url;
+            }
+        })).size;
+        
+        if (uniqueDomains >= weights.diverseDomainsMin) {
+            coherenceScore += weights.diverseDomainsBonus;
+        }
+
+        // Bonus pour mix de types de sources
+        const hasTier1 = sources.some(s => s.credibilityTier === 'tier1');
+        const hasTier2 = sources.some(s => s.credibilityTier === 'tier2');
+        const hasTier3 = sources.some(s => s.credibilityTier === 'tier3');
+        
+        if ((hasTier1 && hasTier2) || (hasTier1 && hasTier3) || (hasTier2 && hasTier3)) {
+            coherenceScore += weights.tierMixBonus;
+        }
+
+        // Bonus pour sources récentes : datées de moins de staleAfterYears par rapport à l'année de référence
+        const referenceYear = this.referenceYear();
+        const hasRecentSources = sources.some(s => {
+            const { year } = sourceTimeInfo(s, this.language, referenceYear);
+            return (year !== null && year <= referenceYear && referenceYear - year <= this.scoring.temporal.staleAfterYears) ||
+                (s.snippet && /recent|latest|current/i.test(s.snippet));
+        });
+        
+        if (hasRecentSources && /population|data|statistics|facts/i.test(originalText)) {
+            coherenceScore += weights.recentSourcesBonus;
+        }
+
+        let reasoning = '';
+        if (coherenceScore > 0) {
+            reasoning = `Cohérence contextuelle: sources diversifiées (+${Math.round(coherenceScore * 100)}%).`;
+        }
+
+        return {
+            bonus: coherenceScore,
+            reasoning: reasoning
+        };
+    }
+
+    // 11. FAITS DE LA BASE DE CONNAISSANCES
+    // Valeur exacte d'une propriété (capitale, population, date de fondation…) : une confirmation ou une
+    // contradiction suffit, sans consensus à établir
+    evaluateKnowledgeEvidence(knowledgeSources) {
+        const weights = this.scoring.knowledgeBase;
+        const supporting = knowledgeSources.filter(s => s.actuallySupports);
+        const contradicting = knowledgeSources.filter(s => s.contradicts);
+        if (supporting.length === 0 && contradicting.length === 0) {
+            return { impact: 0, confidence: 0, reasoning: '' };
+        }
+
+        const facts = (sources) => sources.map(s => `${s.knowledge.entityLabel} (${s.knowledge.property})`).join(', ');
+        let impact = 0;
+        const reasoning = [];
+        if (supporting.length > 0) {
+            impact += weights.supportBonus;
+            reasoning.push(`Base de connaissances: ${facts(supporting)} confirmé (+${Math.round(weights.supportBonus * 100)}%).`);
+        }
+        if (contradicting.length > 0) {
+            impact -= weights.contradictionPenalty;
+            reasoning.push(`Base de connaissances: ${facts(contradicting)} contredit (-${Math.round(weights.contradictionPenalty * 100)}%).`);
+        }
+
+        return { impact, confidence: 0.2, reasoning: reasoning.join(' ') };
+    }
+
+    // 12. CALCUL FINAL ÉQUILIBRÉ
+    calculateBalancedScore(originalText, analyzedSources, claims) {
+        let totalScore = 0;
+        let confidence = 0;
+        const reasoning = [];
+
+        logInfo(`🎯 Calcul du score équilibré...`);
+
+        // Les faits de la base de connaissances ont leur propre étape : ni qualité, ni consensus, ni diversité web
+        const webSources = analyzedSources.filter(s => s.sourceType !== KNOWLEDGE_SOURCE_TYPE);
+        const knowledgeSources = analyzedSources.filter(s => s.sourceType === KNOWLEDGE_SOURCE_TYPE);
+
+        // 1. Score de base
+        const contentType = this.analyzeContentType(originalText, claims);
+        totalScore += contentType.baseScore;
+        reasoning.push(contentType.reasoning);
+        confidence += 0.3;
+
+        // 2. Qualité des sources
+        const sourceEval = this.evaluateSourceQuality(webSources);
+        totalScore += sourceEval.impact;
+        reasoning.push(sourceEval.reasoning);
+        confidence += sourceEval.confidence;
+
+        // 3. Consensus
+        const consensus = this.evaluateConsensus(webSources);
+        totalScore += consensus.bonus;
+        if (consensus.reasoning) {
+            reasoning.push(consensus.reasoning);
+        }
+        confidence += consensus.confidence;
+
+        // 4. Cohérence contextuelle
+        const contextBonus = this.evaluateContextualCoherence(originalText, webSources);
+        totalScore += contextBonus.bonus;
+        if (contextBonus.reasoning) {
+            reasoning.push(contextBonus.reasoning);
+        }
+
+        // 5. Base de connaissances
+        const knowledgeEval = this.evaluateKnowledgeEvidence(knowledgeSources);
+        totalScore += knowledgeEval.impact;
+        if (knowledgeEval.reasoning) {
+            reasoning.push(knowledgeEval.reasoning);
+        }
+        confidence += knowledgeEval.confidence;
+
+        // Sources dépassées : déjà pondérées à la baisse dans leur crédibilité, signalées ici
+        const outdatedSources = webSources.filter(s => s.temporal && ['stale', 'predates_claim'].includes(s.temporal.status)).length;
+        if (outdatedSources > 0) {
+            reasoning.push(`⏳ ${outdatedSources} source(s) antérieure(s) à la période de l'affirmation ou périmée(s), poids réduit.`);
+        }
+
+        const finalScore = Math.max(this.scoring.scoreRange.min, Math.min(this.scoring.scoreRange.max, totalScore));
+        
+        logInfo(`📊 Score équilibré: ${Math.round(finalScore * 100)}%`);
+        
+        return {
+            score: finalScore,
+            confidence: Math.min(1.0, confidence),
+            reasoning: reasoning.join(' '),
+            reliabilityLabel: getReliabilityLabel(finalScore, this.scoring),
+            details: {
+                baseScore: contentType.baseScore,
+                sourceImpact: sourceEval.impact,
+                consensusBonus: consensus.bonus,
+                contextBonus: contextBonus.bonus,
+                knowledgeImpact: knowledgeEval.impact,
+                outdatedSources,
+                claimsFound: claims.length,
+                sourcesAnalyzed: analyzedSources.length,
+                supportingSources: analyzedSources.filter(s => s.actuallySupports).length,
+                contradictingSources: analyzedSources.filter(s => s.contradicts).length,
+                contentType: contentType.type,
+                scoringProfile: this.scoring.name
+            }
+        };
+    }
+
+    // 13. VERDICT PAR AFFIRMATION
+    evaluateClaimVerdict(claim, analyzedSources) {
+        const result = this.calculateBalancedScore(claim.text, analyzedSources, [claim]);
+
+        const supporting = analyzedSources.filter(s => s.actuallySupports);
+        const contradicting = analyzedSources.filter(s => s.contradicts);
+        const supportWeight = supporting.reduce((sum, s) => sum + s.credibilityMultiplier, 0);
+        const contradictWeight = contradicting.reduce((sum, s) => sum + s.credibilityMultiplier, 0);
+
+        const thresholds = this.scoring.verdict;
+        let verdict = 'unverified';
+        let score = result.score;
+
+        if (contradicting.length > 0 && contradictWeight >= supportWeight) {
+            verdict = 'contradicted';
+            score = Math.min(score, thresholds.contradictedMaxScore);
+        } else if (supporting.length > 0 && supportWeight > contradictWeight * thresholds.supportWeightRatio && score > thresholds.supportedMinScore) {
+            verdict = 'supported';
+        } else {
+            score = Math.min(score, thresholds.unverifiedMaxScore);
+        }
+
+        return {
+            ...claim,
+            // Période affirmée ("as of") : les sources sont jugées par rapport à elle
+            timeFrame: this.extractTimeFrame(claim.text),
+            verdict,
+            score,
+            verdictConfidence: result.confidence,
+            reasoning: result.reasoning,
+            details: result.details,
+            sources: analyzedSources
+        };
+    }
+
+    // 14. SCORE GLOBAL À PARTIR DES VERDICTS
+    calculateClaimBasedScore(originalText, claimResults) {
+        const contentType = this.analyzeContentType(originalText, claimResults);
+
+        const totalWeight = claimResults.reduce((sum, c) => sum + (c.confidence || 0.5), 0) || 1;
+        const weightedScore = claimResults.reduce((sum, c) => sum + c.score * (c.confidence || 0.5), 0) / totalWeight;
+        const confidence = claimResults.reduce((sum, c) => sum + c.verdictConfidence, 0) / claimResults.length;
+
+        const supported = claimResults.filter(c => c.verdict === 'supported').length;
+        const contradicted = claimResults.filter(c => c.verdict === 'contradicted').length;
+        const unverified = claimResults.length - supported - contradicted;
+
+        const reasoning = [contentType.reasoning];
+        reasoning.push(`Affirmations vérifiées: ${supported} confirmées, ${contradicted} contredites, ${unverified} non vérifiées.`);
+        if (contradicted > 0) {
+            reasoning.push(`⚠️ ${contradicted} affirmation(s) contredite(s) par les sources.`);
+        }
+
+        const allSources = claimResults.flatMap(c => c.sources);
+        const finalScore = Math.max(this.scoring.scoreRange.min, Math.min(this.scoring.scoreRange.max, weightedScore));
+
+        logInfo(`📊 Score par affirmations: ${Math.round(finalScore * 100)}%`);
+
+        return {
+            score: finalScore,
+            confidence: Math.min(1.0, confidence),
+            reasoning: reasoning.join(' '),
+            reliabilityLabel: getReliabilityLabel(finalScore, this.scoring),
+            details: {
+                baseScore: contentType.baseScore,
+                claimsFound: claimResults.length,
+                claimsSupported: supported,
+                claimsContradicted: contradicted,
+                claimsUnverified: unverified,
+                sourcesAnalyzed: allSources.length,
+                supportingSources: allSources.filter(s => s.actuallySupports).length,
+                contradictingSources: allSources.filter(s => s.contradicts).length,
+                contentType: contentType.type,
+                scoringProfile: this.scoring.name
+            }
+        };
+    }
+
+    // MÉTHODES UTILITAIRES
+
+    calculateSemanticSimilarity(text1, text2) {
+        if (!text1 || !text2) return { score: 0, confirms: false };
+        
+        const stopWords = this.stopWords;
+        
+        const extractKeywords = (text) => {
+            return text.toLowerCase()
+                .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+                .split(/\s+/)
+                .filter(word => word.length > 3 && !stopWords.has(word) && !/^\d+$/.test(word));
+        };
+
+        const keywords1 = new Set(extractKeywords(text1));
+        const keywords2 = new Set(extractKeywords(text2));
+
+        const intersection = new Set([...keywords1].filter(x => keywords2.has(x)));
+        const union = new Set([...keywords1, ...keywords2]);
+
+        const lexicalSimilarity = union.size > 0 ? intersection.size / union.size : 0;
+        const semanticSimilarity = stringSimilarity.compareTwoStrings(
+            sanitizeInput(text1).toLowerCase(),
+            sanitizeInput(text2).toLowerCase()
+        );
+
+        const combinedScore = Math.min(1, (lexicalSimilarity * 0.6) + (semanticSimilarity * 0.4));
+
+        return {
+            score: combinedScore,
+            confirms: combinedScore > 0.2
+        };
+    }
+
+    getSourceCredibilityTier(url) {
+        if (!url) return { tier: 'unknown', multiplier: 0.4 };
+
+        const entry = credibilityRegistry.resolve(url, this.tenant);
+        if (!entry) {
+            return { tier: 'unknown', multiplier: UNKNOWN_SOURCE_MULTIPLIER };
+        }
+        return { tier: entry.tier, multiplier: entry.score, category: entry.category, domain: entry.domain };
+    }
+}
+
+// ========== DÉTECTION DE POSITION (STANCE) ==========
+// Un détecteur classe la relation entre une affirmation et l'extrait d'une source : { name, detect(claim, evidence,
+// { factChecker }) } renvoie { label, scores, reason, details } avec label ∈ entailment | contradiction | neutral.
+// actuallySupports / contradicts sont dérivés de ce label.
+
+const STANCE_LABELS = ['entailment', 'contradiction', 'neutral'];
+const STANCE_RELEVANCE_THRESHOLD = 0.15;
+const STANCE_DETECTOR = process.env.STANCE_DETECTOR || 'rules';
+const STANCE_MODEL = process.env.STANCE_MODEL || 'Xenova/nli-deberta-v3-xsmall';
+const STANCE_MODEL_PATH = process.env.STANCE_MODEL_PATH || null;
+const STANCE_ALLOW_REMOTE_MODELS = process.env.STANCE_ALLOW_REMOTE_MODELS === 'true';
+
+// Le label retenu porte la confiance, le reste est réparti entre les deux autres
+function stanceResult(label, confidence, reason, details = null) {
+    const remainder = (1 - confidence) / 2;
+    const scores = Object.fromEntries(STANCE_LABELS.map(candidate => [candidate, roundMetric(candidate === label ? confidence : remainder)]));
+    return { label, scores, reason, details };
+}
+
+// Écart relatif toléré entre deux valeurs comparables (arrondis des sources), doublé après "environ"
+const NUMERIC_AGREEMENT_TOLERANCE = 0.05;
+
+// Chiffres de l'affirmation face à ceux de la source au même sujet (années exclues : voir le raisonnement temporel).
+// Une valeur de la source qui s'accorde suffit ; sinon l'écart le plus faible est renvoyé. null sans valeur comparable.
+function numericDisagreement(factChecker, claim, evidence) {
+    if (factChecker.areComplementaryContexts(factChecker.extractDetailedContext(claim), factChecker.extractDetailedContext(evidence))) {
+        return null;
+    }
+    const patterns = getLanguagePatterns(factChecker.language);
+    const evidenceQuantities = parseQuantities(evidence, detectLanguage(evidence, factChecker.language))
+        .filter(quantity => quantity.dimension !== 'year' && quantity.subject.length > 0);
+
+    for (const claimed of parseQuantities(claim, factChecker.language)) {
+        if (claimed.dimension === 'year' || claimed.subject.length === 0 || claimed.value === 0) continue;
+        const candidates = evidenceQuantities.filter(quantity => areComparableQuantities(claimed, quantity));
+        if (candidates.length === 0) continue;
+
+        const comparison = quantityComparison(patterns.knowledge, claim, claimed);
+        const tolerance = Math.max(Math.abs(claimed.value) * NUMERIC_AGREEMENT_TOLERANCE, quantityTolerance(claimed, patterns.quantity.decimalSeparator))
+            * (comparison === 'approximate' ? 2 : 1);
+        const agrees = (amount) => {
+            if (comparison === 'above') return amount >= claimed.value - tolerance;
+            if (comparison === 'below') return amount <= claimed.value + tolerance;
+            return Math.abs(amount - claimed.value) <= tolerance;
+        };
+        if (candidates.some(quantity => agrees(quantity.value))) continue;
+
+        const closest = candidates.reduce((best, quantity) =>
+            (Math.abs(quantity.value - claimed.value) < Math.abs(best.value - claimed.value) ? quantity : best));
+        return {
+            original: claimed.value,
+            source: closest.value,
+            dimension: claimed.dimension,
+            unit: claimed.unit,
+            originalText: claimed.raw,
+            sourceText: closest.raw,
+            comparison,
+            difference: Math.abs(closest.value - claimed.value) / Math.abs(claimed.value)
+        };
+    }
+    return null;
+}
+
+// Écart numérique sur des quantités comparables (même dimension, même sujet) : jamais une confirmation.
+// Une valeur qui évolue (population, part) proche à 10 % près est jugée datée plutôt que fausse.
+function numericStance(factChecker, claim, evidence) {
+    const contradiction = factChecker.detectIntelligentContradiction(claim, evidence);
+    if (contradiction.detected) {
+        return stanceResult('contradiction', 0.9, 'numeric_mismatch', contradiction.details);
+    }
+
+    const disagreement = numericDisagreement(factChecker, claim, evidence);
+    if (!disagreement) return null;
+    if (TIME_SENSITIVE_DIMENSIONS.includes(disagreement.dimension) && disagreement.difference <= KNOWLEDGE_TIME_VARYING_MARGIN) {
+        return stanceResult('neutral', 0.6, 'numeric_outdated', { ...disagreement, reason: 'Écart faible sur une valeur qui évolue' });
+    }
+    return stanceResult('contradiction', 0.75, 'numeric_mismatch', { ...disagreement, reason: 'Valeurs différentes pour le même sujet' });
+}
+
+// Propositions d'une phrase : virgule, point-virgule ou deux-points suivis d'un espace ("3,6" reste entier), parenthèses, tirets
+const CLAUSE_BOUNDARY = /[,;:](?=\s|$)|[()—–]/;
+
+const stanceKeywords = (text, stopWords) => text.toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+    .split(/\s+/)
+    .filter(word => word.length > 3 && !stopWords.has(word) && !/^\d+$/.test(word));
+
+// Quantités et reste du texte : "millions" n'est pas un terme partagé entre "14 millions" et "40 millions"
+function separateQuantities(text, language) {
+    const quantities = parseQuantities(text, language);
+    const remaining = quantities.reduceRight(
+        (result, quantity) => result.substring(0, quantity.start) + ' ' + result.substring(quantity.end), text);
+    return { quantities, remaining };
+}
+
+// Ancrages de la polarité : mots communs aux deux textes (hors quantités) et valeurs chiffrées de l'affirmation
+function stanceAnchors(factChecker, claim, sentence, sentenceLanguage) {
+    const stopWords = factChecker.stopWords;
+    const claimParts = separateQuantities(claim, factChecker.language);
+    const sentenceWords = new Set(stanceKeywords(separateQuantities(sentence, sentenceLanguage).remaining, stopWords));
+
+    return {
+        terms: new Set(stanceKeywords(claimParts.remaining, stopWords).filter(word => sentenceWords.has(word))),
+        values: new Set(claimParts.quantities.map(quantity => quantity.value)),
+        stopWords
+    };
+}
+
+// Sans ancrages, une négation n'importe où dans le texte compte. Avec ancrages, seules comptent les négations
+// des propositions qui portent un terme partagé ou une valeur de l'affirmation : "14 millions, sans compter
+// la banlieue" ne nie pas "14 millions". Les mots de réfutation ("faux", "myth") visent la phrase entière.
+function isNegated(text, stancePatterns, anchors = null, language = DEFAULT_LANGUAGE) {
+    const cleaned = text.replace(stancePatterns.negationExceptions, ' ');
+    if (stancePatterns.refutation.test(cleaned)) return true;
+    if (!anchors) return stancePatterns.negation.test(cleaned);
+
+    return cleaned.split(CLAUSE_BOUNDARY).some(clause => {
+        if (!stancePatterns.negation.test(clause)) return false;
+        const { quantities, remaining } = separateQuantities(clause, language);
+        return quantities.some(quantity => anchors.values.has(quantity.value)) ||
+            stanceKeywords(remaining, anchors.stopWords).some(word => anchors.terms.has(word));
+    });
+}
+
+// Terme de l'affirmation dont l'antonyme apparaît seul dans la phrase de la source
+function findAntonym(claim, sentence, stancePatterns) {
+    for (const pair of stancePatterns.antonyms) {
+        for (const [claimSide, evidenceSide] of [[0, 1], [1, 0]]) {
+            const claimMatch = pair[claimSide].exec(claim);
+            const evidenceMatch = pair[evidenceSide].exec(sentence);
+            if (claimMatch && evidenceMatch && !pair[evidenceSide].test(claim) && !pair[claimSide].test(sentence)) {
+                return { claimTerm: claimMatch[0], evidenceTerm: evidenceMatch[0] };
+            }
+        }
+    }
+    return null;
+}
+
+function createRuleBasedStanceDetector() {
+    return {
+        name: 'rules',
+        async detect(claim, evidence, { factChecker }) {
+            if (!claim || !evidence) return stanceResult('neutral', 1, 'empty');
+
+            const numeric = numericStance(factChecker, claim, evidence);
+            if (numeric) return numeric;
+
+            const relevance = factChecker.calculateSemanticSimilarity(claim, evidence);
+            if (!relevance.confirms || relevance.score <= STANCE_RELEVANCE_THRESHOLD) {
+                return stanceResult('neutral', Math.max(0.5, 1 - relevance.score), 'unrelated');
+            }
+
+            // Négations et antonymes évalués sur la phrase de la source la plus proche de l'affirmation
+            const sentence = splitSentences(evidence)
+                .map(candidate => ({ text: candidate.text, score: factChecker.calculateSemanticSimilarity(claim, candidate.text).score }))
+                .reduce((best, candidate) => (candidate.score > best.score ? candidate : best), { text: evidence, score: -1 })
+                .text;
+            const stancePatterns = getLanguagePatterns(factChecker.language).stance;
+
+            const sentenceLanguage = detectLanguage(sentence, factChecker.language);
+            const anchors = stanceAnchors(factChecker, claim, sentence, sentenceLanguage);
+            if (isNegated(claim, stancePatterns, anchors, factChecker.language) !==
+                isNegated(sentence, stancePatterns, anchors, sentenceLanguage)) {
+                return stanceResult('contradiction', 0.75, 'negation', { reason: 'Polarité opposée', sentence });
+            }
+
+            const antonym = findAntonym(claim, sentence, stancePatterns);
+            if (antonym) {
+                return stanceResult('contradiction', 0.7, 'antonym', { reason: 'Termes opposés', sentence, ...antonym });
+            }
+
+            return stanceResult('entailment', Math.min(0.95, 0.5 + relevance.score), 'semantic_match');
+        }
+    };
+}
+
+const softmax = (values) => {
+    const max = Math.max(...values);
+    const exponentials = values.map(value => Math.exp(value - max));
+    const total = exponentials.reduce((sum, value) => sum + value, 0);
+    return exponentials.map(value => value / total);
+};
+
+// Modèle NLI local (ONNX, CPU) via transformers.js ; repli sur les règles si le modèle ne se charge pas
+function createTransformersStanceDetector({ model = STANCE_MODEL, fallback = createRuleBasedStanceDetector() } = {}) {
+    let loading = null;
+
+    const load = () => {
+        if (!loading) {
+            loading = import('@xenova/transformers')
+                .then(async ({ env, AutoTokenizer, AutoModelForSequenceClassification }) => {
+                    env.allowRemoteModels = STANCE_ALLOW_REMOTE_MODELS;
+                    if (STANCE_MODEL_PATH) env.localModelPath = STANCE_MODEL_PATH;
+
+                    const [tokenizer, classifier] = await Promise.all([
+                        AutoTokenizer.from_pretrained(model),
+                        AutoModelForSequenceClassification.from_pretrained(model)
+                    ]);
+                    const labels = Object.entries(classifier.config.id2label || {}).map(([index, name]) => ({
+                        index: Number(index),
+                        label: STANCE_LABELS.find(candidate => name.toLowerCase().startsWith(candidate.substring(0, 6)))
+                    }));
+                    if (STANCE_LABELS.some(label => !labels.some(entry => entry.label === label))) {
+                        throw new Error('labels entailment/contradiction/neutral absents');
+                    }
+                    logInfo(`🧠 Modèle NLI chargé : ${model}`);
+                    return { tokenizer, classifier, labels };
+                })
+                .catch(error => {
+                    logWarn(`Modèle NLI ${model} indisponible (${error.message}) — détection de position par règles.`);
+                    return null;
+                });
+        }
+        return loading;
+    };
+
+    return {
+        name: `transformers:${model}`,
+        load,
+        async detect(claim, evidence, options) {
+            const nli = await load();
+            if (!nli) return fallback.detect(claim, evidence, options);
+            if (!claim || !evidence) return stanceResult('neutral', 1, 'empty');
+
+            // Les modèles NLI lisent mal les chiffres : l'écart détecté sur les quantités l'emporte
+            const numeric = numericStance(options.factChecker, claim, evidence);
+            if (numeric) return numeric;
+
+            const inputs = nli.tokenizer(evidence, { text_pair: claim, truncation: true });
+            const { logits } = await nli.classifier(inputs);
+            const probabilities = softmax(Array.from(logits.data));
+            const scores = Object.fromEntries(nli.labels.map(entry => [entry.label, roundMetric(probabilities[entry.index])]));
+            const label = STANCE_LABELS.reduce((best, candidate) => (scores[candidate] > scores[best] ? candidate : best));
+            return { label, scores, reason: 'nli_model', details: null };
+        }
+    };
+}
+
+const STANCE_DETECTORS = {
+    rules: createRuleBasedStanceDetector,
+    transformers: createTransformersStanceDetector
+};
+
+function createStanceDetector(name) {
+    const factory = STANCE_DETECTORS[name];
+    if (!factory) {
+        logWarn(`STANCE_DETECTOR inconnu (${name}) — détection de position par règles.`);
+        return createRuleBasedStanceDetector();
+    }
+    return factory();
+}
+
+const stanceDetector = createStanceDetector(STANCE_DETECTOR);
+
+// ========== FONCTION D'ANALYSE DES SOURCES AMÉLIORÉE ==========
+
+async function analyzeSourcesWithImprovedLogic(factChecker, originalText, sources, onSourceAnalyzed, detector = stanceDetector) {
+    const analyzedSources = [];
+    // Période de l'affirmation, à laquelle chaque source est confrontée par sa date
+    const timeFrame = factChecker.extractTimeFrame(originalText);
+    
+    for (const source of sources.slice(0, 5)) {
+        const analyzedCount = analyzedSources.length;
+        const temporal = factChecker.assessSourceTimeliness(timeFrame, source, originalText);
+        try {
+            const credibility = factChecker.getSourceCredibilityTier(source.url);
+            const semanticMatch = factChecker.calculateSemanticSimilarity(originalText, source.snippet || '');
+            const stance = await detector.detect(originalText, source.snippet || '', { factChecker });
+            
+            analyzedSources.push({
+                ...source,
+                semanticRelevance: semanticMatch.score,
+                confirmsContent: semanticMatch.confirms,
+                stance: stance.label,
+                stanceScores: stance.scores,
+                stanceReason: stance.reason,
+                stanceDetector: detector.name,
+                contradicts: stance.label === 'contradiction',
+                contradictionDetails: stance.label === 'contradiction' ? stance.details : null,
+                credibilityTier: credibility.tier,
+                credibilityMultiplier: credibility.multiplier * temporal.weight,
+                temporal,
+                actuallySupports: stance.label === 'entailment'
+            });
+            
+        } catch (error) {
+            logError(`Erreur analyse source ${source.url}`, error.message);
+            
+            const credibility = factChecker.getSourceCredibilityTier(source.url);
+            analyzedSources.push({
+                ...source,
+                semanticRelevance: 0.3,
+                confirmsContent: false,
+                stance: 'neutral',
+                contradicts: false,
+                credibilityTier: credibility.tier,
+                credibilityMultiplier: credibility.multiplier * temporal.weight,
+                temporal,
+                actuallySupports: false
+            });
+        }
+
+        if (onSourceAnalyzed && analyzedSources.length > analyzedCount) {
+            onSourceAnalyzed(analyzedSources[analyzedSources.length - 1]);
+        }
+    }
+    
+    return analyzedSources;
+}
+
+// ========== RÉCUPÉRATION ET ANALYSE DES PAGES SOURCES ==========
+
+const pageCache = new NodeCache({ stdTTL: PAGE_CACHE_TTL_SECONDS, checkperiod: CACHE_CHECK_PERIOD_SECONDS });
+
+// Adresses jamais contactées : boucle locale, réseaux privés, lien local, CGNAT, ULA IPv6, multicast, réservées
+const BLOCKED_ADDRESSES = (() => {
+    const blockList = new net.BlockList();
+    [
+        ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+        ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+    ].forEach(([network, prefix]) => blockList.addSubnet(network, prefix, 'ipv4'));
+    [
+        ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8], ['64:ff9b::', 96], ['2001:db8::', 32]
+    ].forEach(([network, prefix]) => blockList.addSubnet(network, prefix, 'ipv6'));
+    return blockList;
+})();
+const MAX_PAGE_REDIRECTS = 3;
+
+function isPublicAddress(address) {
+    const family = net.isIP(address);
+    if (family === 0) return false;
+    // IPv4 encapsulée (::ffff:127.0.0.1) : jugée comme l'adresse IPv4
+    const mapped = family === 6 && /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+    if (mapped) return isPublicAddress(mapped[1]);
+    return !BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+// Filtre syntaxique (schéma, noms locaux, adresses littérales) ; la résolution DNS est vérifiée au téléchargement
+function isFetchableUrl(url) {
+    try {
+        const parsed = new URL(url);
+        if (!['http:', 'https:'].includes(parsed.protocol)) return false;
+        // "localhost." et "LOCALHOST" désignent le même hôte que "localhost"
+        const host = parsed.hostname.toLowerCase().replace(/\.+$/, '').replace(/^\[|\]$/g, '');
+        if (!host || host === 'localhost' || host.endsWith('.localhost') || host.endsWith('.local') || host.endsWith('.internal')) {
+            return false;
+        }
+        return net.isIP(host) === 0 || isPublicAddress(host);
+    } catch {
+        return false;
+    }
+}
+
+const blockedAddressError = (url) => Object.assign(new Error(`Adresse non publique refusée: ${url}`), { code: 'EBLOCKEDADDRESS' });
+
+// Résout l'hôte et refuse l'URL si une seule de ses adresses n'est pas publique
+async function resolvePublicAddress(url) {
+    if (!isFetchableUrl(url)) throw blockedAddressError(url);
+    const host = new URL(url).hostname.replace(/^\[|\]$/g, '');
+    const addresses = net.isIP(host) ? [{ address: host, family: net.isIP(host) }] : await dns.promises.lookup(host, { all: true });
+    if (addresses.length === 0 || !addresses.every(({ address }) => isPublicAddress(address))) {
+        throw blockedAddressError(url);
+    }
+    return addresses[0];
+}
+
+// Vide un corps de réponse abandonné : destroy() émettrait une erreur d'annulation non écoutée
+async function discardBody(body) {
+    if (!body) return;
+    body.on('error', () => {});
+    await body.dump().catch(() => {});
+}
+
+async function readLimitedBody(stream, maxBytes) {
+    const chunks = [];
+    let received = 0;
+    // Sortir de la boucle détruit le corps, ce qu'undici signale par une erreur d'annulation
+    stream.on('error', () => {});
+    for await (const chunk of stream) {
+        const buffer = Buffer.from(chunk);
+        received += buffer.length;
+        if (received > maxBytes) {
+            chunks.push(buffer.subarray(0, buffer.length - (received - maxBytes)));
+            break;
+        }
+        chunks.push(buffer);
+    }
+    return Buffer.concat(chunks);
+}
+
+function decodeHtml(buffer, contentType = '') {
+    const charset = (/charset=([\w-]+)/i.exec(contentType) || [])[1] || 'utf-8';
+    try {
+        return new TextDecoder(charset).decode(buffer);
+    } catch {
+        return buffer.toString('utf8');
+    }
+}
+
+// Une requête sans suivre les redirections, la connexion épinglée sur l'adresse vérifiée (pas de second DNS)
+async function requestPinned(url, { address, family }, options) {
+    const dispatcher = new undiciModule.Agent({
+        connect: {
+            lookup: (hostname, lookupOptions, callback) => (lookupOptions && lookupOptions.all
+                ? callback(null, [{ address, family }])
+                : callback(null, address, family))
+        }
+    });
+    try {
+        const response = await undiciModule.request(url, { ...options, dispatcher, maxRedirections: 0 });
+        return { ...response, dispatcher };
+    } catch (error) {
+        dispatcher.destroy().catch(() => {});
+        throw error;
+    }
+}
+
+// Télécharge une page avec limites de temps et de taille ; html reste null pour une erreur HTTP ou un contenu non HTML.
+// Chaque saut de redirection est résolu et vérifié (adresse publique) avant d'être contacté.
+async function requestPage(url) {
+    if (!undiciModule) {
+        throw new Error('undici non disponible');
+    }
+
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), PAGE_FETCH_TIMEOUT_MS);
+    const headers = {
+        'user-agent': 'VerifyAI-FactChecker/2.3 (+https://fact-checker-ia-production.up.railway.app)',
+        accept: 'text/html,application/xhtml+xml'
+    };
+
+    let dispatcher = null;
+    try {
+        let currentUrl = url;
+        for (let redirects = 0; ; redirects++) {
+            const address = await resolvePublicAddress(currentUrl);
+            const response = await requestPinned(currentUrl, address, {
+                method: 'GET',
+                headers,
+                signal: controller.signal,
+                headersTimeout: PAGE_FETCH_TIMEOUT_MS,
+                bodyTimeout: PAGE_FETCH_TIMEOUT_MS
+            });
+            dispatcher = response.dispatcher;
+            const { statusCode, headers: responseHeaders, body } = response;
+            const location = responseHeaders.location;
+
+            if (statusCode >= 300 && statusCode < 400 && location && redirects < MAX_PAGE_REDIRECTS) {
+                await discardBody(body);
+                dispatcher.destroy().catch(() => {});
+                dispatcher = null;
+                currentUrl = new URL(String(location), currentUrl).toString();
+                continue;
+            }
+
+            const contentType = String(responseHeaders['content-type'] || '');
+            if (statusCode >= 300 || !/html/i.test(contentType)) {
+                await discardBody(body);
+                return { statusCode, contentType, html: null, url: currentUrl };
+            }
+            return { statusCode, contentType, html: decodeHtml(await readLimitedBody(body, MAX_PAGE_BYTES), contentType), url: currentUrl };
+        }
+    } finally {
+        clearTimeout(timeoutId);
+        if (dispatcher) dispatcher.destroy().catch(() => {});
+    }
+}
+
+async function fetchSourcePage(url) {
+    return (await requestPage(url)).html;
+}
+
+// Texte principal (paragraphes) et date de publication d'une page
+function extractArticleContent(html) {
+    const $ = cheerioModule.load(html);
+    $('script, style, noscript, nav, header, footer, aside, form, iframe, svg, [role="navigation"], [aria-hidden="true"]').remove();
+
+    const candidates = ['article', 'main', '[role="main"]', '#content', '.content', 'body'];
+    let root = null;
+    for (const selector of candidates) {
+        const node = $(selector).first();
+        if (node.length && node.text().trim().length > 200) {
+            root = node;
+            break;
+        }
+    }
+    root = root || $('body');
+
+    const paragraphs = root.find('p, li, h2, h3, td, blockquote')
+        .map((_, el) => $(el).text().replace(/\s+/g, ' ').trim())
+        .get()
+        .filter(paragraph => paragraph.length >= 40);
+
+    let publishedAt = $('meta[property="article:published_time"]').attr('content') ||
+        $('meta[name="date"]').attr('content') ||
+        $('meta[name="pubdate"]').attr('content') ||
+        $('meta[itemprop="datePublished"]').attr('content') ||
+        $('[itemprop="datePublished"]').attr('datetime') ||
+        $('time[datetime]').first().attr('datetime') ||
+        null;
+
+    if (!publishedAt) {
+        $('script[type="application/ld+json"]').each((_, el) => {
+            if (publishedAt) return;
+            const match = /"datePublished"\s*:\s*"([^"]+)"/.exec($(el).html() || '');
+            if (match) publishedAt = match[1];
+        });
+    }
+
+    const parsedDate = publishedAt ? new Date(publishedAt) : null;
+
+    return {
+        title: $('title').first().text().trim(),
+        paragraphs,
+        publishedAt: parsedDate && !Number.isNaN(parsedDate.getTime()) ? parsedDate.toISOString() : null
+    };
+}
+
+// Passage de la page (1 ou 2 paragraphes consécutifs) le plus proche de l'affirmation
+function findBestPassage(factChecker, claimText, paragraphs) {
+    let best = null;
+    for (let i = 0; i < paragraphs.length; i++) {
+        const windows = [paragraphs[i]];
+        if (i + 1 < paragraphs.length) {
+            windows.push(`${paragraphs[i]} ${paragraphs[i + 1]}`);
+        }
+        for (const passage of windows) {
+            const text = passage.substring(0, 1200);
+            const { score } = factChecker.calculateSemanticSimilarity(claimText, text);
+            if (!best || score > best.score) {
+                best = { text, score };
+            }
+        }
+    }
+    return best;
+}
+
+async function loadSourcePage(url) {
+    const cached = pageCache.get(url);
+    if (cached !== undefined) return cached;
+
+    let page = null;
+    try {
+        const html = await fetchSourcePage(url);
+        page = html ? extractArticleContent(html) : null;
+    } catch (error) {
+        logWarn(`⚠️ Page source inaccessible ${url}: ${error.message}`);
+    }
+    pageCache.set(url, page);
+    return page;
+}
+
+// Remplace le snippet de recherche par le meilleur passage de la page quand elle est récupérable ;
+// seules les MAX_ENRICHED_PAGES premières sources sont téléchargées, les suivantes sont gardées telles quelles
+async function enrichSourcesWithPages(factChecker, claimText, sources) {
+    if (!cheerioModule || !undiciModule) return sources;
+
+    return Promise.all(sources.map(async (source, index) => {
+        if (index >= MAX_ENRICHED_PAGES || !isFetchableUrl(source.url)) return source;
+
+        const page = await loadSourcePage(source.url);
+        if (!page || page.paragraphs.length === 0) {
+            return { ...source, pageFetched: false };
+        }
+
+        const passage = findBestPassage(factChecker, claimText, page.paragraphs);
+        if (!passage || passage.score <= 0) {
+            return { ...source, pageFetched: true, publishedAt: page.publishedAt };
+        }
+
+        return {
+            ...source,
+            searchSnippet: source.snippet,
+            snippet: passage.text,
+            evidenceScore: passage.score,
+            pageFetched: true,
+            publishedAt: page.publishedAt
+        };
+    }));
+}
+
+// ========== VÉRIFICATION DES CITATIONS ==========
+// Les réponses d'IA citent souvent leurs sources : URL, DOI ou référence nommée ("(Source : INSEE 2023)",
+// "selon l'OMS"). Chaque citation est rattachée à la phrase qui la porte, à celle qui renvoie à sa note [n],
+// ou à défaut à la phrase qui la précède. Les URL et DOI sont téléchargés : une page introuvable signale une
+// citation inventée, une page qui ne contient pas l'affirmation (ou la contredit) une citation mal attribuée.
+// Les références nommées sont rapprochées des sources trouvées par la recherche. Le score n'en tient pas compte.
+
+const CITATION_CHECK_ENABLED = process.env.CHECK_CITATIONS !== 'false';
+const MAX_CHECKED_CITATIONS = 10;
+const CITATION_CHECK_CONCURRENCY = 4;
+const MIN_CITED_CLAIM_LENGTH = 15;
+const MISSING_PAGE_STATUSES = [404, 410];
+const DNS_PROBE_HOST = process.env.CITATION_DNS_PROBE_HOST || 'example.com';
+const DNS_PROBE_TTL_SECONDS = 60;
+const CITATION_SUPPORT = { entailment: 'supported', contradiction: 'contradicted', neutral: 'unclear' };
+
+// Les réponses mélangent souvent les langues : mots de citation de tous les profils
+const citationWords = (field) => [...new Set(Object.values(LANGUAGE_PROFILES).flatMap(profile => profile[field] || []))].join('|');
+const CITATION_PATTERNS = {
+    url: /\bhttps?:\/\/[^\s<>"'`]+/giu,
+    doi: /\b(?:doi:\s*)?(10\.\d{4,9}\/[^\s<>"'`]+)/giu,
+    doiUrl: /^https?:\/\/(?:dx\.)?doi\.org\/(10\.\d{4,9}\/.+)$/iu,
+    // "(Source : INSEE 2023)", "[selon l'OMS]"
+    bracketed: new RegExp(`[(\\[]\\s*(?:${citationWords('citationNouns')}|${citationWords('citationPrepositions')})\\s*:?\\s*([^()\\[\\]\\n]{2,120}?)\\s*[)\\]]`, 'giu'),
+    // "Sources : INSEE, Eurostat" en début de ligne ou après une phrase
+    line: new RegExp(`(?:^|(?<=[.!?][ \\t]+))[ \\t]*(?:${citationWords('citationNouns')})[ \\t]*:[ \\t]*(\\S[^\\n]{1,150})$`, 'gimu'),
+    listSeparator: /\s*[;,]\s*(?=\p{Lu})|\s+(?:et|and|und|y|e)\s+(?=\p{Lu})/u,
+    // "Selon l'INSEE, …" : le nom cité suit le mot de citation
+    inline: new RegExp(`${WORD_START}(?:${citationWords('citationPrepositions')})\\s+`, 'giu'),
+    footnoteDefinition: /^[ \t]*\[(\d{1,2})\][ \t]*:?[ \t]*(\S[^\n]*)$/gm,
+    footnoteMarker: /\[(\d{1,2})\]/g
+};
+const CITED_NAME_ARTICLE = /^(?:l['’]|les?\s+|la\s+|the\s+|el\s+|los\s+|die\s+|der\s+|das\s+|il\s+|lo\s+|os?\s+|as?\s+)/iu;
+const CITED_NAME_CONNECTORS = new Set(['de', 'du', 'des', 'of', 'for', 'and', 'et', 'the', 'la', 'le', 'del', 'der', 'di', 'do', 'da']);
+const CITED_YEAR = /\b(1[89]\d{2}|20\d{2})\b/g;
+
+// Ponctuation finale et parenthèses non ouvertes ne font pas partie de l'URL : "(voir https://x.org/a)."
+function trimCitedUrl(raw) {
+    let url = raw.replace(/[.,;:!?*_~'"»]+$/u, '');
+    for (const [open, close] of [['(', ')'], ['[', ']']]) {
+        while (url.endsWith(close) && url.split(open).length < url.split(close).length) {
+            url = url.slice(0, -1).replace(/[.,;:!?*_~]+$/u, '');
+        }
+    }
+    return url;
+}
+
+// "INSEE, 2023" → { name: 'INSEE', year: 2023 }
+function parseCitedName(content) {
+    const years = content.match(CITED_YEAR) || [];
+    const name = content
+        .replace(CITED_YEAR, ' ')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .replace(CITED_NAME_ARTICLE, '')
+        .replace(/^[\s,;:.-]+|[\s,;:.()-]+$/gu, '');
+    if (!/\p{L}{2}/u.test(name)) return null;
+    return { name: name.substring(0, 100), year: years.length > 0 ? Number(years[0]) : null };
+}
+
+// Nom cité en tête de texte : mots capitalisés et mots de liaison, jusqu'à la ponctuation
+// ("l'INSEE, le chômage…" → "INSEE" ; "the World Health Organization declared…" → "World Health Organization")
+function leadingCitedName(text) {
+    const article = CITED_NAME_ARTICLE.exec(text);
+    const offset = article ? article[0].length : 0;
+    const segment = /^[^,;:.()\[\]\n!?]*/u.exec(text.slice(offset))[0];
+    const words = [];
+    for (const match of segment.matchAll(/\S+/gu)) {
+        const word = match[0];
+        if (/^\p{Lu}/u.test(word) || (words.length > 0 && /^\d/.test(word))) {
+            words.push({ word, end: match.index + word.length });
+        } else if (words.length > 0 && CITED_NAME_CONNECTORS.has(word.toLowerCase())) {
+            words.push({ word, end: match.index + word.length, connector: true });
+        } else {
+            break;
+        }
+    }
+    while (words.length > 0 && words[words.length - 1].connector) words.pop();
+    if (words.length === 0) return null;
+    return { name: words.map(entry => entry.word).join(' '), length: offset + words[words.length - 1].end };
+}
+
+// Citations du texte avec leur position ; une même zone n'est attribuée qu'une fois (URL, puis DOI, puis références)
+function findCitations(text) {
+    const citations = [];
+    const add = (citation) => {
+        if (!citations.some(other => citation.start < other.end && citation.end > other.start)) {
+            citations.push(citation);
+        }
+    };
+    const addReference = (content, start, end) => {
+        const parsed = parseCitedName(content);
+        if (parsed) add({ type: 'reference', text: text.slice(start, end).trim(), url: null, doi: null, ...parsed, start, end });
+    };
+
+    for (const match of text.matchAll(CITATION_PATTERNS.url)) {
+        const url = trimCitedUrl(match[0]);
+        const doi = (CITATION_PATTERNS.doiUrl.exec(url) || [])[1] || null;
+        add({ type: doi ? 'doi' : 'url', text: url, url, doi, name: null, year: null, start: match.index, end: match.index + url.length });
+    }
+    for (const match of text.matchAll(CITATION_PATTERNS.doi)) {
+        const doi = trimCitedUrl(match[1]);
+        const end = match.index + match[0].length - (match[1].length - doi.length);
+        add({ type: 'doi', text: text.slice(match.index, end), url: `https://doi.org/${doi}`, doi, name: null, year: null, start: match.index, end });
+    }
+
+    // Notes "[1] INSEE, 2023" : la citation de la note est rattachée aux phrases qui portent l'appel [1]
+    const footnotes = [...text.matchAll(CITATION_PATTERNS.footnoteDefinition)].map(match => ({
+        number: match[1],
+        start: match.index,
+        end: match.index + match[0].length,
+        contentStart: match.index + match[0].length - match[2].length
+    }));
+    for (const footnote of footnotes) {
+        addReference(text.slice(footnote.contentStart, footnote.end), footnote.contentStart, footnote.end);
+    }
+    for (const citation of citations) {
+        const footnote = footnotes.find(note => citation.start >= note.start && citation.start < note.end);
+        if (footnote) citation.footnote = footnote.number;
+    }
+
+    for (const match of text.matchAll(CITATION_PATTERNS.bracketed)) {
+        addReference(match[1], match.index, match.index + match[0].length);
+    }
+    // Une référence par nom cité : "Eurostat, Destatis 2022"
+    for (const match of text.matchAll(CITATION_PATTERNS.line)) {
+        let offset = match.index + match[0].length - match[1].length;
+        for (const part of match[1].split(CITATION_PATTERNS.listSeparator)) {
+            const start = text.indexOf(part, offset);
+            addReference(part, start, start + part.length);
+            offset = start + part.length;
+        }
+    }
+    for (const match of text.matchAll(CITATION_PATTERNS.inline)) {
+        const cited = leadingCitedName(text.slice(match.index + match[0].length));
+        if (cited) addReference(cited.name, match.index, match.index + match[0].length + cited.length);
+    }
+
+    const markers = [...text.matchAll(CITATION_PATTERNS.footnoteMarker)]
+        .filter(match => !footnotes.some(note => match.index >= note.start && match.index < note.end))
+        .map(match => ({ number: match[1], start: match.index, end: match.index + match[0].length }));
+
+    return { citations: citations.sort((a, b) => a.start - b.start), markers, footnotes };
+}
+
+// Citations détectées, chacune avec l'affirmation (phrase sans ses citations) qu'elle appuie
+function extractCitations(text) {
+    const { citations, markers, footnotes } = findCitations(text);
+    if (citations.length === 0) return [];
+
+    // L'affirmation est la phrase d'origine dont citations, appels de note et notes sont effacés
+    const spans = [...citations, ...markers, ...footnotes];
+    const masked = spans.reduce(
+        (result, span) => result.slice(0, span.start) + ' '.repeat(span.end - span.start) + result.slice(span.end),
+        text
+    );
+    const sentences = splitSentences(text)
+        .map(sentence => ({
+            ...sentence,
+            text: masked.slice(sentence.start, sentence.end)
+                .replace(/\[([^\]]*)\]\(\s*\)/g, '$1')
+                .replace(/[(\[]\s*[)\]]/g, '')
+                .replace(/\s+/g, ' ')
+                .replace(/\s+([.,;:!?])/g, '$1')
+                .replace(/^[\s,;:.-]+/, '')
+                .trim()
+        }))
+        .filter(sentence => sentence.text.length >= MIN_CITED_CLAIM_LENGTH);
+
+    const claimFor = (citation) => {
+        if (citation.footnote) {
+            const marker = markers.find(entry => entry.number === citation.footnote);
+            const cited = marker && sentences.find(sentence => marker.start >= sentence.start && marker.start <= sentence.end);
+            if (cited) return cited;
+        }
+        return sentences.find(sentence => sentence.start <= citation.end && sentence.end >= citation.start)
+            || [...sentences].reverse().find(sentence => sentence.start <= citation.start)
+            || sentences[0]
+            || null;
+    };
+
+    const seen = new Set();
+    return citations.flatMap(({ start, end, footnote, ...citation }) => {
+        const claim = claimFor({ start, end, footnote });
+        const key = JSON.stringify([citation.url || citation.name.toLowerCase(), claim ? claim.start : null]);
+        if (seen.has(key)) return [];
+        seen.add(key);
+        return [{ ...citation, claim: claim ? claim.text : null }];
+    });
+}
+
+// Sans DNS (serveur hors-ligne), tous les hôtes sont inconnus : un hôte n'est déclaré inexistant que si DNS_PROBE_HOST se résout
+async function isDnsAvailable() {
+    const cached = pageCache.get('citation:dns');
+    if (cached !== undefined) return cached;
+    const available = await dns.promises.lookup(DNS_PROBE_HOST).then(() => true, () => false);
+    pageCache.set('citation:dns', available, DNS_PROBE_TTL_SECONDS);
+    return available;
+}
+
+// Résultat du téléchargement d'une URL citée : existe, introuvable (404, 410, hôte inconnu) ou inaccessible.
+// Une adresse non publique (y compris après redirection) n'est pas contactée : non vérifiée, et jamais mise en cache
+// comme page absente.
+async function resolveCitedPage(url) {
+    const cacheKey = `citation:${url}`;
+    const cached = pageCache.get(cacheKey);
+    if (cached !== undefined) return cached;
+
+    let resolution;
+    try {
+        const { statusCode, html } = await requestPage(url);
+        if (statusCode >= 200 && statusCode < 300) {
+            resolution = { status: 'exists', httpStatus: statusCode, page: html && cheerioModule ? extractArticleContent(html) : null };
+        } else {
+            resolution = { status: MISSING_PAGE_STATUSES.includes(statusCode) ? 'not_found' : 'unreachable', httpStatus: statusCode, page: null };
+        }
+    } catch (error) {
+        const code = error.code || error.cause?.code || null;
+        if (code === 'EBLOCKEDADDRESS') {
+            return { status: 'not_checked', httpStatus: null, page: null, reason: 'blocked_address' };
+        }
+        const unknownHost = code === 'ENOTFOUND' && await isDnsAvailable();
+        resolution = { status: unknownHost ? 'not_found' : 'unreachable', httpStatus: null, page: null, reason: code || error.message };
+    }
+    pageCache.set(cacheKey, resolution);
+    return resolution;
+}
+
+// La page citée existe-t-elle, et contient-elle l'affirmation qu'on lui attribue ?
+async function checkCitedPage(factChecker, citation) {
+    if (!CITATION_CHECK_ENABLED) {
+        return { status: 'not_checked', support: 'unverifiable', reason: 'check_disabled' };
+    }
+    if (!isFetchableUrl(citation.url)) {
+        return { status: 'not_checked', support: 'unverifiable', reason: 'blocked_address' };
+    }
+
+    // Seule une page téléchargée après toutes les vérifications d'adresse fournit des passages
+    const { status, httpStatus, page, reason } = await resolveCitedPage(citation.url);
+    if (status !== 'exists') {
+        return { status, httpStatus, support: 'unverifiable', ...(reason ? { reason } : {}) };
+    }
+
+    const paragraphs = page ? [page.title, ...page.paragraphs].filter(Boolean) : [];
+    if (!citation.claim || paragraphs.length === 0) {
+        return { status, httpStatus, support: 'unverifiable' };
+    }
+
+    const passage = findBestPassage(factChecker, citation.claim, paragraphs);
+    if (!passage || passage.score < STANCE_RELEVANCE_THRESHOLD) {
+        return { status, httpStatus, support: 'not_in_page', similarity: passage ? roundMetric(passage.score) : 0 };
+    }
+    const stance = await stanceDetector.detect(citation.claim, passage.text, { factChecker });
+    return {
+        status,
+        httpStatus,
+        support: stance.reason === 'unrelated' ? 'not_in_page' : CITATION_SUPPORT[stance.label],
+        similarity: roundMetric(passage.score),
+        passage: passage.text.substring(0, 300)
+    };
+}
+
+function normalizeCitedName(value) {
+    return ` ${String(value || '').toLowerCase().replace(/[^\p{L}\d]+/gu, ' ').trim()} `;
+}
+
+// Une référence nommée correspond à une source dont le domaine ("insee.fr") ou le titre porte le nom cité
+function matchCitedReference(citation, sources) {
+    const name = normalizeCitedName(citation.name);
+    const compact = name.replace(/\s+/g, '');
+    const source = sources.find(candidate => {
+        let labels = [];
+        try {
+            labels = new URL(candidate.url).hostname.toLowerCase().split('.');
+        } catch {
+            return false;
+        }
+        return (compact.length >= 3 && labels.includes(compact)) || normalizeCitedName(candidate.title).includes(name);
+    });
+    if (!source) {
+        return { status: 'unmatched', support: 'unverifiable' };
+    }
+    return {
+        status: 'matched_source',
+        matchedUrl: source.url,
+        support: source.actuallySupports ? 'supported' : (source.contradicts ? 'contradicted' : 'unclear')
+    };
+}
+
+function citationFlag(check) {
+    if (check.status === 'not_found') return 'hallucinated';
+    if (check.support === 'not_in_page' || check.support === 'contradicted') return 'mismatched';
+    return null;
+}
+
+// Les pages citées sont téléchargées pendant la vérification des affirmations ; finish() rapproche ensuite
+// les références nommées des sources analysées et produit le bilan
+function startCitationCheck(factChecker, text) {
+    const citations = extractCitations(text).slice(0, MAX_CHECKED_CITATIONS);
+    const pageChecks = mapWithConcurrency(citations, CITATION_CHECK_CONCURRENCY, citation => {
+        if (citation.type === 'reference') return null;
+        return checkCitedPage(factChecker, citation).catch(error => {
+            logWarn(`⚠️ Citation non vérifiée ${citation.url}: ${error.message}`);
+            return { status: 'not_checked', support: 'unverifiable' };
+        });
+    });
+
+    return {
+        async finish(sources = []) {
+            const checks = await pageChecks;
+            const results = citations.map((citation, index) => {
+                const check = checks[index] || matchCitedReference(citation, sources);
+                return { ...citation, httpStatus: null, similarity: null, passage: null, matchedUrl: null, ...check, flag: citationFlag(check) };
+            });
+            const count = (predicate) => results.filter(predicate).length;
+            return {
+                total: results.length,
+                supported: count(result => result.support === 'supported'),
+                hallucinated: count(result => result.flag === 'hallucinated'),
+                mismatched: count(result => result.flag === 'mismatched'),
+                unverifiable: count(result => !result.flag && result.support !== 'supported'),
+                citations: results
+            };
+        }
+    };
+}
+
+// ========== BASE DE CONNAISSANCES STRUCTURÉE ==========
+// Faits géographiques, démographiques et historiques (capitale, population, date de fondation, hauteur,
+// superficie) rapprochés d'une base de connaissances et comparés exactement : entités par leur nom, quantités
+// dans l'unité de base avec la tolérance de l'arrondi affirmé, années à l'identique.
+// Chaque base expose { name, isConfigured(), lookup(name, property, language) } et renvoie
+// { entityId, label, url, values } ou null. KNOWLEDGE_BASES définit la chaîne, ex. "local,wikidata" : la
+// suivante n'est interrogée que si la précédente ne connaît pas l'entité ou la propriété.
+// Wikidata reçoit les noms cités dans chaque texte vérifié : la base n'est interrogée que sur demande explicite.
+
+const KNOWLEDGE_SOURCE_TYPE = 'knowledge_base';
+const KNOWLEDGE_CACHE_TTL_SECONDS = 86400;
+const KNOWLEDGE_MAX_SUBJECTS = 3;
+const KNOWLEDGE_MAX_FACTS_PER_CLAIM = 2;
+const KNOWLEDGE_MAX_NAME_LENGTH = 100;
+// Écart relatif sous lequel une valeur qui évolue (population) est jugée datée plutôt que fausse
+const KNOWLEDGE_TIME_VARYING_MARGIN = 0.1;
+const KNOWLEDGE_BASE_FILE = process.env.KNOWLEDGE_BASE_FILE || null;
+const WIKIDATA_SPARQL_URL = process.env.WIKIDATA_SPARQL_URL || 'https://query.wikidata.org/sparql';
+const WIKIDATA_USER_AGENT = process.env.WIKIDATA_USER_AGENT || 'VerifyAI/2.3 (fact-checking server)';
+const WIKIDATA_UNITLESS = 'Q199';
+// Précision Wikidata 9 = année : une décennie ou un siècle ne se compare pas à une année
+const WIKIDATA_YEAR_PRECISION = 9;
+
+// kind : "entity" (comparaison par nom), "quantity" (dimension de parseQuantities) ou "year"
+const KNOWLEDGE_PROPERTIES = {
+    capital: { kind: 'entity', wikidata: ['P36'] },
+    population: { kind: 'quantity', dimension: 'count', timeVarying: true, wikidata: ['P1082'] },
+    inception: { kind: 'year', wikidata: ['P571'] },
+    // Hauteur d'un édifice d'abord, altitude d'un sommet sinon
+    height: { kind: 'quantity', dimension: 'length', wikidata: ['P2048', 'P2044'] },
+    area: { kind: 'quantity', dimension: 'area', wikidata: ['P2046'] }
+};
+
+// Unités acceptées par la base locale et leurs équivalents Wikidata ; sans unité, l'unité de base de la dimension
+const KNOWLEDGE_UNITS = {
+    m: { wikidata: 'Q11573', dimension: 'length', factor: 1 },
+    km: { wikidata: 'Q828224', dimension: 'length', factor: 1000 },
+    ft: { wikidata: 'Q3710', dimension: 'length', factor: 0.3048 },
+    mi: { wikidata: 'Q253276', dimension: 'length', factor: 1609.344 },
+    'm²': { wikidata: 'Q25343', dimension: 'area', factor: 1 },
+    'km²': { wikidata: 'Q712226', dimension: 'area', factor: 1e6 },
+    ha: { wikidata: 'Q35852', dimension: 'area', factor: 1e4 },
+    'mi²': { wikidata: 'Q232291', dimension: 'area', factor: 2589988.110336 }
+};
+const KNOWLEDGE_BASE_UNITS = { count: null, length: 'm', area: 'm²' };
+
+const normalizeKnowledgeName = (value = '') => String(value)
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+
+// "La France" → "France", "L'Espagne" → "Espagne", "Tokyo's" → "Tokyo"
+function cleanKnowledgeSubject(name) {
+    const words = name.replace(/['’]s$/u, '').replace(/^[LlDd]['’]/u, '').split(/\s+/);
+    while (words.length > 1 && ENTITY_STOP_WORDS.has(words[0].toLowerCase())) {
+        words.shift();
+    }
+    return words.join(' ');
+}
+
+function toKnowledgeAmount(amount, unit, dimension) {
+    const number = Number(amount);
+    if (!Number.isFinite(number)) return null;
+    const symbol = unit || KNOWLEDGE_BASE_UNITS[dimension];
+    if (!symbol) return dimension === 'count' ? number : null;
+    const entry = KNOWLEDGE_UNITS[symbol];
+    return entry && entry.dimension === dimension ? number * entry.factor : null;
+}
+
+// { id, label, aliases } pour une entité, { amount, pointInTime } pour une quantité, { year } pour une date
+function normalizeKnowledgeValue(definition, raw) {
+    if (!raw || typeof raw !== 'object') return null;
+    if (definition.kind === 'entity') {
+        if (typeof raw.label !== 'string' || !raw.label.trim()) return null;
+        const aliases = Array.isArray(raw.aliases) ? raw.aliases.filter(alias => typeof alias === 'string') : [];
+        return { id: raw.id ? String(raw.id) : null, label: raw.label.trim(), aliases };
+    }
+    if (definition.kind === 'year') {
+        const year = Number.parseInt(raw.year, 10);
+        return Number.isInteger(year) ? { year } : null;
+    }
+    const amount = toKnowledgeAmount(raw.amount, raw.unit, definition.dimension);
+    return amount === null ? null : { amount, pointInTime: raw.pointInTime ? String(raw.pointInTime) : null };
+}
+
+// Base locale : JSON { entities: [{ id, label, aliases, url, properties: { population: [{ amount, unit, pointInTime }] } }] }
+function createLocalKnowledgeBase(filePath = KNOWLEDGE_BASE_FILE) {
+    let index = null;
+
+    const getIndex = () => {
+        if (!index) {
+            index = new Map();
+            try {
+                const raw = JSON.parse(fs.readFileSync(path.resolve(filePath), 'utf8'));
+                const entities = (Array.isArray(raw) ? raw : (raw.entities || [])).filter(entity => entity && typeof entity.label === 'string');
+                for (const entity of entities) {
+                    for (const name of [entity.label, ...(Array.isArray(entity.aliases) ? entity.aliases : [])]) {
+                        const key = normalizeKnowledgeName(name);
+                        if (key && !index.has(key)) index.set(key, entity);
+                    }
+                }
+                logInfo(`📚 Base de connaissances locale chargée: ${entities.length} entités`);
+            } catch (error) {
+                logError('❌ Base de connaissances locale illisible', error.message);
+            }
+        }
+        return index;
+    };
+
+    return {
+        name: 'local',
+        isConfigured: () => !!filePath,
+        async lookup(name, property) {
+            const entity = getIndex().get(normalizeKnowledgeName(name));
+            const rawValues = entity && entity.properties && entity.properties[property];
+            if (!Array.isArray(rawValues)) return null;
+
+            const definition = KNOWLEDGE_PROPERTIES[property];
+            return {
+                entityId: entity.id ? String(entity.id) : null,
+                label: entity.label,
+                url: entity.url || `knowledge-base:${entity.id || normalizeKnowledgeName(entity.label).replace(/ /g, '_')}`,
+                values: rawValues.map(value => normalizeKnowledgeValue(definition, value)).filter(Boolean)
+            };
+        }
+    };
+}
+
+// Homonymes classés par nombre de liens interwikis ; déclarations terminées (P582) et dépréciées écartées
+function buildWikidataQuery(name, propertyId, language) {
+    const literals = [...new Set([language, 'en'])].map(code => `${JSON.stringify(name)}@${code}`).join(' ');
+    return `SELECT ?item ?itemLabel ?sitelinks ?value ?valueLabel ?amount ?unit ?time ?precision ?pointInTime ?rank WHERE {
+  VALUES ?name { ${literals} }
+  { ?item rdfs:label ?name } UNION { ?item skos:altLabel ?name }
+  ?item wikibase:sitelinks ?sitelinks ; p:${propertyId} ?statement .
+  ?statement ps:${propertyId} ?value ; wikibase:rank ?rank .
+  FILTER(?rank != wikibase:DeprecatedRank)
+  FILTER NOT EXISTS { ?statement pq:P582 ?endTime }
+  OPTIONAL { ?statement psv:${propertyId} ?quantityNode . ?quantityNode wikibase:quantityAmount ?amount . OPTIONAL { ?quantityNode wikibase:quantityUnit ?unit } }
+  OPTIONAL { ?statement psv:${propertyId} ?timeNode . ?timeNode wikibase:timeValue ?time ; wikibase:timePrecision ?precision }
+  OPTIONAL { ?statement pq:P585 ?pointInTime }
+  SERVICE wikibase:label { bd:serviceParam wikibase:language "${language},en" . }
+}
+ORDER BY DESC(?sitelinks)
+LIMIT 50`;
+}
+
+// Ligne de résultat SPARQL → valeur brute au format de la base locale
+function wikidataRowValue(definition, row) {
+    const entityId = (binding) => (binding ? binding.value.split('/').pop() : null);
+    if (definition.kind === 'entity') {
+        return { id: entityId(row.value), label: row.valueLabel?.value };
+    }
+    if (definition.kind === 'year') {
+        if (!row.time || Number(row.precision?.value) < WIKIDATA_YEAR_PRECISION) return null;
+        return { year: row.time.value.match(/^([+-]?\d+)-/)?.[1] };
+    }
+
+    const unitId = entityId(row.unit);
+    const pointInTime = row.pointInTime ? row.pointInTime.value.substring(0, 10) : null;
+    if (!unitId || unitId === WIKIDATA_UNITLESS) {
+        return definition.dimension === 'count' ? { amount: row.amount?.value, pointInTime } : null;
+    }
+    const unit = Object.keys(KNOWLEDGE_UNITS).find(symbol => KNOWLEDGE_UNITS[symbol].wikidata === unitId);
+    return unit ? { amount: row.amount?.value, unit, pointInTime } : null;
+}
+
+function createWikidataKnowledgeBase() {
+    const cache = new NodeCache({ stdTTL: KNOWLEDGE_CACHE_TTL_SECONDS, checkperiod: CACHE_CHECK_PERIOD_SECONDS });
+
+    const query = async (name, propertyId, definition, language) => {
+        const url = `${WIKIDATA_SPARQL_URL}?format=json&query=${encodeURIComponent(buildWikidataQuery(name, propertyId, language))}`;
+        const data = await fetchSearchJson(url, {
+            headers: { Accept: 'application/sparql-results+json', 'User-Agent': WIKIDATA_USER_AGENT }
+        });
+        const rows = data.results?.bindings || [];
+        if (rows.length === 0) return null;
+
+        // Rang "préféré" quand il existe : la population la plus récente, l'altitude de référence
+        const item = rows[0].item.value;
+        const itemRows = rows.filter(row => row.item.value === item);
+        const preferredRows = itemRows.filter(row => row.rank?.value.endsWith('PreferredRank'));
+        const values = [...new Map((preferredRows.length > 0 ? preferredRows : itemRows)
+            .map(row => normalizeKnowledgeValue(definition, wikidataRowValue(definition, row)))
+            .filter(Boolean)
+            .map(value => [JSON.stringify(value), value])).values()];
+        if (values.length === 0) return null;
+
+        const entityId = item.split('/').pop();
+        return { entityId, label: rows[0].itemLabel?.value || name, url: `https://www.wikidata.org/wiki/${entityId}`, values };
+    };
+
+    return {
+        name: 'wikidata',
+        isConfigured: () => !!WIKIDATA_SPARQL_URL,
+        async lookup(name, property, language = DEFAULT_LANGUAGE) {
+            const cacheKey = `${language}:${property}:${normalizeKnowledgeName(name)}`;
+            const cached = cache.get(cacheKey);
+            if (cached) return cached.record;
+
+            const definition = KNOWLEDGE_PROPERTIES[property];
+            let record = null;
+            for (const propertyId of definition.wikidata) {
+                record = await query(name, propertyId, definition, language);
+                if (record) break;
+            }
+            cache.set(cacheKey, { record });
+            return record;
+        }
+    };
+}
+
+const KNOWLEDGE_BASE_FACTORIES = {
+    wikidata: createWikidataKnowledgeBase,
+    local: createLocalKnowledgeBase
+};
+
+// Par défaut : le fichier local s'il est configuré, sinon aucune base
+function buildKnowledgeBaseChain(config = process.env.KNOWLEDGE_BASES) {
+    const names = config !== undefined
+        ? config.split(',').map(name => name.trim().toLowerCase()).filter(name => name && name !== 'none')
+        : (KNOWLEDGE_BASE_FILE ? ['local'] : []);
+
+    const chain = [];
+    for (const name of names) {
+        const factory = KNOWLEDGE_BASE_FACTORIES[name];
+        if (!factory) {
+            logWarn(`⚠️ Base de connaissances inconnue ignorée: ${name}`);
+            continue;
+        }
+        const base = factory();
+        if (base.isConfigured()) {
+            chain.push(base);
+        } else {
+            logWarn(`⚠️ Base de connaissances "${name}" non configurée — ignorée.`);
+        }
+    }
+    return chain;
+}
+
+const knowledgeBases = buildKnowledgeBaseChain();
+
+// Première base de la chaîne qui connaît l'entité et la propriété ; une base en erreur est sautée
+async function lookupKnowledge(bases, name, property, language) {
+    for (const base of bases) {
+        try {
+            const record = await base.lookup(name, property, language);
+            if (record && record.values.length > 0) {
+                return { ...record, knowledgeBase: base.name };
+            }
+        } catch (error) {
+            logError(`Erreur base de connaissances ${base.name} pour "${name}"`, error.message);
+        }
+    }
+    return null;
+}
+
+function quantityComparison(knowledgePatterns, text, quantity) {
+    const before = text.substring(Math.max(0, quantity.start - 40), quantity.start);
+    if (knowledgePatterns.above.test(before)) return 'above';
+    if (knowledgePatterns.below.test(before)) return 'below';
+    if (knowledgePatterns.approximate.test(before)) return 'approximate';
+    return 'exact';
+}
+
+// Faits d'une affirmation : propriété reconnue, sujets candidats (noms propres dans l'ordre du texte) et valeur
+// affirmée. Les questions et les phrases niées ne sont pas comparées.
+function extractKnowledgeFacts(factChecker, text) {
+    const patterns = getLanguagePatterns(factChecker.language);
+    if (/\?\s*$/.test(text) || isNegated(text, patterns.stance)) return [];
+
+    const names = [...new Set(extractEntities(text)
+        .filter(entity => entity.type === 'PROPER_NOUN')
+        .map(entity => cleanKnowledgeSubject(entity.text))
+        .filter(name => name && name.length <= KNOWLEDGE_MAX_NAME_LENGTH && !ENTITY_STOP_WORDS.has(name.toLowerCase())))];
+    if (names.length === 0) return [];
+
+    const quantities = parseQuantities(text, factChecker.language);
+    const years = quantities.filter(quantity => quantity.dimension === 'year').map(quantity => quantity.value);
+    const geographic = factChecker.contextPatterns.geographic;
+    const facts = [];
+
+    for (const { property, regex } of patterns.knowledge.properties) {
+        if (!regex.test(text)) continue;
+        const definition = KNOWLEDGE_PROPERTIES[property];
+
+        if (definition.kind === 'entity') {
+            if (names.length >= 2) facts.push({ property, names });
+        } else if (definition.kind === 'year') {
+            if (years.length > 0) facts.push({ property, names, years });
+        } else {
+            // La population d'une agglomération ou d'une région n'est pas celle de l'entité nommée
+            if (definition.timeVarying && (geographic.metro.test(text) || geographic.region.test(text))) continue;
+            const candidates = quantities.filter(quantity => quantity.dimension === definition.dimension);
+            const quantity = candidates.find(candidate => regex.test(candidate.raw)) || candidates[0];
+            if (quantity) {
+                facts.push({ property, names, quantity, years, comparison: quantityComparison(patterns.knowledge, text, quantity) });
+            }
+        }
+    }
+    return facts.slice(0, KNOWLEDGE_MAX_FACTS_PER_CLAIM);
+}
+
+// Demi-unité du dernier chiffre significatif écrit : "3,6 millions" → ±50 000, "8849 m" → ±0,5 m
+function quantityTolerance(quantity, decimalSeparator) {
+    const digits = quantity.raw.match(/\d[\d\s.,]*/u);
+    const written = digits ? parseLocalizedNumber(digits[0].trim().replace(/[.,]$/, ''), decimalSeparator) : null;
+    if (!written) return 0;
+    const [mantissa, exponent] = Math.abs(written).toExponential().split('e');
+    const step = 10 ** (Number(exponent) - mantissa.replace('.', '').length + 1);
+    return Math.abs(quantity.value) * (step / Math.abs(written)) / 2;
+}
+
+function compareKnowledgeQuantity(factChecker, fact, definition, values) {
+    let candidates = values;
+    if (definition.timeVarying) {
+        // Valeur datée la plus proche de l'année citée, sinon la plus récente
+        const yearOf = value => (value.pointInTime ? Number.parseInt(value.pointInTime, 10) : null);
+        const distance = value => (yearOf(value) === null ? Infinity : (fact.years.length > 0 ? Math.abs(yearOf(value) - fact.years[0]) : -yearOf(value)));
+        candidates = [[...values].sort((a, b) => distance(a) - distance(b))[0]];
+    }
+
+    const claimed = fact.quantity.value;
+    const tolerance = quantityTolerance(fact.quantity, getLanguagePatterns(factChecker.language).quantity.decimalSeparator)
+        * (fact.comparison === 'approximate' ? 2 : 1);
+    const matches = (amount) => {
+        if (fact.comparison === 'above') return amount >= claimed;
+        if (fact.comparison === 'below') return amount <= claimed;
+        return Math.abs(amount - claimed) <= tolerance;
+    };
+
+    const matching = candidates.find(value => matches(value.amount));
+    if (matching) {
+        return { stance: 'entailment', reason: 'knowledge_match', expected: matching, claimed: fact.quantity.raw };
+    }
+    const closest = candidates.reduce((best, value) => (Math.abs(value.amount - claimed) < Math.abs(best.amount - claimed) ? value : best));
+    const gap = Math.abs(closest.amount - claimed) / Math.max(Math.abs(closest.amount), Number.EPSILON);
+    return {
+        stance: definition.timeVarying && gap <= KNOWLEDGE_TIME_VARYING_MARGIN ? 'neutral' : 'contradiction',
+        reason: definition.timeVarying && gap <= KNOWLEDGE_TIME_VARYING_MARGIN ? 'knowledge_outdated' : 'knowledge_mismatch',
+        expected: closest,
+        claimed: fact.quantity.raw
+    };
+}
+
+// null quand le sujet n'est pas le bon candidat (capitale de lui-même, année imprécise)
+function compareKnowledgeFact(factChecker, fact, subject, values) {
+    const definition = KNOWLEDGE_PROPERTIES[fact.property];
+
+    if (definition.kind === 'entity') {
+        const subjectKey = normalizeKnowledgeName(subject);
+        const valueNames = value => [value.label, ...value.aliases].map(normalizeKnowledgeName);
+        if (values.some(value => valueNames(value).includes(subjectKey))) return null;
+
+        const others = fact.names.filter(name => normalizeKnowledgeName(name) !== subjectKey);
+        for (const name of others) {
+            const matching = values.find(value => valueNames(value).includes(normalizeKnowledgeName(name)));
+            if (matching) return { stance: 'entailment', reason: 'knowledge_match', expected: matching, claimed: name };
+        }
+        return { stance: 'contradiction', reason: 'knowledge_mismatch', expected: values[0], claimed: others[0] };
+    }
+
+    if (definition.kind === 'year') {
+        const matching = values.find(value => fact.years.includes(value.year));
+        return matching
+            ? { stance: 'entailment', reason: 'knowledge_match', expected: matching, claimed: String(matching.year) }
+            : { stance: 'contradiction', reason: 'knowledge_mismatch', expected: values[0], claimed: String(fact.years[0]) };
+    }
+
+    return compareKnowledgeQuantity(factChecker, fact, definition, values);
+}
+
+function formatKnowledgeValue(definition, value, language) {
+    if (definition.kind === 'entity') return value.label;
+    if (definition.kind === 'year') return String(value.year);
+
+    const [amount, unit] = definition.dimension === 'area' && Math.abs(value.amount) >= 1e6
+        ? [value.amount / 1e6, 'km²']
+        : [value.amount, KNOWLEDGE_BASE_UNITS[definition.dimension]];
+    const formatted = Number(amount.toPrecision(10)).toLocaleString(language);
+    return `${formatted}${unit ? ` ${unit}` : ''}${value.pointInTime ? ` (${value.pointInTime.substring(0, 4)})` : ''}`;
+}
+
+// Fait comparé, présenté comme une source analysée de premier rang dont le poids vient du profil de scoring
+function toKnowledgeSource(factChecker, fact, record, comparison) {
+    const definition = KNOWLEDGE_PROPERTIES[fact.property];
+    const expected = formatKnowledgeValue(definition, comparison.expected, factChecker.language);
+    return {
+        title: `${record.label} — ${fact.property} (${record.knowledgeBase})`,
+        url: record.url,
+        snippet: `${record.label} — ${fact.property} : ${expected}`,
+        provider: record.knowledgeBase,
+        sourceType: KNOWLEDGE_SOURCE_TYPE,
+        knowledge: {
+            knowledgeBase: record.knowledgeBase,
+            entityId: record.entityId,
+            entityLabel: record.label,
+            property: fact.property,
+            expected,
+            claimed: comparison.claimed,
+            comparison: fact.comparison || 'exact'
+        },
+        semanticRelevance: 1,
+        confirmsContent: comparison.stance === 'entailment',
+        stance: comparison.stance,
+        stanceScores: stanceResult(comparison.stance, 0.95, comparison.reason).scores,
+        stanceReason: comparison.reason,
+        stanceDetector: KNOWLEDGE_SOURCE_TYPE,
+        contradicts: comparison.stance === 'contradiction',
+        contradictionDetails: comparison.stance === 'contradiction'
+            ? { expected, claimed: comparison.claimed, property: fact.property, reason: 'Valeur différente dans la base de connaissances' }
+            : null,
+        credibilityTier: 'tier1',
+        credibilityMultiplier: factChecker.scoring.knowledgeBase.weight,
+        actuallySupports: comparison.stance === 'entailment'
+    };
+}
+
+// Une source "base de connaissances" par fait vérifié de l'affirmation ; aucune si rien n'est connu
+async function checkClaimWithKnowledgeBase(factChecker, claimText, bases = knowledgeBases) {
+    if (bases.length === 0) return [];
+
+    const sources = [];
+    for (const fact of extractKnowledgeFacts(factChecker, claimText)) {
+        for (const subject of fact.names.slice(0, KNOWLEDGE_MAX_SUBJECTS)) {
+            const record = await lookupKnowledge(bases, subject, fact.property, factChecker.language);
+            const comparison = record ? compareKnowledgeFact(factChecker, fact, subject, record.values) : null;
+            if (comparison) {
+                sources.push(toKnowledgeSource(factChecker, fact, record, comparison));
+                break;
+            }
+        }
+    }
+    return sources;
+}
+
+// ========== VÉRIFICATION PAR AFFIRMATION ==========
+
+// Affirmations recherchées par analyse (chacune coûte plusieurs requêtes) ; les suivantes sont renvoyées "unverified",
+// marquées skipped, et n'entrent pas dans le score global
+const MAX_CLAIMS_VERIFIED = Math.max(1, Number(process.env.MAX_CLAIMS_VERIFIED) || 4);
+
+function dedupeSourcesByUrl(sources) {
+    const seenUrls = new Set();
+    return sources.filter(source => {
+        if (seenUrls.has(source.url)) return false;
+        seenUrls.add(source.url);
+        return true;
+    });
+}
+
+// Recherche et verdict pour chaque affirmation, puis score global construit à partir des verdicts.
+// Sans affirmation vérifiable, on conserve l'analyse du texte complet.
+// findSources remplace la recherche web (sources enregistrées de l'évaluation hors-ligne), et les faits
+// structurés de chaque affirmation sont comparés à la chaîne claimKnowledgeBases en parallèle de la recherche.
+async function verifyTextByClaims(factChecker, text, {
+    keywords,
+    smartQueries = [],
+    fetchPages = PAGE_FETCH_ENABLED,
+    onProgress,
+    findSources = findWebSources,
+    searchDelayMs = MAX_API_DELAY_MS,
+    decomposer = claimDecomposer,
+    knowledgeBases: claimKnowledgeBases = knowledgeBases
+} = {}) {
+    const notify = (event, data) => onProgress && onProgress(event, data);
+    const { claims, queries, extractor } = await extractClaims(factChecker, text, decomposer);
+    const verifiedClaims = claims.slice(0, MAX_CLAIMS_VERIFIED);
+    const extractedClaims = claims.map((claim, index) => (index < MAX_CLAIMS_VERIFIED ? claim : { ...claim, skipped: true, skipReason: 'claim_limit' }));
+    notify('claims_extracted', { claims: extractedClaims, extractor, units: Math.max(1, verifiedClaims.length) });
+
+    // Requêtes du LLM, sinon du constructeur, puis celles du client (plafonnées à part dans findWebSources)
+    const searchQueries = (queryText, claimType, llmQueries) => {
+        const built = llmQueries && llmQueries.length > 0
+            ? llmQueries.map(query => ({ query, kind: 'llm' }))
+            : buildSearchQueries(queryText, { language: factChecker.language, claimType, tenant: factChecker.tenant, contextKeywords: keywords });
+        return [...built, ...smartQueries];
+    };
+
+    if (claims.length === 0) {
+        // Un fait structuré peut échapper aux motifs d'extraction : chaque phrase passe quand même par la base
+        const knowledgeCheck = Promise.all(splitSentences(text).slice(0, MAX_CLAIMS_VERIFIED)
+            .map(sentence => checkClaimWithKnowledgeBase(factChecker, sentence.text, claimKnowledgeBases)));
+        const foundSources = await findSources(keywords, searchQueries(text, 'GENERAL', queries), text, { language: factChecker.language, tenant: factChecker.tenant });
+        foundSources.forEach(source => notify('source_found', { claimIndex: null, source }));
+        notify('sources_found', { claimIndex: null, sources: foundSources });
+        const sources = fetchPages ? await enrichSourcesWithPages(factChecker, text, foundSources) : foundSources;
+        const webSources = await analyzeSourcesWithImprovedLogic(factChecker, text, sources,
+            source => notify('source_analyzed', { claimIndex: null, source }));
+        const knowledgeSources = (await knowledgeCheck).flat();
+        knowledgeSources.forEach(source => notify('source_analyzed', { claimIndex: null, source }));
+        const analyzedSources = [...webSources, ...knowledgeSources];
+        notify('sources_analyzed', { claimIndex: null, sources: analyzedSources });
+        const result = factChecker.calculateBalancedScore(text, analyzedSources, claims);
+        notify('scored', { result });
+        return { claims: [], analyzedSources, result, extractor };
+    }
+
+    const claimResults = await Promise.all(verifiedClaims.map(async (claim, index) => {
+        if (index > 0 && searchDelayMs > 0) {
+            await delay(Math.min(index * searchDelayMs, searchDelayMs * 2));
+        }
+
+        const knowledgeCheck = checkClaimWithKnowledgeBase(factChecker, claim.text, claimKnowledgeBases);
+        const claimKeywords = Array.from(new Set([...extractMainKeywords(claim.text), ...keywords]));
+        const foundSources = await findSources(claimKeywords, searchQueries(claim.text, claim.type, claim.queries), claim.text, { language: factChecker.language, tenant: factChecker.tenant });
+        foundSources.forEach(source => notify('source_found', { claimIndex: index, source }));
+        notify('sources_found', { claimIndex: index, sources: foundSources });
+        const sources = fetchPages ? await enrichSourcesWithPages(factChecker, claim.text, foundSources) : foundSources;
+        const webSources = await analyzeSourcesWithImprovedLogic(factChecker, claim.text, sources,
+            source => notify('source_analyzed', { claimIndex: index, source }));
+        const knowledgeSources = await knowledgeCheck;
+        knowledgeSources.forEach(source => notify('source_analyzed', { claimIndex: index, source }));
+        const analyzedSources = [...webSources, ...knowledgeSources];
+        const claimResult = factChecker.evaluateClaimVerdict(claim, analyzedSources);
+        notify('sources_analyzed', { claimIndex: index, sources: analyzedSources, verdict: claimResult.verdict, score: claimResult.score });
+        return claimResult;
+    }));
+
+    const skippedClaims = claims.slice(MAX_CLAIMS_VERIFIED).map(claim => ({
+        ...claim,
+        timeFrame: factChecker.extractTimeFrame(claim.text),
+        verdict: 'unverified',
+        score: null,
+        verdictConfidence: 0,
+        reasoning: `Affirmation non recherchée : limite de ${MAX_CLAIMS_VERIFIED} affirmations vérifiées par analyse.`,
+        details: null,
+        sources: [],
+        skipped: true,
+        skipReason: 'claim_limit'
+    }));
+
+    const result = factChecker.calculateClaimBasedScore(text, claimResults);
+    if (skippedClaims.length > 0) {
+        result.reasoning += ` ${skippedClaims.length} affirmation(s) au-delà de la limite non vérifiée(s).`;
+        result.details.claimsSkipped = skippedClaims.length;
+    }
+    notify('scored', { result });
+    const analyzedSources = dedupeSourcesByUrl(claimResults.flatMap(c => c.sources));
+
+    return { claims: [...claimResults, ...skippedClaims], analyzedSources, result, extractor };
+}
+
+const MAX_SIMULATED_SOURCES = 50;
+
+// Source déjà analysée fournie par le client ou relue depuis l'historique ; la crédibilité manquante est recalculée
+function normalizeAnalyzedSource(factChecker, source) {
+    if (!source || typeof source !== 'object') return null;
+    const url = typeof source.url === 'string' ? source.url : '';
+    // Un fait de la base de connaissances prend le poids du profil de scoring utilisé pour le recalcul
+    const credibility = source.sourceType === KNOWLEDGE_SOURCE_TYPE
+        ? { tier: 'tier1', multiplier: factChecker.scoring.knowledgeBase.weight }
+        : typeof source.credibilityMultiplier === 'number'
+            ? { tier: source.credibilityTier || 'unknown', multiplier: source.credibilityMultiplier }
+            : factChecker.getSourceCredibilityTier(url);
+    // Le label de position l'emporte ; les anciennes entrées n'ont que actuallySupports / contradicts
+    const stance = STANCE_LABELS.includes(source.stance)
+        ? source.stance
+        : (source.contradicts === true ? 'contradiction' : (source.actuallySupports === true ? 'entailment' : 'neutral'));
+    return {
+        ...source,
+        url,
+        snippet: typeof source.snippet === 'string' ? source.snippet : '',
+        stance,
+        actuallySupports: stance === 'entailment',
+        contradicts: stance === 'contradiction',
+        credibilityTier: credibility.tier,
+        credibilityMultiplier: credibility.multiplier
+    };
+}
+
+// Recalcule verdicts et score sur des sources déjà analysées, sans nouvelle recherche
+function rescoreAnalyzedSources(factChecker, text, claims, sources) {
+    const normalizeList = (list) => (Array.isArray(list) ? list : [])
+        .slice(0, MAX_SIMULATED_SOURCES)
+        .map(source => normalizeAnalyzedSource(factChecker, source))
+        .filter(Boolean);
+    // Les affirmations sautées (skipped) n'ont pas de sources : elles restent hors du score, comme à l'analyse
+    const validClaims = (Array.isArray(claims) ? claims : [])
+        .filter(claim => claim && typeof claim.text === 'string' && claim.text.trim() && !claim.skipped)
+        .slice(0, MAX_CLAIMS_VERIFIED);
+
+    // Sources rattachées à chaque affirmation : même chemin que verifyTextByClaims
+    if (validClaims.length > 0 && validClaims.every(claim => Array.isArray(claim.sources))) {
+        const claimResults = validClaims.map(claim => factChecker.evaluateClaimVerdict(claim, normalizeList(claim.sources)));
+        const result = factChecker.calculateClaimBasedScore(text, claimResults);
+        return { claims: claimResults, result };
+    }
+
+    const result = factChecker.calculateBalancedScore(text, normalizeList(sources), validClaims);
+    return { claims: [], result };
+}
+
+// ========== FONCTIONS UTILITAIRES ==========
+
+function sanitizeInput(text) {
+    if (!text || typeof text !== 'string') return '';
+
+    return text
+        .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F\x7F]/g, '')
+        .replace(/<script[^>]*>.*?<\/script>/gi, '')
+        .replace(/javascript:/gi, '')
+        .replace(/on\w+\s*=/gi, '')
+        .substring(0, MAX_TEXT_LENGTH)
+        .trim();
+}
+
+// Abréviations courantes qui ne terminent pas une phrase
+const SENTENCE_ABBREVIATIONS = new Set([
+    'm', 'mm', 'mme', 'mlle', 'dr', 'pr', 'st', 'ste', 'etc', 'env', 'cf', 'ex', 'vs', 'no', 'n°',
+    'mr', 'mrs', 'ms', 'prof', 'inc', 'ltd', 'jr', 'sr', 'approx', 'fig', 'vol', 'p', 'e.g', 'i.e', 'u.s'
+]);
+
+// Découpe en phrases en conservant les positions de caractères dans le texte d'origine
+function splitSentences(text) {
+    const sentences = [];
+    if (!text || typeof text !== 'string') return sentences;
+
+    const pushSentence = (from, to) => {
+        let start = from;
+        let end = to;
+        while (start < end && /\s/.test(text[start])) start++;
+        while (end > start && /\s/.test(text[end - 1])) end--;
+        if (end > start) {
+            sentences.push({ text: text.slice(start, end), start, end });
+        }
+    };
+
+    const boundary = /([.!?…]+)(["»”')\]]*)(\s+)|\n\s*\n|\n(?=\s*[-•*\d])/g;
+    let sentenceStart = 0;
+    let match;
+
+    while ((match = boundary.exec(text)) !== null) {
+        if (match[1]) {
+            const next = text.slice(boundary.lastIndex, boundary.lastIndex + 1);
+            const previousWord = (text.slice(sentenceStart, match.index).match(/([\wÀ-ÿ.°]+)$/) || [])[1] || '';
+
+            // "2.9", "M. Dupont", "etc. et" : pas une fin de phrase
+            if (match[1] === '.' && (SENTENCE_ABBREVIATIONS.has(previousWord.toLowerCase()) || /^[A-Z]$/.test(previousWord))) {
+                continue;
+            }
+            if (next && !/[A-ZÀ-Ý0-9"«“'(\[¿¡-]/.test(next)) {
+                continue;
+            }
+
+            pushSentence(sentenceStart, match.index + match[1].length + match[2].length);
+        } else {
+            pushSentence(sentenceStart, match.index);
+        }
+        sentenceStart = boundary.lastIndex;
+    }
+
+    pushSentence(sentenceStart, text.length);
+    return sentences;
+}
+
+const ENTITY_STOP_WORDS = new Set([
+    'le', 'la', 'les', 'un', 'une', 'des', 'ce', 'cette', 'ces', 'il', 'elle', 'ils', 'elles', 'on', 'en', 'selon', 'depuis', 'mais', 'et',
+    'the', 'a', 'an', 'this', 'that', 'these', 'it', 'he', 'she', 'they', 'in', 'on', 'since', 'according', 'however', 'but', 'and'
+]);
+
+// Entités d'une phrase (noms propres, dates, quantités) avec positions absolues
+function extractEntities(sentence, offset = 0) {
+    const entities = [];
+    const patterns = [
+        { type: 'PROPER_NOUN', regex: /\b[A-ZÀ-Ý][a-zA-ZÀ-ÿ'-]+(?:\s+(?:de\s+|of\s+|du\s+)?[A-ZÀ-Ý][a-zA-ZÀ-ÿ'-]+){0,3}/g },
+        { type: 'DATE', regex: /\b(1[5-9]|20)\d{2}\b/g },
+        { type: 'QUANTITY', regex: /\b\d+(?:[\s,.]\d{3})*(?:[,.]\d+)?\s*(?:millions?|milliards?|billions?|%|km²?|habitants?|dollars?|euros?|€|\$)?/gi }
+    ];
+
+    for (const { type, regex } of patterns) {
+        let match;
+        while ((match = regex.exec(sentence)) !== null) {
+            const value = match[0].trim();
+            if (!value) continue;
+            if (type === 'PROPER_NOUN' && ENTITY_STOP_WORDS.has(value.toLowerCase())) continue;
+            if (type === 'QUANTITY' && /^(1[5-9]|20)\d{2}$/.test(value)) continue;
+            entities.push({
+                text: value,
+                type,
+                start: offset + match.index,
+                end: offset + match.index + value.length
+            });
+        }
+    }
+
+    return entities.sort((a, b) => a.start - b.start);
 }
 
 const delay = (ms = 0) => new Promise(resolve => setTimeout(resolve, ms));
 
-async function fetchWithTimeout(url, options = {}, timeoutMs = FETCH_TIMEOUT_MS) {
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+async function fetchWithTimeout(url, options = {}, timeoutMs = FETCH_TIMEOUT_MS) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+
+    try {
+        const response = await fetch(url, {
+            ...options,
+            signal: controller.signal
+        });
+        return response;
+    } finally {
+        clearTimeout(timeoutId);
+    }
+}
+
+function truncatePayload(value, maxStringLength, maxArrayLength, depth = 0) {
+    if (value === null || value === undefined) {
+        return value;
+    }
+
+    if (typeof value === 'string') {
+        if (value.length > maxStringLength) {
+            return `${value.slice(0, maxStringLength)}…`;
+        }
+        return value;
+    }
+
+    // Les dates renvoyées par pg seraient sinon réduites à un objet vide
+    if (value instanceof Date) {
+        return value.toISOString();
+    }
+
+    if (Array.isArray(value)) {
+        const limit = Math.max(1, Math.floor(maxArrayLength / Math.max(depth || 1, 1)));
+        return value.slice(0, limit).map(item => truncatePayload(item, maxStringLength, maxArrayLength, depth + 1));
+    }
+
+    if (typeof value === 'object') {
+        const result = {};
+        for (const [key, val] of Object.entries(value)) {
+            result[key] = truncatePayload(val, maxStringLength, maxArrayLength, depth + 1);
+        }
+        return result;
+    }
+
+    return value;
+}
+
+function enforceResponseSize(payload) {
+    const reductionSteps = [
+        { maxString: 2000, maxArray: 20 },
+        { maxString: 1000, maxArray: 10 },
+        { maxString: 400, maxArray: 5 }
+    ];
+
+    for (const step of reductionSteps) {
+        const truncated = truncatePayload(payload, step.maxString, step.maxArray);
+        const size = Buffer.byteLength(JSON.stringify(truncated), 'utf8');
+        if (size <= MAX_RESPONSE_BYTES) {
+            return truncated;
+        }
+    }
+
+    return {
+        error: 'Response exceeded maximum size and was truncated.',
+        truncated: true
+    };
+}
+
+function sendSafeJson(res, payload) {
+    res.json(enforceResponseSize(payload));
+}
+
+function createCacheKey(prefix, data) {
+    return `${prefix}:${createHash('sha1').update(JSON.stringify(data)).digest('hex')}`;
+}
+
+// Mots-outils et de liaison de toutes les langues : "Selon", "However" ou "What" ne sont pas des mots-clés
+const KEYWORD_STOP_WORDS = new Set(Object.values(LANGUAGE_PROFILES)
+    .flatMap(profile => [...profile.stopWords, ...profile.discourseWords, ...profile.questionWords])
+    .map(word => word.toLowerCase()));
+
+function extractMainKeywords(text) {
+    const cleaned = sanitizeInput(text).substring(0, 1000);
+    const keywords = [];
+    
+    try {
+        // Entités nommées
+        const namedEntities = (cleaned.match(/\b[A-Z][a-zA-ZÀ-ÿ]+(?:\s+[A-Z][a-zA-ZÀ-ÿ]+){0,2}\b/g) || [])
+            .map(entity => trimLeadingFunctionWords(entity, KEYWORD_STOP_WORDS))
+            .filter(Boolean);
+        keywords.push(...namedEntities.slice(0, 4));
+        
+        // Dates importantes
+        const dates = cleaned.match(/\b(19|20)\d{2}\b/g) || [];
+        keywords.push(...dates.slice(0, 2));
+        
+        // Nombres avec unités
+        const numbersWithUnits = cleaned.match(/\b\d+([,\.]\d+)?\s*(?:million|milliard|%|km|habitants|meters)\b/gi) || [];
+        keywords.push(...numbersWithUnits.slice(0, 2));
+        
+        // Mots significatifs longs
+        const significantWords = (cleaned.match(/\b[a-zA-ZÀ-ÿ]{5,15}\b/g) || [])
+            .filter(word => !KEYWORD_STOP_WORDS.has(word.toLowerCase()));
+        keywords.push(...significantWords.slice(0, 3));
+        
+        return [...new Set(keywords)].filter(k => k && k.length > 2).slice(0, 6);
+        
+    } catch (e) {
+        logError('Erreur extraction keywords', e.message);
+        return [];
+    }
+}
+
+// ========== DÉCOMPOSITION DES AFFIRMATIONS PAR LLM ==========
+// Adaptateur optionnel pour un point d'accès de chat compatible OpenAI (Ollama, serveur llama.cpp, vLLM…) :
+// le texte est découpé en affirmations atomiques, chacune avec ses requêtes de recherche. La réponse est validée
+// par CLAIM_DECOMPOSITION_SCHEMA ; au moindre échec (délai, HTTP, JSON invalide) on revient aux règles
+// (extractVerifiableClaims / extractMainKeywords) et le point d'accès est mis de côté pendant CLAIM_LLM_RETRY_MS.
+
+const CLAIM_LLM_URL = (process.env.CLAIM_LLM_URL || '').replace(/\/+$/, '');
+const CLAIM_LLM_MODEL = process.env.CLAIM_LLM_MODEL || 'llama3.1';
+const CLAIM_LLM_API_KEY = process.env.CLAIM_LLM_API_KEY || null;
+const CLAIM_LLM_TIMEOUT_MS = Number(process.env.CLAIM_LLM_TIMEOUT_MS) || 20000;
+const CLAIM_LLM_RETRY_MS = Number(process.env.CLAIM_LLM_RETRY_MS) || 60000;
+const LLM_CLAIM_CONFIDENCE = 0.8;
+const MAX_LLM_CLAIMS = 10;
+const MAX_LLM_QUERIES = 3;
+
+const CLAIM_DECOMPOSITION_SCHEMA = {
+    type: 'object',
+    required: ['claims'],
+    properties: {
+        claims: {
+            type: 'array',
+            maxItems: MAX_LLM_CLAIMS,
+            items: {
+                type: 'object',
+                required: ['text', 'queries'],
+                properties: {
+                    text: { type: 'string', minLength: 5, maxLength: 500 },
+                    queries: { type: 'array', minItems: 1, maxItems: MAX_LLM_QUERIES, items: { type: 'string', minLength: 3, maxLength: 200 } }
+                }
+            }
+        },
+        queries: { type: 'array', maxItems: MAX_LLM_QUERIES, items: { type: 'string', minLength: 3, maxLength: 200 } }
+    }
+};
+
+const CLAIM_DECOMPOSITION_PROMPT = [
+    'You split a text into atomic, independently checkable factual claims and write web search queries to verify each one.',
+    'Rules: one fact per claim; resolve pronouns so each claim stands alone; keep the language of the text;',
+    'copy the original wording when a sentence already holds a single fact; ignore opinions, questions and advice;',
+    `at most ${MAX_LLM_CLAIMS} claims and ${MAX_LLM_QUERIES} short queries per claim.`,
+    'Answer with JSON only, matching this JSON schema:',
+    JSON.stringify(CLAIM_DECOMPOSITION_SCHEMA)
+].join('\n');
+
+// Sous-ensemble de JSON Schema suffisant pour les réponses du LLM : type, required, properties, items, bornes
+function validateJsonSchema(value, schema, path = '$') {
+    const errors = [];
+    const actualType = Array.isArray(value) ? 'array' : (value === null ? 'null' : typeof value);
+    if (schema.type && actualType !== schema.type) {
+        return [`${path}: expected ${schema.type}, got ${actualType}`];
+    }
+
+    if (actualType === 'object') {
+        (schema.required || [])
+            .filter(key => !(key in value))
+            .forEach(key => errors.push(`${path}.${key}: required`));
+        Object.entries(schema.properties || {})
+            .filter(([key]) => value[key] !== undefined)
+            .forEach(([key, propertySchema]) => errors.push(...validateJsonSchema(value[key], propertySchema, `${path}.${key}`)));
+    } else if (actualType === 'array') {
+        if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${path}: at least ${schema.minItems} items`);
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${path}: at most ${schema.maxItems} items`);
+        if (schema.items) {
+            value.forEach((item, index) => errors.push(...validateJsonSchema(item, schema.items, `${path}[${index}]`)));
+        }
+    } else if (actualType === 'string') {
+        if (schema.minLength !== undefined && value.trim().length < schema.minLength) errors.push(`${path}: at least ${schema.minLength} characters`);
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push(`${path}: at most ${schema.maxLength} characters`);
+    }
+
+    return errors;
+}
+
+// Les modèles locaux entourent parfois le JSON d'un bloc ```json
+function parseLlmJson(content) {
+    const cleaned = String(content || '').trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+    return JSON.parse(cleaned);
+}
+
+function createClaimDecomposer({
+    baseUrl = CLAIM_LLM_URL,
+    model = CLAIM_LLM_MODEL,
+    apiKey = CLAIM_LLM_API_KEY,
+    timeoutMs = CLAIM_LLM_TIMEOUT_MS,
+    retryMs = CLAIM_LLM_RETRY_MS
+} = {}) {
+    let unavailableUntil = 0;
+
+    return {
+        name: `llm:${model}`,
+        isAvailable: () => !!baseUrl && Date.now() >= unavailableUntil,
+        async decompose(text, { language } = {}) {
+            try {
+                const headers = { 'Content-Type': 'application/json' };
+                if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+                const languageName = LANGUAGE_PROFILES[language] ? LANGUAGE_PROFILES[language].name : null;
+
+                const response = await fetchWithTimeout(`${baseUrl}/chat/completions`, {
+                    method: 'POST',
+                    headers,
+                    body: JSON.stringify({
+                        model,
+                        temperature: 0,
+                        response_format: { type: 'json_object' },
+                        messages: [
+                            { role: 'system', content: CLAIM_DECOMPOSITION_PROMPT },
+                            { role: 'user', content: languageName ? `Language: ${languageName}\n\n${text}` : text }
+                        ]
+                    })
+                }, timeoutMs);
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status}`);
+                }
+
+                const data = await response.json();
+                const content = data && data.choices && data.choices[0] && data.choices[0].message
+                    ? data.choices[0].message.content
+                    : null;
+                const decomposition = parseLlmJson(content);
+                const errors = validateJsonSchema(decomposition, CLAIM_DECOMPOSITION_SCHEMA);
+                if (errors.length > 0) {
+                    throw new Error(`invalid output (${errors.slice(0, 3).join('; ')})`);
+                }
+
+                unavailableUntil = 0;
+                return {
+                    claims: decomposition.claims.map(claim => ({
+                        text: claim.text.trim(),
+                        queries: claim.queries.map(query => sanitizeInput(query)).filter(Boolean)
+                    })),
+                    queries: (decomposition.queries || []).map(query => sanitizeInput(query)).filter(Boolean)
+                };
+            } catch (error) {
+                unavailableUntil = Date.now() + retryMs;
+                throw error.name === 'AbortError' ? new Error(`timeout after ${timeoutMs} ms`) : error;
+            }
+        }
+    };
+}
+
+const claimDecomposer = CLAIM_LLM_URL ? createClaimDecomposer() : null;
+
+// Affirmation reformulée par le LLM : positions de la phrase d'origine la plus proche (ou null)
+function locateClaim(factChecker, text, sentences, claimText) {
+    const index = text.indexOf(claimText);
+    if (index >= 0) {
+        return { start: index, end: index + claimText.length, verbatim: true };
+    }
+    const best = sentences
+        .map(sentence => ({ sentence, score: factChecker.calculateSemanticSimilarity(claimText, sentence.text).score }))
+        .reduce((top, candidate) => (candidate.score > top.score ? candidate : top), { sentence: null, score: 0.2 });
+    return best.sentence
+        ? { start: best.sentence.start, end: best.sentence.end, verbatim: false }
+        : { start: null, end: null, verbatim: false };
+}
+
+// Affirmations au format de extractVerifiableClaims (+ queries), par le LLM si configuré, sinon par les règles
+async function extractClaims(factChecker, text, decomposer = claimDecomposer) {
+    if (decomposer && decomposer.isAvailable()) {
+        try {
+            const decomposition = await decomposer.decompose(text, { language: factChecker.language });
+            const sentences = splitSentences(text);
+            const claims = decomposition.claims.map(item => {
+                const location = locateClaim(factChecker, text, sentences, item.text);
+                const matchedTypes = factChecker.claimPatterns.filter(pattern => pattern.regex.test(item.text));
+                return {
+                    type: matchedTypes.length > 0 ? matchedTypes[0].type : 'GENERAL',
+                    types: matchedTypes.map(pattern => pattern.type),
+                    text: item.text,
+                    start: location.start,
+                    end: location.end,
+                    reformulated: !location.verbatim,
+                    // Positions des entités relatives au texte de l'affirmation quand elle est reformulée
+                    entities: extractEntities(item.text, location.verbatim ? location.start : 0),
+                    verifiable: true,
+                    confidence: matchedTypes.length > 0 ? Math.max(LLM_CLAIM_CONFIDENCE, ...matchedTypes.map(pattern => pattern.confidence)) : LLM_CLAIM_CONFIDENCE,
+                    queries: item.queries
+                };
+            });
+            logInfo(`🤖 Claims extraits par ${decomposer.name}: ${claims.length}`);
+            return { claims, queries: decomposition.queries, extractor: decomposer.name };
+        } catch (error) {
+            logWarn(`Décomposition LLM indisponible (${error.message}) — extraction par règles.`);
+        }
+    }
+
+    return { claims: factChecker.extractVerifiableClaims(text), queries: [], extractor: 'rules' };
+}
+
+// ========== FOURNISSEURS DE RECHERCHE ==========
+// Chaque fournisseur expose { name, isConfigured(), search(query, { num }) } et renvoie des
+// résultats normalisés { title, url, snippet }. SEARCH_PROVIDERS définit la chaîne de repli,
+// ex. "google,searxng,local" : le suivant n'est interrogé que si le précédent ne renvoie rien.
+
+const stripHtml = (value = '') => String(value).replace(/<[^>]+>/g, '').replace(/&[a-z#0-9]+;/gi, ' ').trim();
+
+async function fetchSearchJson(url, options = {}) {
+    const response = await fetchWithTimeout(url, options, FETCH_TIMEOUT_MS);
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+    }
+    return response.json();
+}
+
+function createGoogleSearchProvider() {
+    const apiKey = process.env.GOOGLE_API_KEY;
+    const engineId = process.env.SEARCH_ENGINE_ID;
+    return {
+        name: 'google',
+        isConfigured: () => !!(apiKey && engineId),
+        async search(query, { num = 4, language } = {}) {
+            const languageParams = language ? `&lr=lang_${language}&hl=${language}` : '';
+            const url = `https://www.googleapis.com/customsearch/v1?key=${apiKey}&cx=${engineId}&q=${encodeURIComponent(query)}&num=${num}${languageParams}`;
+            const data = await fetchSearchJson(url);
+            return (data.items || []).map(item => ({
+                title: item.title,
+                url: item.link,
+                snippet: item.snippet,
+                publishedAt: item.pagemap?.metatags?.[0]?.['article:published_time']
+            }));
+        }
+    };
+}
+
+function createBingSearchProvider() {
+    const apiKey = process.env.BING_API_KEY;
+    const endpoint = process.env.BING_ENDPOINT || 'https://api.bing.microsoft.com/v7.0/search';
+    return {
+        name: 'bing',
+        isConfigured: () => !!apiKey,
+        async search(query, { num = 4, language } = {}) {
+            const languageParams = language ? `&setLang=${language}` : '';
+            const data = await fetchSearchJson(`${endpoint}?q=${encodeURIComponent(query)}&count=${num}${languageParams}`, {
+                headers: { 'Ocp-Apim-Subscription-Key': apiKey }
+            });
+            return (data.webPages?.value || []).map(item => ({
+                title: item.name,
+                url: item.url,
+                snippet: item.snippet,
+                publishedAt: item.datePublished
+            }));
+        }
+    };
+}
+
+function createBraveSearchProvider() {
+    const apiKey = process.env.BRAVE_API_KEY;
+    const endpoint = process.env.BRAVE_ENDPOINT || 'https://api.search.brave.com/res/v1/web/search';
+    return {
+        name: 'brave',
+        isConfigured: () => !!apiKey,
+        async search(query, { num = 4, language } = {}) {
+            const languageParams = language ? `&search_lang=${language}` : '';
+            const data = await fetchSearchJson(`${endpoint}?q=${encodeURIComponent(query)}&count=${num}${languageParams}`, {
+                headers: { 'X-Subscription-Token': apiKey, Accept: 'application/json' }
+            });
+            return (data.web?.results || []).map(item => ({
+                title: stripHtml(item.title),
+                url: item.url,
+                snippet: stripHtml(item.description),
+                publishedAt: item.page_age
+            }));
+        }
+    };
+}
+
+function createSearxngSearchProvider() {
+    const baseUrl = (process.env.SEARXNG_URL || '').replace(/\/+$/, '');
+    return {
+        name: 'searxng',
+        isConfigured: () => !!baseUrl,
+        async search(query, { num = 4, language } = {}) {
+            const languageParams = language ? `&language=${language}` : '';
+            const data = await fetchSearchJson(`${baseUrl}/search?q=${encodeURIComponent(query)}&format=json${languageParams}`);
+            return (data.results || []).slice(0, num).map(item => ({
+                title: item.title,
+                url: item.url,
+                snippet: item.content,
+                publishedAt: item.publishedDate
+            }));
+        }
+    };
+}
+
+const normalizeForSearch = (value = '') => value
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^\w\s%.,-]/g, ' ');
+
+const LOCAL_SEARCH_STOP_WORDS = new Set(['the', 'and', 'for', 'with', 'les', 'des', 'une', 'est', 'dans', 'pour', 'avec', 'that', 'this', 'from', 'sur', 'par', 'qui', 'que']);
+
+// node:sqlite (Node 22.13+) ou, à défaut, le paquet better-sqlite3 s'il est installé ; seule l'absence du module
+// fait passer au suivant, une erreur d'ouverture de la base est remontée telle quelle
+function openSqliteDatabase(filePath) {
+    let nativeModule = null;
+    try {
+        nativeModule = require('node:sqlite');
+    } catch (error) {
+        if (error.code !== 'ERR_UNKNOWN_BUILTIN_MODULE') throw error;
+    }
+    if (nativeModule) {
+        return new nativeModule.DatabaseSync(filePath, { readOnly: true });
+    }
+
+    let Database;
+    try {
+        Database = require('better-sqlite3');
+    } catch (error) {
+        if (error.code !== 'MODULE_NOT_FOUND') throw error;
+        throw new Error(`Corpus SQLite illisible: node:sqlite (Node 22.13+) ou le paquet better-sqlite3 est requis (Node ${process.versions.node})`);
+    }
+    return new Database(filePath, { readonly: true });
+}
+
+function loadLocalSearchCorpus(indexPath) {
+    const resolved = path.resolve(indexPath);
+
+    if (/\.(sqlite3?|db)$/i.test(resolved)) {
+        const table = (process.env.LOCAL_SEARCH_TABLE || 'documents').replace(/[^\w]/g, '');
+        const db = openSqliteDatabase(resolved);
+        try {
+            return db.prepare(`SELECT * FROM ${table}`).all();
+        } finally {
+            db.close();
+        }
+    }
+
+    const parsed = JSON.parse(fs.readFileSync(resolved, 'utf8'));
+    return Array.isArray(parsed) ? parsed : (parsed.documents || []);
+}
+
+// Corpus local (JSON ou SQLite) classé par recouvrement de termes — déterministe, sans réseau
+function createLocalSearchProvider() {
+    const indexPath = process.env.LOCAL_SEARCH_INDEX;
+    let documents = null;
+
+    const getDocuments = () => {
+        if (!documents) {
+            documents = loadLocalSearchCorpus(indexPath)
+                .filter(doc => doc && doc.url)
+                .map(doc => {
+                    const content = String(doc.content || doc.text || doc.snippet || '');
+                    return {
+                        title: String(doc.title || ''),
+                        url: String(doc.url),
+                        content,
+                        snippet: doc.snippet ? String(doc.snippet) : null,
+                        publishedAt: doc.publishedAt || doc.date || null,
+                        searchable: normalizeForSearch(`${doc.title || ''} ${content}`),
+                        searchableTitle: normalizeForSearch(doc.title || '')
+                    };
+                });
+            logInfo(`📚 Index local chargé: ${documents.length} documents`);
+        }
+        return documents;
+    };
+
+    const buildSnippet = (doc, terms) => {
+        if (doc.snippet) return doc.snippet;
+        const lower = normalizeForSearch(doc.content);
+        const position = terms.map(term => lower.indexOf(term)).filter(index => index >= 0).sort((a, b) => a - b)[0] || 0;
+        const start = Math.max(0, position - 60);
+        return doc.content.substring(start, start + 240).trim();
+    };
+
+    return {
+        name: 'local',
+        isConfigured: () => !!indexPath,
+        async search(query, { num = 4 } = {}) {
+            // Opérateurs des requêtes construites : site:domaine (alternatives OR) et "phrase exacte"
+            const sites = [...query.matchAll(/site:([^\s()]+)/gi)].map(match => match[1].toLowerCase());
+            const phrases = [...query.matchAll(/"([^"]+)"/g)].map(match => normalizeForSearch(match[1]).replace(/\s+/g, ' ').trim());
+            const plainQuery = query.replace(/site:[^\s()]+/gi, ' ').replace(/\bOR\b|[()"]/g, ' ');
+            const terms = [...new Set(normalizeForSearch(plainQuery).split(/\s+/))]
+                .filter(term => term.length > 2 && !LOCAL_SEARCH_STOP_WORDS.has(term));
+            if (terms.length === 0) return [];
+
+            const hostnameOf = (url) => {
+                try {
+                    return new URL(url).hostname.toLowerCase();
+                } catch {
+                    return '';
+                }
+            };
+
+            return getDocuments()
+                .filter(doc => sites.length === 0 || sites.some(site => {
+                    const hostname = hostnameOf(doc.url);
+                    return hostname === site || hostname.endsWith(`.${site}`);
+                }))
+                .filter(doc => phrases.every(phrase => doc.searchable.replace(/\s+/g, ' ').includes(phrase)))
+                .map(doc => {
+                    const matched = terms.filter(term => doc.searchable.includes(term));
+                    const inTitle = terms.filter(term => doc.searchableTitle.includes(term)).length;
+                    return { doc, matched, score: matched.length / terms.length + inTitle * 0.05 };
+                })
+                .filter(entry => entry.matched.length > 0)
+                .sort((a, b) => b.score - a.score || a.doc.url.localeCompare(b.doc.url))
+                .slice(0, num)
+                .map(({ doc, matched }) => ({
+                    title: doc.title,
+                    url: doc.url,
+                    snippet: buildSnippet(doc, matched),
+                    publishedAt: doc.publishedAt
+                }));
+        }
+    };
+}
+
+const SEARCH_PROVIDER_FACTORIES = {
+    google: createGoogleSearchProvider,
+    bing: createBingSearchProvider,
+    brave: createBraveSearchProvider,
+    searxng: createSearxngSearchProvider,
+    local: createLocalSearchProvider
+};
+
+function buildSearchProviderChain(config = process.env.SEARCH_PROVIDERS) {
+    const names = config
+        ? config.split(',').map(name => name.trim().toLowerCase()).filter(Boolean)
+        : ['google', 'local'];
+
+    const chain = [];
+    for (const name of names) {
+        const factory = SEARCH_PROVIDER_FACTORIES[name];
+        if (!factory) {
+            logWarn(`⚠️ Fournisseur de recherche inconnu ignoré: ${name}`);
+            continue;
+        }
+        const provider = factory();
+        if (provider.isConfigured()) {
+            chain.push(provider);
+        } else if (config) {
+            logWarn(`⚠️ Fournisseur de recherche "${name}" non configuré — ignoré.`);
+        }
+    }
+    return chain;
+}
+
+const searchProviders = buildSearchProviderChain();
+
+// Interroge la chaîne de fournisseurs jusqu'au premier résultat non vide
+async function searchWithProviders(query, options = {}) {
+    for (const provider of searchProviders) {
+        try {
+            const results = await provider.search(query, options);
+            const valid = results.filter(result => result.url);
+            if (valid.length > 0) {
+                return valid.map(result => ({ ...result, provider: provider.name }));
+            }
+        } catch (error) {
+            logError(`Erreur fournisseur ${provider.name} pour "${query}"`, error.message);
+        }
+    }
+    return [];
+}
+
+// ========== CONSTRUCTION DES REQUÊTES DE RECHERCHE ==========
+// Plusieurs requêtes ciblées par affirmation, dans l'ordre d'essai : entité + attribut + valeur, phrase exacte
+// entre guillemets, puis la première restreinte (site:) aux domaines les mieux classés du registre de crédibilité
+// pour le type d'affirmation. Chaque requête est { query, kind } ; les sources gardent les requêtes qui les ont trouvées.
+
+const SEARCH_QUERIES_PER_CLAIM = Math.max(1, Number(process.env.SEARCH_QUERIES_PER_CLAIM) || 3);
+// Requêtes du client (smartQueries) et de la question posée au modèle : en plus des requêtes construites, jamais à leur place
+const EXTRA_QUERY_KINDS = ['custom', 'prompt'];
+const MAX_EXTRA_SEARCH_QUERIES = 2;
+const MAX_QUERY_NAMES = 2;
+const MAX_QUERY_ATTRIBUTES = 3;
+const MAX_QUERY_VALUES = 2;
+const MIN_EXACT_PHRASE_WORDS = 3;
+const MAX_EXACT_PHRASE_WORDS = 10;
+const MAX_SITE_RESTRICTED_DOMAINS = 3;
+const SITE_RESTRICTED_TIERS = ['tier1', 'tier2', 'tier3', 'tier4'];
+
+// Catégories du registre à privilégier selon le type d'affirmation, par ordre de préférence
+const CLAIM_TYPE_SOURCE_CATEGORIES = {
+    SCIENTIFIC: ['academic', 'research_database', 'encyclopedia'],
+    GEOGRAPHIC: ['official', 'encyclopedia'],
+    QUANTITATIVE: ['official', 'encyclopedia', 'news'],
+    HISTORICAL: ['encyclopedia', 'academic'],
+    GENERAL: ['encyclopedia', 'news', 'official']
+};
+
+const isFunctionWord = (word, stopWords) => stopWords.has(word.toLowerCase().replace(/[^\p{L}'’]/gu, ''));
+
+// "Selon Reuters" → "Reuters", "However," → ""
+function trimLeadingFunctionWords(phrase, stopWords) {
+    const words = phrase.split(/\s+/).filter(Boolean);
+    while (words.length > 0 && isFunctionWord(words[0], stopWords)) {
+        words.shift();
+    }
+    return words.join(' ');
+}
+
+// Une entrée par domaine et par catégorie préférée, à tour de rôle, en écartant les domaines nationaux d'autres langues
+function preferredSearchDomains(claimType, language, tenant = null) {
+    const categories = CLAIM_TYPE_SOURCE_CATEGORIES[claimType] || CLAIM_TYPE_SOURCE_CATEGORIES.GENERAL;
+    const foreignCountryDomains = new Set(Object.entries(LANGUAGE_PROFILES)
+        .filter(([code]) => code !== language)
+        .flatMap(([, profile]) => profile.countryDomains));
+    const entries = new Map(credibilityRegistry.list().map(entry => [entry.domain, entry]));
+    if (tenant) {
+        credibilityRegistry.list(tenantCredibilityScope(tenant)).forEach(entry => entries.set(entry.domain, entry));
+    }
+
+    const byCategory = categories.map(category => [...entries.values()]
+        .filter(entry => entry.category === category && SITE_RESTRICTED_TIERS.includes(entry.tier))
+        .filter(entry => entry.domain.includes('.') && !foreignCountryDomains.has(entry.domain.split('.').pop()))
+        .sort((a, b) => b.score - a.score || a.domain.localeCompare(b.domain)));
+
+    const domains = [];
+    for (let round = 0; domains.length < MAX_SITE_RESTRICTED_DOMAINS && byCategory.some(list => list.length > round); round++) {
+        byCategory.forEach(list => {
+            if (list[round] && domains.length < MAX_SITE_RESTRICTED_DOMAINS) domains.push(list[round].domain);
+        });
+    }
+    return domains;
+}
+
+// Phrase exacte : la proposition qui contient la première valeur ou entité, réduite à une fenêtre autour d'elle
+function exactSearchPhrase(text, anchors, stopWords) {
+    const clauses = text
+        .replace(/["«»“”]/g, ' ')
+        .replace(/[.!?…]+$/, '')
+        .split(/[,;:]\s+/)
+        .map(clause => trimLeadingFunctionWords(clause.replace(/\s+/g, ' ').trim(), stopWords).split(' ').filter(Boolean))
+        .filter(words => words.length >= MIN_EXACT_PHRASE_WORDS);
+    if (clauses.length === 0) return null;
+
+    const matchesAnchor = (word) => anchors.some(anchor => word.startsWith(anchor));
+    const words = clauses.find(clause => clause.some(matchesAnchor)) || clauses[0];
+    if (words.length <= MAX_EXACT_PHRASE_WORDS) return words.join(' ');
+
+    const anchorIndex = Math.max(0, words.findIndex(matchesAnchor));
+    const start = Math.max(0, Math.min(anchorIndex - Math.floor(MAX_EXACT_PHRASE_WORDS / 2), words.length - MAX_EXACT_PHRASE_WORDS));
+    return words.slice(start, start + MAX_EXACT_PHRASE_WORDS).join(' ');
+}
+
+function buildSearchQueries(text, { language = DEFAULT_LANGUAGE, claimType = 'GENERAL', tenant = null, contextKeywords = [] } = {}) {
+    const sentence = sanitizeInput(text).replace(/\s+/g, ' ').trim().substring(0, 500);
+    if (!sentence) return [];
+
+    const stopWords = getLanguagePatterns(language).queryStopWords;
+    const entities = extractEntities(sentence);
+    const unique = (values) => [...new Set(values.filter(Boolean))];
+
+    // Sans entité nommée dans l'affirmation ("Elle compte…"), les mots-clés du texte complet servent de sujet
+    let names = unique(entities.filter(entity => entity.type === 'PROPER_NOUN').map(entity => trimLeadingFunctionWords(entity.text, stopWords)));
+    if (names.length === 0) {
+        names = unique(contextKeywords.map(keyword => trimLeadingFunctionWords(keyword, stopWords)).filter(keyword => !/^\d/.test(keyword)));
+    }
+    names = names.slice(0, MAX_QUERY_NAMES);
+    const values = unique(entities
+        .filter(entity => entity.type === 'QUANTITY' || entity.type === 'DATE')
+        .map(entity => entity.text.trim())
+        .filter(value => /\d{2}|\d[,.]\d|\d\s*\D/.test(value))).slice(0, MAX_QUERY_VALUES);
+
+    const nameWords = new Set(names.flatMap(name => name.toLowerCase().split(/\s+/)));
+    const valueWords = new Set(values.flatMap(value => value.toLowerCase().split(/\s+/)));
+    const attributes = unique((sentence.match(/\p{L}[\p{L}'’-]*/gu) || [])
+        .map(word => word.split(/['’]/).pop().toLowerCase())
+        .filter(word => word.length >= 4 && !stopWords.has(word) && !nameWords.has(word) && !valueWords.has(word))
+        .filter(word => !QUANTITY_FILLER_WORDS.has(normalizeSubjectWord(word)))).slice(0, MAX_QUERY_ATTRIBUTES);
+
+    const queries = [];
+    const primary = [...names, ...attributes, ...values].join(' ');
+    if (primary) {
+        queries.push({ query: primary, kind: 'entity_attribute_value' });
+    }
+
+    const phrase = exactSearchPhrase(sentence, [...values, ...names].map(anchor => anchor.split(/\s+/)[0]), stopWords);
+    if (phrase) {
+        queries.push({ query: `"${phrase}"`, kind: 'exact_phrase' });
+    }
+
+    const domains = primary ? preferredSearchDomains(claimType, language, tenant) : [];
+    if (domains.length > 0) {
+        const sites = domains.map(domain => `site:${domain}`);
+        queries.push({ query: `${primary} ${sites.length > 1 ? `(${sites.join(' OR ')})` : sites[0]}`, kind: 'site_restricted' });
+    }
+
+    return queries;
+}
+
+function toSource(item, query, originalText, tenant = null, kind = 'custom') {
+    return {
+        title: item.title || 'Sans titre',
+        url: item.url || '',
+        snippet: item.snippet || 'Pas de description',
+        // Date de publication donnée par le fournisseur, quand il en donne une
+        publishedAt: toIsoDate(item.publishedAt),
+        query_used: query,
+        query_kind: kind,
+        provider: item.provider,
+        relevance: calculateRelevance(item, originalText, tenant)
+    };
+}
+
+async function findWebSources(keywords, smartQueries, originalText, { language, tenant = null } = {}) {
+    if (searchProviders.length === 0) {
+        logWarn('Aucun fournisseur de recherche configuré - aucune source');
+        return [];
+    }
+
+    let allSources = [];
+
+    // Requêtes du client (chaînes) ou du constructeur de requêtes ({ query, kind })
+    const queries = [];
+    for (const entry of smartQueries || []) {
+        const query = typeof entry === 'string' ? { query: entry, kind: 'custom' } : entry;
+        if (query && query.query && !queries.some(existing => existing.query === query.query)) {
+            queries.push(query);
+        }
+    }
+
+    const selectedQueries = [
+        ...queries.filter(query => !EXTRA_QUERY_KINDS.includes(query.kind)).slice(0, SEARCH_QUERIES_PER_CLAIM),
+        ...queries.filter(query => EXTRA_QUERY_KINDS.includes(query.kind)).slice(0, MAX_EXTRA_SEARCH_QUERIES)
+    ];
+
+    if (selectedQueries.length > 0) {
+        const queryPromises = selectedQueries.map(({ query, kind }, index) => (async () => {
+            const delayMs = Math.min(index * MAX_API_DELAY_MS, MAX_API_DELAY_MS);
+            if (delayMs > 0) {
+                await delay(delayMs);
+            }
+
+            try {
+                const items = await searchWithProviders(query, { num: 4, language });
+                return items.map(item => toSource(item, query, originalText, tenant, kind));
+            } catch (error) {
+                logError(`Erreur recherche pour "${query}"`, error.message);
+                return [];
+            }
+        })());
+
+        const results = await Promise.allSettled(queryPromises);
+        for (const result of results) {
+            if (result.status === 'fulfilled' && Array.isArray(result.value)) {
+                allSources.push(...result.value);
+            }
+        }
+    }
+
+    if (allSources.length < 2 && keywords.length > 0) {
+        try {
+            await delay(MAX_API_DELAY_MS);
+            const fallbackQuery = keywords.slice(0, 3).join(' ');
+            const items = await searchWithProviders(fallbackQuery, { num: 3, language });
+            allSources.push(...items.map(item => toSource(item, fallbackQuery, originalText, tenant, 'keywords')));
+        } catch (error) {
+            logError('Erreur recherche fallback', error.message);
+        }
+    }
+    
+    // Déduplication et tri ; une source trouvée par plusieurs requêtes les garde toutes
+    const uniqueSources = [];
+    const queriesByUrl = new Map();
+    
+    allSources.sort((a, b) => b.relevance - a.relevance);
+    
+    for (const source of allSources) {
+        const queriesUsed = queriesByUrl.get(source.url);
+        if (queriesUsed) {
+            if (!queriesUsed.includes(source.query_used)) queriesUsed.push(source.query_used);
+        } else if (uniqueSources.length < 5) {
+            const entry = { ...source, queries_used: [source.query_used] };
+            queriesByUrl.set(source.url, entry.queries_used);
+            uniqueSources.push(entry);
+        }
+    }
+    
+    logInfo(`📋 ${uniqueSources.length} sources uniques trouvées`);
+    return uniqueSources;
+}
+
+function calculateRelevance(item, originalText, tenant = null) {
+    const title = (item.title || '').toLowerCase();
+    const snippet = (item.snippet || '').toLowerCase();
+    const url = (item.url || item.link || '').toLowerCase();
+    const original = originalText.toLowerCase();
+    
+    let score = 0.3;
+    
+    // Mots communs
+    const originalWords = original.split(/\s+/).filter(w => w.length > 3).slice(0, 8);
+    let commonWords = 0;
+    
+    for (const word of originalWords) {
+        if (title.includes(word) || snippet.includes(word)) {
+            commonWords++;
+        }
+    }
+    
+    score += (commonWords / Math.max(originalWords.length, 1)) * 0.4;
+    
+    // Bonus ou pénalité selon le score du registre de crédibilité (+0.25 pour 1.0, -0.1 pour 0.3)
+    const credibility = credibilityRegistry.resolve(url, tenant);
+    if (credibility) {
+        score += Math.max(-0.15, Math.min(0.25, (credibility.score - 0.5) * 0.5));
+    }
+    
+    // Pénalité forums non répertoriés
+    if (!credibility && url.includes('forum')) score -= 0.15;
+    
+    return Math.max(0.1, Math.min(1, score));
+}
+
+function getReliabilityLabel(score, profile = getScoringProfile(DEFAULT_SCORING_PROFILE_NAME)) {
+    const thresholds = profile.labels;
+    return score > thresholds.highlyReliable ? 'Highly Reliable' :
+        score > thresholds.mostlyReliable ? 'Mostly Reliable' :
+        score > thresholds.uncertain ? 'Uncertain' :
+        'Low Reliability';
+}
+
+// ========== VÉRIFICATION DE DOCUMENTS ==========
+
+const documentUpload = multerModule
+    ? multerModule({ storage: multerModule.memoryStorage(), limits: { fileSize: MAX_DOCUMENT_BYTES, files: 1 } }).single('file')
+    : null;
+
+function detectDocumentType(file) {
+    const name = (file.originalname || '').toLowerCase();
+    const mime = (file.mimetype || '').toLowerCase();
+    if (mime === 'application/pdf' || name.endsWith('.pdf')) return 'pdf';
+    if (mime.startsWith('text/') || /\.(txt|md|markdown)$/.test(name)) {
+        return /markdown/.test(mime) || /\.(md|markdown)$/.test(name) ? 'markdown' : 'text';
+    }
+    return null;
+}
+
+// Texte de chaque page d'un PDF (même rendu que pdf-parse, mais page par page)
+async function extractPdfPages(buffer) {
+    const pages = [];
+    // Copie dans un ArrayBuffer dédié : pdf.js ignore le byteOffset des Buffers issus du pool Node
+    const data = await pdfParseModule(new Uint8Array(buffer), {
+        pagerender: pageData => pageData.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false })
+            .then(textContent => {
+                let lastY;
+                let text = '';
+                for (const item of textContent.items) {
+                    text += lastY === item.transform[5] || !lastY ? item.str : `\n${item.str}`;
+                    lastY = item.transform[5];
+                }
+                pages[pageData.pageIndex] = text;
+                return text;
+            })
+    });
+
+    return {
+        pageCount: data.numpages,
+        title: data.info?.Title || null,
+        pages: pages.map((text, index) => ({ page: index + 1, heading: null, text: text || '' }))
+    };
+}
+
+// Découpe markdown par titres, texte brut par paragraphes
+function extractTextBlocks(content, type) {
+    if (type !== 'markdown') {
+        return [{ page: null, heading: null, text: content }];
+    }
+
+    const blocks = [];
+    let current = { page: null, heading: null, lines: [] };
+    for (const line of content.split(/\r?\n/)) {
+        const heading = /^#{1,6}\s+(.+)$/.exec(line);
+        if (heading) {
+            if (current.lines.join('').trim()) blocks.push(current);
+            current = { page: null, heading: heading[1].trim(), lines: [] };
+            continue;
+        }
+        current.lines.push(line);
+    }
+    if (current.lines.join('').trim()) blocks.push(current);
+
+    return blocks.map(block => ({ page: block.page, heading: block.heading, text: block.lines.join('\n') }));
+}
+
+// Sections <= MAX_TEXT_LENGTH, coupées aux fins de phrase pour ne rien tronquer
+function splitDocumentSections(blocks) {
+    const sections = [];
+
+    for (const block of blocks) {
+        const text = block.text.replace(/[ \t]+\n/g, '\n').trim();
+        if (text.length < 10) continue;
+
+        if (text.length <= MAX_TEXT_LENGTH) {
+            sections.push({ page: block.page, heading: block.heading, text });
+            continue;
+        }
+
+        let buffer = '';
+        let part = 1;
+        for (const sentence of splitSentences(text)) {
+            const piece = sentence.text.substring(0, MAX_TEXT_LENGTH);
+            if (buffer && buffer.length + piece.length + 1 > MAX_TEXT_LENGTH) {
+                sections.push({ page: block.page, heading: block.heading, part: part++, text: buffer });
+                buffer = '';
+            }
+            buffer = buffer ? `${buffer} ${piece}` : piece;
+        }
+        if (buffer) {
+            sections.push({ page: block.page, heading: block.heading, part, text: buffer });
+        }
+    }
+
+    return sections;
+}
+
+function summarizeDocumentReport(sectionReports, profile) {
+    const analyzed = sectionReports.filter(section => typeof section.overallConfidence === 'number');
+    const totalLength = analyzed.reduce((sum, section) => sum + section.length, 0) || 1;
+    const score = analyzed.reduce((sum, section) => sum + section.overallConfidence * section.length, 0) / totalLength;
+    const claims = analyzed.flatMap(section => section.claimsAnalyzed || []);
+
+    return {
+        overallConfidence: analyzed.length ? score : null,
+        reliabilityLabel: analyzed.length ? getReliabilityLabel(score, profile) : null,
+        sectionsAnalyzed: analyzed.length,
+        sectionsSkipped: sectionReports.length - analyzed.length,
+        claimsFound: claims.length,
+        claimsSupported: claims.filter(c => c.verdict === 'supported').length,
+        claimsContradicted: claims.filter(c => c.verdict === 'contradicted').length,
+        claimsUnverified: claims.filter(c => c.verdict === 'unverified').length,
+        weakestSections: [...analyzed]
+            .sort((a, b) => a.overallConfidence - b.overallConfidence)
+            .slice(0, 3)
+            .map(section => section.index)
+    };
+}
+
+// ========== EXÉCUTION DES VÉRIFICATIONS ==========
+// Chaque type de vérification est découpé en prepare (validation synchrone, renvoie { status, payload }
+// en cas d'erreur, { payload } pour une réponse immédiate ou { params }) et execute (recherche + scoring).
+// Les routes HTTP et les jobs asynchrones partagent ces fonctions.
+
+function prepareVerifyRequest(body) {
+    const { text, smartQueries, analysisType, forceRefresh, fetchPages, scoringProfile } = body || {};
+
+    const sanitizedInput = typeof text === 'string' ? text : '';
+
+    if (!sanitizedInput || sanitizedInput.length < 10) {
+        return {
+            payload: {
+                overallConfidence: 0.25,
+                scoringExplanation: "**Texte insuffisant** (25%) - Contenu trop court pour analyse.",
+                keywords: [],
+                sources: [],
+                methodology: "Analyse équilibrée avec détection contextuelle"
+            }
+        };
+    }
+
+    if (sanitizedInput.length > MAX_TEXT_LENGTH) {
+        return {
+            status: 413,
+            payload: { error: `Text length exceeds maximum of ${MAX_TEXT_LENGTH} characters.` }
+        };
+    }
+
+    const profile = parseScoringProfileName(scoringProfile);
+    if (profile.error) {
+        return { status: 400, payload: { error: profile.error } };
+    }
+
+    return {
+        params: {
+            text: sanitizedInput,
+            scoringProfile: profile.name,
+            smartQueries: Array.isArray(smartQueries) ? smartQueries.map(query => sanitizeInput(query)) : [],
+            analysisType: typeof analysisType === 'string' ? sanitizeInput(analysisType) : '',
+            fetchPages: typeof fetchPages === 'boolean' ? fetchPages : PAGE_FETCH_ENABLED,
+            forceRefresh: forceRefresh === true
+        }
+    };
+}
+
+async function executeVerify(params, { onProgress } = {}) {
+    const { text, smartQueries, analysisType, fetchPages, forceRefresh, scoringProfile, tenant = null } = params;
+
+    logInfo(`\n🔍 === ANALYSE ÉQUILIBRÉE ===`);
+    logInfo(`📝 Texte: "${text.substring(0, 80)}..."`);
+
+    // Les comptes avec des surcharges de crédibilité ont leur propre entrée de cache
+    const cacheKey = createCacheKey('verify', {
+        text: sanitizeInput(text),
+        smartQueries,
+        analysisType,
+        fetchPages,
+        scoringProfile,
+        tenant: credibilityRegistry.hasOverrides(tenant) ? tenant : null
+    });
+    if (!forceRefresh) {
+        const cached = verificationCache.get(cacheKey);
+        if (cached) {
+            metrics.cacheHits += 1;
+            return cached;
+        }
+    }
+
+    const language = detectLanguage(text);
+    const factChecker = new ImprovedFactChecker({ language, tenant, scoringProfile });
+
+    const keywords = extractMainKeywords(text);
+    if (onProgress) {
+        onProgress('keywords_extracted', { keywords, language });
+    }
+    const { claims, analyzedSources, result, extractor } = await verifyTextByClaims(factChecker, text, {
+        keywords,
+        smartQueries,
+        fetchPages,
+        onProgress
+    });
+
+    const reliabilityLabel = result.reliabilityLabel;
+
+    const response = {
+        overallConfidence: result.score,
+        confidence: result.confidence,
+        scoringExplanation: result.reasoning,
+        sources: analyzedSources,
+        keywords,
+        claimsAnalyzed: claims,
+        claimExtractor: extractor,
+        details: result.details,
+        language,
+        scoringProfile: factChecker.scoring.name,
+        methodology: "Analyse équilibrée avec détection contextuelle intelligente",
+        reliabilityLabel
+    };
+
+    verificationCache.set(cacheKey, response);
+
+    logInfo(`✅ Score équilibré: ${Math.round(result.score * 100)}% (confiance: ${Math.round(result.confidence * 100)}%)`);
+    logInfo(`📊 ${analyzedSources.length} sources | ${claims.length} claims | ${analyzedSources.filter(s => s.actuallySupports).length} confirment`);
+    logInfo(`===============================\n`);
+
+    return response;
+}
+
+function prepareVerifyAiRequest(body) {
+    const { model, prompt, response: modelResponse, forceRefresh, scoringProfile } = body || {};
+
+    const modelEntry = aiModelRegistry.resolve(model);
+    if (!modelEntry) {
+        return {
+            status: 400,
+            payload: { error: 'Invalid model specified. Use a registered model id or alias (see GET /models).' }
+        };
+    }
+
+    const sanitizedPrompt = typeof prompt === 'string' ? sanitizeInput(prompt) : '';
+    const sanitizedResponse = sanitizeInput(modelResponse);
+
+    if (!sanitizedResponse || sanitizedResponse.length < 10) {
+        return {
+            status: 400,
+            payload: { error: 'Response text is required for verification.' }
+        };
+    }
+
+    if (sanitizedResponse.length > MAX_TEXT_LENGTH) {
+        return {
+            status: 413,
+            payload: { error: `Response text exceeds maximum of ${MAX_TEXT_LENGTH} characters.` }
+        };
+    }
+
+    const profile = parseScoringProfileName(scoringProfile);
+    if (profile.error) {
+        return { status: 400, payload: { error: profile.error } };
+    }
+
+    return {
+        params: {
+            model: modelEntry.id,
+            scoringProfile: profile.name,
+            prompt: sanitizedPrompt,
+            response: sanitizedResponse,
+            forceRefresh: forceRefresh === true
+        }
+    };
+}
+
+async function executeVerifyAi(params, { onProgress } = {}) {
+    const { model, prompt, response, forceRefresh, scoringProfile, tenant = null } = params;
+
+    const cacheKey = createCacheKey('verify_ai', {
+        model,
+        prompt,
+        response,
+        scoringProfile,
+        tenant: credibilityRegistry.hasOverrides(tenant) ? tenant : null
+    });
+    if (!forceRefresh) {
+        const cached = verificationCache.get(cacheKey);
+        if (cached) {
+            metrics.cacheHits += 1;
+            return cached;
+        }
+    }
+
+    const language = detectLanguage(response);
+    const factChecker = new ImprovedFactChecker({ language, tenant, scoringProfile });
+    const keywords = extractMainKeywords(response);
+    // La question posée au modèle donne une requête de plus, en complément de celles des affirmations
+    const smartQueries = prompt
+        ? buildSearchQueries(prompt, { language, tenant, contextKeywords: keywords }).slice(0, 1).map(query => ({ ...query, kind: 'prompt' }))
+        : [];
+    const citationCheck = startCitationCheck(factChecker, response);
+    const { claims, analyzedSources, result, extractor } = await verifyTextByClaims(factChecker, response, {
+        keywords,
+        smartQueries,
+        onProgress
+    });
+
+    const reliabilityLabel = result.reliabilityLabel;
+    const modelEntry = aiModelRegistry.get(model);
+
+    const responsePayload = {
+        modelAnalyzed: modelEntry ? modelEntry.displayName : model,
+        modelId: model,
+        modelQuirks: modelEntry ? modelEntry.quirks : [],
+        reliabilityScore: result.score,
+        reasoningSummary: result.reasoning,
+        sources: analyzedSources,
+        claims,
+        claimExtractor: extractor,
+        citationCheck: await citationCheck.finish(analyzedSources),
+        keywords,
+        language,
+        details: result.details,
+        scoringProfile: factChecker.scoring.name,
+        overallConfidence: result.score,
+        reliabilityLabel
+    };
+
+    verificationCache.set(cacheKey, responsePayload);
+
+    return responsePayload;
+}
+
+// Comparaison : les modèles sont analysés en parallèle (COMPARE_CONCURRENCY) dans un budget de temps global,
+// sur un même lot de sources recherché une fois par prompt. Les affirmations des réponses sont ensuite alignées
+// en une matrice affirmation × modèle (accord, désaccord, affirmation d'un seul modèle).
+const MAX_COMPARED_MODELS = 10;
+const COMPARE_CONCURRENCY = Math.max(1, Number(process.env.COMPARE_CONCURRENCY) || 3);
+const COMPARE_BUDGET_MS = Number(process.env.COMPARE_BUDGET_MS) || 30000;
+const MAX_COMPARED_STATEMENTS = 8;
+const CLAIM_ALIGNMENT_THRESHOLD = 0.25;
+const ENTITY_SUBSTITUTION_SIMILARITY = 0.6;
+const STANCE_RELATIONS = { entailment: 'agrees', contradiction: 'disagrees', neutral: 'unclear' };
+
+// Exécute worker sur chaque élément, au plus limit à la fois ; les résultats gardent l'ordre des éléments
+async function mapWithConcurrency(items, limit, worker) {
+    const results = new Array(items.length);
+    let next = 0;
+    const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await worker(items[index], index);
+        }
+    });
+    await Promise.all(runners);
+    return results;
+}
+
+// Résout avec fallback si la promesse n'aboutit pas avant l'échéance (la tâche n'est pas interrompue)
+function withDeadline(promise, deadline, fallback) {
+    let timeoutId;
+    const timeout = new Promise(resolve => {
+        timeoutId = setTimeout(() => resolve(fallback), Math.max(0, deadline - Date.now()));
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timeoutId));
+}
+
+// Deux affirmations parlent de la même chose si elles sont proches ou portent des quantités comparables
+function alignmentScore(factChecker, text1, text2) {
+    const similarity = factChecker.calculateSemanticSimilarity(text1, text2).score;
+    if (similarity >= CLAIM_ALIGNMENT_THRESHOLD) return similarity;
+    const quantities1 = parseQuantities(text1, detectLanguage(text1, factChecker.language));
+    const quantities2 = parseQuantities(text2, detectLanguage(text2, factChecker.language));
+    const comparable = quantities1.some(q1 => quantities2.some(q2 => q1.subject.length > 0 && areComparableQuantities(q1, q2)));
+    return comparable ? CLAIM_ALIGNMENT_THRESHOLD : similarity;
+}
+
+// "Ottawa est la capitale du Canada" / "Toronto est la capitale du Canada" : même phrase, entités différentes
+function isEntitySubstitution(factChecker, text1, text2) {
+    const stopWords = getLanguagePatterns(factChecker.language).queryStopWords;
+    const names = (text) => extractEntities(text)
+        .filter(entity => entity.type === 'PROPER_NOUN')
+        .map(entity => trimLeadingFunctionWords(entity.text, stopWords).toLowerCase())
+        .filter(Boolean);
+    const names1 = names(text1);
+    const names2 = names(text2);
+    if (!names1.some(name => !names2.includes(name)) || !names2.some(name => !names1.includes(name))) return false;
+
+    const withoutNames = (text, list) => list.reduce((result, name) => result.split(name).join(' '), text.toLowerCase()).replace(/\s+/g, ' ').trim();
+    return stringSimilarity.compareTwoStrings(withoutNames(text1, names1), withoutNames(text2, names2)) >= ENTITY_SUBSTITUTION_SIMILARITY;
+}
+
+// Lignes = affirmations alignées ; la première affirmation de chaque ligne sert de référence pour la position des autres
+async function buildAgreementMatrix(factChecker, statementsByModel) {
+    const models = statementsByModel.map(entry => entry.model);
+    const rows = [];
+
+    for (const { model, statements } of statementsByModel) {
+        for (const text of statements) {
+            const best = rows
+                .filter(row => !row.cells[model])
+                .map(row => ({ row, score: alignmentScore(factChecker, row.claim, text) }))
+                .filter(candidate => candidate.score >= CLAIM_ALIGNMENT_THRESHOLD)
+                .reduce((top, candidate) => (!top || candidate.score > top.score ? candidate : top), null);
+            if (best) {
+                best.row.cells[model] = { text };
+            } else {
+                rows.push({ claim: text, referenceModel: model, cells: { [model]: { text, relation: 'reference' } } });
+            }
+        }
+    }
+
+    for (const row of rows) {
+        for (const cell of Object.values(row.cells).filter(entry => !entry.relation)) {
+            if (isEntitySubstitution(factChecker, row.claim, cell.text)) {
+                cell.relation = 'disagrees';
+                continue;
+            }
+            const stance = await stanceDetector.detect(row.claim, cell.text, { factChecker });
+            cell.relation = STANCE_RELATIONS[stance.label];
+        }
+        const relations = Object.values(row.cells).map(cell => cell.relation);
+        row.status = relations.length === 1 ? 'single_model'
+            : relations.includes('disagrees') ? 'disagreement'
+                : relations.every(relation => relation === 'reference' || relation === 'agrees') ? 'agreement'
+                    : 'unclear';
+    }
+
+    // Deux camps par ligne : la référence et ceux qui l'approuvent, face à ceux qui la contredisent
+    const side = (cell) => (cell.relation === 'disagrees' ? 'against' : (cell.relation === 'unclear' ? null : 'with'));
+    let agreeingPairs = 0;
+    let disagreeingPairs = 0;
+    const byModel = Object.fromEntries(models.map(model => {
+        const stated = rows.filter(row => row.cells[model]);
+        let agreed = 0;
+        let disputed = 0;
+        for (const row of stated) {
+            const ownSide = side(row.cells[model]);
+            const others = Object.entries(row.cells).filter(([other]) => other !== model).map(([, cell]) => side(cell));
+            if (ownSide && others.includes(ownSide)) agreed += 1;
+            if (ownSide && others.some(otherSide => otherSide && otherSide !== ownSide)) disputed += 1;
+        }
+        return [model, {
+            statements: stated.length,
+            agreed,
+            disputed,
+            alone: stated.filter(row => row.status === 'single_model').length,
+            agreementRate: stated.length > 0 ? roundMetric(agreed / stated.length) : null
+        }];
+    }));
+    for (const row of rows) {
+        const sides = Object.values(row.cells).map(side).filter(Boolean);
+        const withCount = sides.filter(value => value === 'with').length;
+        const againstCount = sides.length - withCount;
+        agreeingPairs += (withCount * (withCount - 1)) / 2 + (againstCount * (againstCount - 1)) / 2;
+        disagreeingPairs += withCount * againstCount;
+    }
+
+    const count = (status) => rows.filter(row => row.status === status).length;
+    return {
+        matrix: {
+            models,
+            rows: rows.map(row => ({
+                claim: row.claim,
+                status: row.status,
+                referenceModel: row.referenceModel,
+                models: Object.fromEntries(models.map(model => [model, row.cells[model] || null]))
+            }))
+        },
+        // Score : part des paires de modèles d'accord parmi celles qui se prononcent sur une même affirmation
+        consensus: {
+            score: agreeingPairs + disagreeingPairs > 0 ? roundMetric(agreeingPairs / (agreeingPairs + disagreeingPairs)) : null,
+            agreements: count('agreement'),
+            disagreements: count('disagreement'),
+            unclear: count('unclear'),
+            singleModel: count('single_model'),
+            byModel
+        }
+    };
+}
+
+function prepareCompareRequest(body) {
+    const { prompt, responses, scoringProfile, forceRefresh } = body || {};
+
+    if (!prompt || typeof prompt !== 'string' || !responses || typeof responses !== 'object') {
+        return {
+            status: 400,
+            payload: { success: false, error: 'Prompt and responses are required for comparison.' }
+        };
+    }
+
+    const responseEntries = Object.entries(responses).filter(([model, text]) => typeof text === 'string' && text.trim().length > 0);
+
+    if (responseEntries.length === 0) {
+        return {
+            status: 400,
+            payload: { success: false, error: 'At least one model response must be provided.' }
+        };
+    }
+
+    if (responseEntries.length > MAX_COMPARED_MODELS) {
+        return {
+            status: 400,
+            payload: { success: false, error: `At most ${MAX_COMPARED_MODELS} model responses can be compared.` }
+        };
+    }
+
+    if (prompt.length > MAX_TEXT_LENGTH) {
+        return {
+            status: 413,
+            payload: { success: false, error: `Prompt exceeds maximum of ${MAX_TEXT_LENGTH} characters.` }
+        };
+    }
+
+    const profile = parseScoringProfileName(scoringProfile);
+    if (profile.error) {
+        return { status: 400, payload: { success: false, error: profile.error } };
+    }
+
+    return { params: { prompt, responseEntries, scoringProfile: profile.name, forceRefresh: forceRefresh === true } };
+}
+
+async function executeCompare(params, { onProgress } = {}) {
+    const { prompt, responseEntries, scoringProfile, forceRefresh, tenant = null } = params;
+    const notify = (event, data) => onProgress && onProgress(event, data);
+    const cacheTenant = credibilityRegistry.hasOverrides(tenant) ? tenant : null;
+
+    const sanitizedPrompt = sanitizeInput(prompt);
+    const cacheKey = createCacheKey('compare', { prompt: sanitizedPrompt, responseEntries, scoringProfile, tenant: cacheTenant });
+    if (!forceRefresh) {
+        const cached = verificationCache.get(cacheKey);
+        if (cached) {
+            metrics.cacheHits += 1;
+            return cached;
+        }
+    }
+
+    const language = detectLanguage(sanitizedPrompt);
+    const factChecker = new ImprovedFactChecker({ language, tenant, scoringProfile });
+    const promptKeywords = extractMainKeywords(sanitizedPrompt);
+    const promptClaims = factChecker.extractVerifiableClaims(sanitizedPrompt);
+
+    // Lot de sources commun à toutes les réponses, recherché une fois par prompt et mis en cache
+    const poolKey = createCacheKey('compare_sources', { prompt: sanitizedPrompt, tenant: cacheTenant });
+    const cachedPool = forceRefresh ? null : verificationCache.get(poolKey);
+    const sourcePool = cachedPool
+        ? Promise.resolve(cachedPool)
+        : findWebSources(promptKeywords, buildSearchQueries(sanitizedPrompt, { language, tenant, contextKeywords: promptKeywords }), sanitizedPrompt, { language, tenant })
+            .then(sources => {
+                verificationCache.set(poolKey, sources);
+                return sources;
+            });
+
+    const deadline = Date.now() + COMPARE_BUDGET_MS;
+    notify('models_started', { total: responseEntries.length });
+
+    const analyzeResponse = async (modelName, rawResponse) => {
+        if (rawResponse.length > MAX_TEXT_LENGTH) {
+            return {
+                entry: { model: modelName, status: 'rejected', score: 0, confidence: 0, summary: `Réponse rejetée: dépasse ${MAX_TEXT_LENGTH} caractères.`, sourcesCount: 0 }
+            };
+        }
+
+        const sanitizedResponse = sanitizeInput(rawResponse);
+
+        if (!sanitizedResponse || sanitizedResponse.length < 10) {
+            return {
+                entry: { model: modelName, status: 'rejected', score: 0, confidence: 0, summary: 'Réponse insuffisante pour une analyse fiable.', sourcesCount: 0 }
+            };
+        }
+
+        const { claims: responseClaims } = await extractClaims(factChecker, sanitizedResponse);
+        const pool = await sourcePool;
+        // Lot trop maigre : recherche complémentaire à partir des mots-clés de la réponse
+        const sources = pool.length >= 2 ? pool : dedupeSourcesByUrl([
+            ...pool,
+            ...await findWebSources(Array.from(new Set([...promptKeywords, ...extractMainKeywords(sanitizedResponse)])), [], sanitizedResponse, { language, tenant })
+        ]);
+        const analyzedSources = await analyzeSourcesWithImprovedLogic(factChecker, sanitizedResponse, sources);
+        const scoringClaims = responseClaims.length > 0 ? responseClaims : promptClaims;
+        const result = factChecker.calculateBalancedScore(sanitizedResponse, analyzedSources, scoringClaims);
+
+        return {
+            entry: {
+                model: modelName,
+                status: 'scored',
+                score: Number(result.score.toFixed(2)),
+                confidence: Number(result.confidence.toFixed(2)),
+                summary: result.reasoning,
+                sourcesCount: analyzedSources.length
+            },
+            // Sans affirmation extraite, la réponse entière est alignée avec celles des autres modèles
+            statements: responseClaims.length > 0
+                ? responseClaims.slice(0, MAX_COMPARED_STATEMENTS).map(claim => claim.text)
+                : [sanitizedResponse.substring(0, 500)]
+        };
+    };
+
+    const analyses = await mapWithConcurrency(responseEntries, COMPARE_CONCURRENCY, async ([modelName, rawResponse]) => {
+        const timedOut = {
+            entry: { model: modelName, status: 'timeout', score: null, confidence: null, summary: 'Analyse interrompue : budget de temps dépassé.', sourcesCount: 0 }
+        };
+        const analysis = Date.now() >= deadline
+            ? timedOut
+            : await withDeadline(analyzeResponse(modelName, rawResponse), deadline, timedOut);
+        notify('model_scored', { model: modelName, score: analysis.entry.score });
+        return analysis;
+    });
+
+    const { matrix, consensus } = await buildAgreementMatrix(factChecker, analyses
+        .filter(analysis => analysis.statements)
+        .map(analysis => ({ model: analysis.entry.model, statements: analysis.statements })));
+
+    // Consensus entre modèles rapporté à côté du score fondé sur les sources
+    const comparison = analyses.map(({ entry }) => ({
+        ...entry,
+        consensus: consensus.byModel[entry.model] ? consensus.byModel[entry.model].agreementRate : null
+    }));
+
+    const bestModelEntry = comparison.reduce((best, current) => {
+        if (current.score !== null && (!best || current.score > best.score)) {
+            return current;
+        }
+        return best;
+    }, null);
+
+    const response = {
+        success: true,
+        prompt: sanitizedPrompt,
+        language,
+        scoringProfile: factChecker.scoring.name,
+        comparison,
+        bestModel: bestModelEntry ? bestModelEntry.model : null,
+        agreementMatrix: matrix,
+        consensus
+    };
+
+    // Une comparaison incomplète (budget dépassé) n'est pas mise en cache
+    if (comparison.every(entry => entry.status !== 'timeout')) {
+        verificationCache.set(cacheKey, response);
+    }
+
+    return response;
+}
+
+// ========== HISTORIQUE DES VÉRIFICATIONS ==========
+// Chaque vérification exécutée est enregistrée dans PostgreSQL (table verifications) quand la base est configurée.
+
+const MAX_STORED_TEXT_LENGTH = 20000;
+const RELIABILITY_LABELS = ['Highly Reliable', 'Mostly Reliable', 'Uncertain', 'Low Reliability'];
+
+// Champs enregistrés pour chaque type de vérification, à partir des paramètres et de la réponse
+const VERIFICATION_RECORD_BUILDERS = {
+    verify: (params, payload) => ({
+        text: params.text,
+        claims: payload.claimsAnalyzed,
+        sources: payload.sources,
+        details: payload.details,
+        score: payload.overallConfidence,
+        label: payload.reliabilityLabel
+    }),
+    verify_ai: (params, payload) => ({
+        text: params.response,
+        prompt: params.prompt,
+        model: params.model,
+        claims: payload.claims,
+        sources: payload.sources,
+        details: { ...payload.details, citationCheck: payload.citationCheck },
+        score: payload.overallConfidence,
+        label: payload.reliabilityLabel
+    }),
+    compare_ai: (params, payload) => {
+        const best = payload.comparison.find(entry => entry.model === payload.bestModel);
+        return {
+            text: payload.prompt,
+            details: { comparison: payload.comparison, bestModel: payload.bestModel, agreementMatrix: payload.agreementMatrix, consensus: payload.consensus },
+            score: best ? best.score : null,
+            label: best ? getReliabilityLabel(best.score, getScoringProfile(params.scoringProfile)) : null
+        };
+    }
+};
+
+function callerFromRequest(req) {
+    return req.account ? { userId: req.account.userId, keyId: req.account.keyId } : null;
+}
+
+// Renvoie l'identifiant de la vérification enregistrée, ou null (base absente ou erreur)
+async function saveVerification(endpoint, record, caller = null) {
+    if (!pool) {
+        return null;
+    }
+
+    const id = randomUUID();
+    const text = (record.text || '').substring(0, MAX_STORED_TEXT_LENGTH);
+    const score = typeof record.score === 'number' ? record.score : null;
+
+    try {
+        await pool.query(
+            `INSERT INTO verifications(id, endpoint, model, user_id, api_key_id, input_hash, input_text, prompt, language,
+                overall_confidence, reliability_label, claims, sources, score_details, scoring_profile)
+             VALUES($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)`,
+            [
+                id,
+                endpoint,
+                record.model || null,
+                caller ? caller.userId : null,
+                caller ? caller.keyId : null,
+                createHash('sha256').update(JSON.stringify([endpoint, record.model || null, record.prompt || '', text])).digest('hex'),
+                text,
+                record.prompt || null,
+                record.language || null,
+                score,
+                score === null ? null : (record.label || getReliabilityLabel(score)),
+                JSON.stringify(truncatePayload(record.claims || [], 1000, 50)),
+                JSON.stringify(truncatePayload(record.sources || [], 1000, 30)),
+                record.details ? JSON.stringify(truncatePayload(record.details, 1000, 30)) : null,
+                record.scoringProfile || null
+            ]
+        );
+        return id;
+    } catch (error) {
+        logError('❌ Erreur enregistrement vérification', error.message);
+        return null;
+    }
+}
+
+// Exécute une vérification puis l'enregistre ; la réponse mise en cache n'est pas modifiée, le score calibré est ajouté à la copie renvoyée
+async function executeAndRecord(type, execute, params, { onProgress, caller } = {}) {
+    const payload = await execute({ ...params, tenant: caller ? caller.userId : null }, { onProgress });
+    const record = VERIFICATION_RECORD_BUILDERS[type](params, payload);
+    const verificationId = await saveVerification(type, {
+        ...record,
+        language: payload.language,
+        scoringProfile: payload.scoringProfile
+    }, caller);
+    return withCalibratedScore(type, verificationId ? { ...payload, verificationId } : payload);
+}
+
+function formatVerificationSummary(row) {
+    return {
+        id: row.id,
+        endpoint: row.endpoint,
+        model: row.model,
+        language: row.language,
+        overallConfidence: row.overall_confidence,
+        reliabilityLabel: row.reliability_label,
+        claimsCount: Array.isArray(row.claims) ? row.claims.length : 0,
+        sourcesCount: Array.isArray(row.sources) ? row.sources.length : 0,
+        scoringProfile: row.scoring_profile || null,
+        textPreview: (row.input_text || '').substring(0, 200),
+        createdAt: row.created_at
+    };
+}
+
+function formatVerification(row) {
+    return {
+        ...formatVerificationSummary(row),
+        userId: row.user_id,
+        inputHash: row.input_hash,
+        text: row.input_text,
+        prompt: row.prompt,
+        claims: row.claims || [],
+        sources: row.sources || [],
+        details: row.score_details
+    };
+}
+
+// Filtres de GET /verifications → clause WHERE paramétrée, ou { error }
+function buildVerificationFilters(query, account) {
+    const conditions = [];
+    const values = [];
+    const add = (sql, value) => {
+        values.push(value);
+        conditions.push(sql.replace('?', `$${values.length}`));
+    };
+
+    const isAdmin = account.scopes.includes('admin');
+    if (!isAdmin) {
+        add('user_id = ?', account.userId);
+    } else if (query.userId !== undefined) {
+        const userId = Number.parseInt(query.userId, 10);
+        if (!Number.isInteger(userId)) return { error: 'userId must be an integer.' };
+        add('user_id = ?', userId);
+    }
+
+    for (const [param, operator] of [['from', '>='], ['to', '<=']]) {
+        if (query[param] === undefined) continue;
+        const date = new Date(query[param]);
+        if (Number.isNaN(date.getTime())) return { error: `${param} must be an ISO date.` };
+        add(`created_at ${operator} ?`, date.toISOString());
+    }
+
+    for (const [param, operator] of [['minScore', '>='], ['maxScore', '<=']]) {
+        if (query[param] === undefined) continue;
+        const score = Number(query[param]);
+        if (!Number.isFinite(score) || score < 0 || score > 1) return { error: `${param} must be a number between 0 and 1.` };
+        add(`overall_confidence ${operator} ?`, score);
+    }
+
+    if (query.label !== undefined) {
+        if (!RELIABILITY_LABELS.includes(query.label)) return { error: `label must be one of: ${RELIABILITY_LABELS.join(', ')}.` };
+        add('reliability_label = ?', query.label);
+    }
+    if (query.model !== undefined) {
+        const modelEntry = aiModelRegistry.resolve(String(query.model));
+        if (modelEntry) {
+            add('LOWER(model) = ANY(?)', aiModelNames(modelEntry));
+        } else {
+            add('model = ?', String(query.model));
+        }
+    }
+    if (query.endpoint !== undefined) {
+        add('endpoint = ?', String(query.endpoint));
+    }
+
+    return { where: conditions.length ? `WHERE ${conditions.join(' AND ')}` : '', values };
+}
+
+// Fiabilité historique d'un modèle : ses vérifications /verify/ai (scores, labels, verdicts des affirmations, citations),
+// ses passages dans /compare/ai et les feedbacks reçus. Les MODEL_STATS_MAX_ROWS vérifications les plus récentes
+// de chaque type sont prises en compte.
+const MODEL_STATS_MAX_ROWS = 5000;
+
+async function loadModelStatistics(entry, { from = null, to = null } = {}) {
+    const names = aiModelNames(entry);
+    const period = (first) => `created_at >= COALESCE($${first}::timestamptz, created_at) AND created_at <= COALESCE($${first + 1}::timestamptz, created_at)`;
+    const periodValues = [from ? from.toISOString() : null, to ? to.toISOString() : null];
+
+    const { rows: verifications } = await pool.query(
+        `SELECT overall_confidence, reliability_label, claims, score_details, created_at FROM verifications
+         WHERE endpoint = 'verify_ai' AND LOWER(model) = ANY($1) AND ${period(2)}
+         ORDER BY created_at DESC LIMIT ${MODEL_STATS_MAX_ROWS}`,
+        [names, ...periodValues]
+    );
+    const { rows: comparisons } = await pool.query(
+        `SELECT score_details, created_at FROM verifications
+         WHERE endpoint = 'compare_ai' AND ${period(1)}
+         ORDER BY created_at DESC LIMIT ${MODEL_STATS_MAX_ROWS}`,
+        periodValues
+    );
+    const { rows: feedbackRows } = await pool.query(
+        `SELECT f.is_useful FROM feedback f
+         JOIN verifications v ON v.id = f.verification_id
+         WHERE v.endpoint = 'verify_ai' AND LOWER(v.model) = ANY($1) AND f.is_useful IS NOT NULL`,
+        [names]
+    );
+
+    const average = (values) => (values.length > 0 ? roundMetric(values.reduce((sum, value) => sum + value, 0) / values.length) : null);
+
+    const scores = verifications.map(row => row.overall_confidence).filter(score => typeof score === 'number');
+    const labels = Object.fromEntries(RELIABILITY_LABELS.map(label => [label, 0]));
+    verifications.forEach(row => {
+        if (row.reliability_label in labels) labels[row.reliability_label] += 1;
+    });
+    const claims = verifications.flatMap(row => (Array.isArray(row.claims) ? row.claims : []));
+    const countVerdict = (verdict) => claims.filter(claim => claim && claim.verdict === verdict).length;
+    const dates = verifications.map(row => new Date(row.created_at).getTime()).filter(Number.isFinite);
+    const citationChecks = verifications.map(row => row.score_details?.citationCheck).filter(Boolean);
+    const citationTotal = (field) => citationChecks.reduce((sum, check) => sum + (Number(check[field]) || 0), 0);
+
+    // Les noms de modèles de /compare/ai sont libres : ils sont rapprochés du registre à la lecture
+    const compared = comparisons.flatMap(row => {
+        const details = row.score_details || {};
+        const own = (Array.isArray(details.comparison) ? details.comparison : [])
+            .find(item => item && aiModelRegistry.resolve(item.model)?.id === entry.id);
+        if (!own) return [];
+        return [{ entry: own, best: aiModelRegistry.resolve(details.bestModel)?.id === entry.id }];
+    });
+    const useful = feedbackRows.filter(row => row.is_useful === true).length;
+
+    return {
+        model: entry,
+        period: { from: from ? from.toISOString() : null, to: to ? to.toISOString() : null },
+        verifications: {
+            count: verifications.length,
+            averageScore: average(scores),
+            labels,
+            firstAt: dates.length > 0 ? new Date(Math.min(...dates)).toISOString() : null,
+            lastAt: dates.length > 0 ? new Date(Math.max(...dates)).toISOString() : null,
+            truncated: verifications.length === MODEL_STATS_MAX_ROWS
+        },
+        claims: {
+            total: claims.length,
+            supported: countVerdict('supported'),
+            contradicted: countVerdict('contradicted'),
+            unverified: countVerdict('unverified'),
+            contradictionRate: claims.length > 0 ? roundMetric(countVerdict('contradicted') / claims.length) : null
+        },
+        citations: {
+            total: citationTotal('total'),
+            supported: citationTotal('supported'),
+            hallucinated: citationTotal('hallucinated'),
+            mismatched: citationTotal('mismatched'),
+            hallucinationRate: citationTotal('total') > 0 ? roundMetric(citationTotal('hallucinated') / citationTotal('total')) : null
+        },
+        comparisons: {
+            count: compared.length,
+            best: compared.filter(item => item.best).length,
+            averageScore: average(compared.map(item => item.entry.score).filter(score => typeof score === 'number')),
+            averageConsensus: average(compared.map(item => item.entry.consensus).filter(value => typeof value === 'number'))
+        },
+        feedback: {
+            count: feedbackRows.length,
+            useful,
+            usefulRate: feedbackRows.length > 0 ? roundMetric(useful / feedbackRows.length) : null
+        }
+    };
+}
+
+// ========== JOBS DE VÉRIFICATION ASYNCHRONES ==========
+
+const JOB_TYPES = {
+    verify: { prepare: prepareVerifyRequest, execute: executeVerify, stages: ['claims', 'search', 'analysis', 'scoring'] },
+    verify_ai: { prepare: prepareVerifyAiRequest, execute: executeVerifyAi, stages: ['claims', 'search', 'analysis', 'scoring'] },
+    compare_ai: { prepare: prepareCompareRequest, execute: executeCompare, stages: ['models'] }
+};
+
+const MAX_CONCURRENT_JOBS = 2;
+const MAX_MEMORY_JOBS = 500;
+const MAX_QUEUED_JOBS = 100;
+const FINISHED_JOB_STATUSES = ['succeeded', 'failed'];
+const JOB_RETENTION_MS = 24 * 60 * 60 * 1000;
+const WEBHOOK_MAX_ATTEMPTS = 3;
+const WEBHOOK_SECRET = process.env.JOB_WEBHOOK_SECRET || '';
+
+function createJobProgress(type) {
+    return {
+        stage: null,
+        percent: 0,
+        stages: Object.fromEntries(JOB_TYPES[type].stages.map(name => [name, { status: 'pending', done: 0, total: null }]))
+    };
+}
+
+// Met à jour la progression par étape à partir des événements du pipeline
+function applyJobEvent(progress, event, data = {}) {
+    const { stages } = progress;
+    const advance = (name) => {
+        const stage = stages[name];
+        if (!stage) return;
+        stage.done += 1;
+        stage.status = stage.total !== null && stage.done >= stage.total ? 'done' : 'running';
+        progress.stage = name;
+    };
+
+    switch (event) {
+        case 'claims_extracted':
+            if (stages.claims) stages.claims = { status: 'done', done: 1, total: 1 };
+            for (const name of ['search', 'analysis']) {
+                if (stages[name]) stages[name] = { status: 'running', done: 0, total: data.units };
+            }
+            progress.stage = 'search';
+            break;
+        case 'sources_found':
+            advance('search');
+            break;
+        case 'sources_analyzed':
+            advance('analysis');
+            break;
+        case 'scored':
+            if (stages.scoring) stages.scoring = { status: 'done', done: 1, total: 1 };
+            progress.stage = 'scoring';
+            break;
+        case 'models_started':
+            if (stages.models) stages.models = { status: 'running', done: 0, total: data.total };
+            progress.stage = 'models';
+            break;
+        case 'model_scored':
+            advance('models');
+            break;
+        default:
+            return progress;
+    }
+
+    const fractions = Object.values(stages).map(stage => {
+        if (stage.status === 'done') return 1;
+        if (!stage.total) return 0;
+        return Math.min(1, stage.done / stage.total);
+    });
+    progress.percent = Math.round((fractions.reduce((sum, value) => sum + value, 0) / fractions.length) * 100);
+    return progress;
+}
+
+// Un job réussi a franchi toutes ses étapes, même quand le résultat vient du cache sans émettre d'événement
+function completeJobProgress(progress) {
+    for (const stage of Object.values(progress.stages)) {
+        stage.status = 'done';
+        if (stage.total !== null) stage.done = stage.total;
+    }
+    progress.percent = 100;
+    progress.stage = null;
+    return progress;
+}
+
+// Jobs stockés dans PostgreSQL quand la base est configurée, en mémoire sinon
+const createJobStore = () => {
+    const memoryJobs = new Map();
+
+    // Seuls les jobs terminés sont évincés : un job en file ou en cours reste lisible jusqu'à sa fin
+    const pruneMemory = () => {
+        const now = Date.now();
+        let overflow = memoryJobs.size - MAX_MEMORY_JOBS;
+        for (const [id, job] of memoryJobs.entries()) {
+            if (!FINISHED_JOB_STATUSES.includes(job.status)) continue;
+            if (overflow > 0 || now - new Date(job.createdAt).getTime() > JOB_RETENTION_MS) {
+                memoryJobs.delete(id);
+                overflow -= 1;
+            }
+        }
+    };
+
+    const fromRow = (row) => ({
+        id: row.id,
+        type: row.type,
+        status: row.status,
+        input: row.input,
+        progress: row.progress,
+        result: row.result,
+        error: row.error,
+        userId: row.user_id,
+        callbackUrl: row.callback_url,
+        webhook: row.webhook,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at,
+        completedAt: row.completed_at
+    });
+
+    return {
+        async create(job) {
+            if (!pool) {
+                pruneMemory();
+                memoryJobs.set(job.id, { ...job });
+                return job;
+            }
+            await pool.query(
+                `INSERT INTO verification_jobs(id, type, user_id, status, input, progress, result, error, callback_url, webhook, created_at, updated_at, completed_at)
+                 VALUES($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)`,
+                [job.id, job.type, job.userId, job.status, JSON.stringify(job.input), JSON.stringify(job.progress), job.result ? JSON.stringify(job.result) : null,
+                    job.error, job.callbackUrl, JSON.stringify(job.webhook), job.createdAt, job.updatedAt, job.completedAt]
+            );
+            return job;
+        },
+        async update(id, patch) {
+            const updatedAt = new Date().toISOString();
+            if (!pool) {
+                const job = memoryJobs.get(id);
+                if (job) Object.assign(job, patch, { updatedAt });
+                return job || null;
+            }
+            const columns = { status: 'status', progress: 'progress', result: 'result', error: 'error', webhook: 'webhook', completedAt: 'completed_at' };
+            const jsonColumns = new Set(['progress', 'result', 'webhook']);
+            const sets = ['updated_at = $2'];
+            const values = [id, updatedAt];
+            for (const [key, column] of Object.entries(columns)) {
+                if (patch[key] === undefined) continue;
+                values.push(jsonColumns.has(key) && patch[key] !== null ? JSON.stringify(patch[key]) : patch[key]);
+                sets.push(`${column} = $${values.length}`);
+            }
+            await pool.query(`UPDATE verification_jobs SET ${sets.join(', ')} WHERE id = $1`, values);
+            return null;
+        },
+        async get(id) {
+            if (!pool) {
+                return memoryJobs.get(id) || null;
+            }
+            const { rows } = await pool.query('SELECT * FROM verification_jobs WHERE id = $1', [id]);
+            return rows[0] ? fromRow(rows[0]) : null;
+        }
+    };
+};
+
+const jobStore = createJobStore();
+const jobQueue = [];
+let runningJobs = 0;
+
+// Un webhook n'est jamais envoyé sans signature : callbackUrl exige JOB_WEBHOOK_SECRET
+function callbackUrlError(callbackUrl) {
+    if (callbackUrl === undefined) return null;
+    if (!isValidCallbackUrl(callbackUrl)) return 'Invalid callbackUrl.';
+    if (!WEBHOOK_SECRET) return 'callbackUrl requires webhook signing (JOB_WEBHOOK_SECRET) to be configured on the server.';
+    return null;
+}
+
+function isValidCallbackUrl(url) {
+    if (typeof url !== 'string' || url.length > 2048) return false;
+    try {
+        const parsed = new URL(url);
+        if (!['http:', 'https:'].includes(parsed.protocol)) return false;
+        return !isProduction || isFetchableUrl(url);
+    } catch {
+        return false;
+    }
+}
+
+function signWebhookPayload(timestamp, body) {
+    return `sha256=${createHmac('sha256', WEBHOOK_SECRET).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+// POST d'un webhook, sans suivre les redirections (un 3xx est un échec). En production, l'hôte est résolu à chaque
+// envoi et la connexion épinglée sur une adresse publique, comme pour les pages : un nom qui pointe vers le réseau
+// interne est refusé même s'il était public à la création du job ou de la veille.
+async function postWebhook(url, headers, body) {
+    if (!isProduction) {
+        const response = await fetchWithTimeout(url, { method: 'POST', headers, body, redirect: 'manual' }, FETCH_TIMEOUT_MS);
+        return response.status;
+    }
+    if (!undiciModule) {
+        throw new Error('undici non disponible');
+    }
+
+    const address = await resolvePublicAddress(url);
+    const { statusCode, body: responseBody, dispatcher } = await requestPinned(url, address, {
+        method: 'POST',
+        headers,
+        body,
+        headersTimeout: FETCH_TIMEOUT_MS,
+        bodyTimeout: FETCH_TIMEOUT_MS
+    });
+    await discardBody(responseBody);
+    dispatcher.destroy().catch(() => {});
+    return statusCode;
+}
+
+// Webhook signé (HMAC-SHA256 de "timestamp.body") avec quelques tentatives espacées
+async function deliverSignedWebhook(url, { event, label, headers: extraHeaders = {}, payload }) {
+    if (!WEBHOOK_SECRET) {
+        logWarn(`⚠️ Webhook ${label} non envoyé — JOB_WEBHOOK_SECRET absent`);
+        return { status: 'failed', attempts: 0 };
+    }
+    const body = JSON.stringify(payload);
+
+    for (let attempt = 1; attempt <= WEBHOOK_MAX_ATTEMPTS; attempt++) {
+        const timestamp = Math.floor(Date.now() / 1000).toString();
+        const headers = {
+            'Content-Type': 'application/json',
+            'X-VerifyAI-Event': event,
+            ...extraHeaders,
+            'X-VerifyAI-Timestamp': timestamp,
+            'X-VerifyAI-Signature': signWebhookPayload(timestamp, body)
+        };
+
+        try {
+            const statusCode = await postWebhook(url, headers, body);
+            if (statusCode >= 200 && statusCode < 300) {
+                return { status: 'delivered', attempts: attempt, statusCode };
+            }
+            logWarn(`⚠️ Webhook ${label} — HTTP ${statusCode} (tentative ${attempt})`);
+        } catch (error) {
+            logWarn(`⚠️ Webhook ${label} — ${error.message} (tentative ${attempt})`);
+            // Adresse non publique : inutile de réessayer
+            if (error.code === 'EBLOCKEDADDRESS') {
+                return { status: 'failed', attempts: attempt, reason: 'blocked_address' };
+            }
+        }
+
+        if (attempt < WEBHOOK_MAX_ATTEMPTS) {
+            await delay(1000 * attempt * attempt);
+        }
+    }
+
+    return { status: 'failed', attempts: WEBHOOK_MAX_ATTEMPTS };
+}
+
+function sendJobWebhook(job) {
+    return deliverSignedWebhook(job.callbackUrl, {
+        event: `job.${job.status}`,
+        label: `job ${job.id}`,
+        headers: { 'X-VerifyAI-Job-Id': job.id },
+        payload: {
+            id: job.id,
+            type: job.type,
+            status: job.status,
+            result: job.result || null,
+            error: job.error || null,
+            completedAt: job.completedAt
+        }
+    });
+}
+
+async function finishJob(job, patch) {
+    const completedAt = new Date().toISOString();
+    Object.assign(job, patch, { completedAt });
+    await jobStore.update(job.id, { ...patch, completedAt });
+
+    if (job.callbackUrl) {
+        const webhook = await sendJobWebhook(job);
+        job.webhook = webhook;
+        await jobStore.update(job.id, { webhook });
+    }
+}
+
+async function runJob(job) {
+    const jobType = JOB_TYPES[job.type];
+    const progress = job.progress;
+
+    try {
+        await jobStore.update(job.id, { status: 'running' });
+
+        let pendingWrite = Promise.resolve();
+        const onProgress = (event, data) => {
+            applyJobEvent(progress, event, data);
+            pendingWrite = pendingWrite
+                .then(() => jobStore.update(job.id, { progress }))
+                .catch(error => logError(`Erreur progression job ${job.id}`, error.message));
+        };
+
+        const result = await executeAndRecord(job.type, jobType.execute, job.params, { onProgress, caller: job.caller });
+        await pendingWrite;
+
+        completeJobProgress(progress);
+        await finishJob(job, { status: 'succeeded', progress, result });
+        logInfo(`✅ Job ${job.id} (${job.type}) terminé`);
+    } catch (error) {
+        logError(`❌ Job ${job.id} échoué`, error.message);
+        await finishJob(job, { status: 'failed', error: error.message || 'Erreur inconnue' })
+            .catch(storeError => logError(`Erreur enregistrement job ${job.id}`, storeError.message));
+    }
+}
+
+function drainJobQueue() {
+    while (runningJobs < MAX_CONCURRENT_JOBS && jobQueue.length > 0) {
+        const job = jobQueue.shift();
+        runningJobs += 1;
+        runJob(job).finally(() => {
+            runningJobs -= 1;
+            drainJobQueue();
+        });
+    }
+}
+
+function formatJob(job) {
+    return {
+        id: job.id,
+        type: job.type,
+        status: job.status,
+        progress: job.progress,
+        result: job.result || null,
+        error: job.error || null,
+        webhook: job.callbackUrl ? (job.webhook || { status: 'pending', attempts: 0 }) : null,
+        createdAt: job.createdAt,
+        updatedAt: job.updatedAt,
+        completedAt: job.completedAt || null
+    };
+}
+
+// ========== SURVEILLANCE DES AFFIRMATIONS ==========
+// Une affirmation surveillée est revérifiée selon une expression cron (UTC). Un changement de label, de verdict
+// ou de sources confirmantes est enregistré (table claim_changes) et notifié au callbackUrl éventuel.
+
+const MAX_WATCHES_PER_USER = 25;
+const MAX_WATCH_CLAIM_LENGTH = 1000;
+const scheduledWatches = new Map();
+const runningWatches = new Set();
+
+// Cron à 5 champs avec une minute fixe : au plus une exécution par heure
+function isValidWatchCron(cron) {
+    if (typeof cron !== 'string' || !nodeScheduleModule) return false;
+    const fields = cron.trim().split(/\s+/);
+    if (fields.length !== 5 || !/^\d{1,2}$/.test(fields[0]) || Number(fields[0]) > 59) return false;
+    const probe = nodeScheduleModule.scheduleJob({ rule: cron, tz: 'UTC' }, () => {});
+    if (!probe) return false;
+    probe.cancel();
+    return true;
+}
+
+function supportingSourceUrls(sources = []) {
+    return [...new Set(sources.filter(source => source.actuallySupports).map(source => source.url))].sort();
+}
+
+function snapshotFromPayload(payload) {
+    return {
+        verdict: payload.claimsAnalyzed?.[0]?.verdict || null,
+        score: payload.overallConfidence,
+        label: payload.reliabilityLabel,
+        sourceUrls: supportingSourceUrls(payload.sources),
+        verificationId: payload.verificationId || null
+    };
+}
+
+// Différences avec l'exécution précédente, ou null si rien n'a bougé
+function diffWatchSnapshots(watch, snapshot) {
+    const previousUrls = watch.last_source_urls || [];
+    const sourcesAdded = snapshot.sourceUrls.filter(url => !previousUrls.includes(url));
+    const sourcesRemoved = previousUrls.filter(url => !snapshot.sourceUrls.includes(url));
+
+    if (watch.last_label === snapshot.label && watch.last_verdict === snapshot.verdict
+        && sourcesAdded.length === 0 && sourcesRemoved.length === 0) {
+        return null;
+    }
+
+    return {
+        previousLabel: watch.last_label,
+        newLabel: snapshot.label,
+        previousVerdict: watch.last_verdict,
+        newVerdict: snapshot.verdict,
+        previousScore: watch.last_score,
+        newScore: snapshot.score,
+        sourcesAdded,
+        sourcesRemoved
+    };
+}
+
+function nextWatchRun(watchId) {
+    const job = scheduledWatches.get(watchId);
+    const next = job ? job.nextInvocation() : null;
+    return next ? new Date(next.getTime()).toISOString() : null;
+}
+
+function formatWatch(row) {
+    return {
+        id: row.id,
+        claim: row.claim_text,
+        cron: row.cron,
+        callbackUrl: row.callback_url,
+        active: row.active,
+        sourceVerificationId: row.source_verification_id,
+        runCount: row.run_count,
+        lastRun: row.last_run_at ? {
+            at: row.last_run_at,
+            verdict: row.last_verdict,
+            score: row.last_score,
+            label: row.last_label,
+            supportingSources: row.last_source_urls || [],
+            verificationId: row.last_verification_id
+        } : null,
+        // Dernière exécution sautée depuis la dernière exécution réussie (quota_exhausted)
+        lastSkipped: row.last_skipped_at ? { at: row.last_skipped_at, reason: row.last_skip_reason } : null,
+        nextRunAt: row.active ? nextWatchRun(row.id) : null,
+        createdAt: row.created_at
+    };
+}
+
+function formatClaimChange(row) {
+    return {
+        id: row.id,
+        watchId: row.watch_id,
+        previousLabel: row.previous_label,
+        newLabel: row.new_label,
+        previousVerdict: row.previous_verdict,
+        newVerdict: row.new_verdict,
+        previousScore: row.previous_score,
+        newScore: row.new_score,
+        sourcesAdded: row.sources_added || [],
+        sourcesRemoved: row.sources_removed || [],
+        verificationId: row.verification_id,
+        webhook: row.webhook,
+        createdAt: row.created_at
+    };
+}
+
+async function recordClaimChange(watch, change, verificationId) {
+    const { rows } = await pool.query(
+        `INSERT INTO claim_changes(watch_id, previous_label, new_label, previous_verdict, new_verdict, previous_score, new_score,
+            sources_added, sources_removed, verification_id)
+         VALUES($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+         RETURNING *`,
+        [watch.id, change.previousLabel, change.newLabel, change.previousVerdict, change.newVerdict, change.previousScore, change.newScore,
+            JSON.stringify(change.sourcesAdded), JSON.stringify(change.sourcesRemoved), verificationId]
+    );
+    const changeRow = rows[0];
+    logInfo(`🔔 Affirmation surveillée ${watch.id} : ${change.previousLabel} → ${change.newLabel}`);
+
+    if (watch.callback_url) {
+        const webhook = await deliverSignedWebhook(watch.callback_url, {
+            event: 'watch.changed',
+            label: `surveillance ${watch.id}`,
+            headers: { 'X-VerifyAI-Watch-Id': String(watch.id) },
+            payload: { watchId: watch.id, claim: watch.claim_text, change: formatClaimChange(changeRow) }
+        });
+        await pool.query('UPDATE claim_changes SET webhook = $2 WHERE id = $1', [changeRow.id, JSON.stringify(webhook)]);
+        changeRow.webhook = webhook;
+    }
+
+    return changeRow;
+}
+
+// Revérifie l'affirmation ; la première exécution sert de référence et ne produit pas de changement
+// Chaque exécution planifiée est décomptée du quota mensuel du propriétaire, comme un appel à /verify ; quota
+// épuisé, elle est sautée et la raison enregistrée. chargeQuota: false quand la route a déjà réservé l'unité.
+async function runWatch(watchId, { chargeQuota = true } = {}) {
+    if (runningWatches.has(watchId)) {
+        return null;
+    }
+    runningWatches.add(watchId);
+
+    try {
+        const { rows } = await pool.query('SELECT * FROM watched_claims WHERE id = $1 AND active = TRUE', [watchId]);
+        const watch = rows[0];
+        if (!watch) {
+            unscheduleWatch(watchId);
+            return null;
+        }
+
+        const period = currentUsagePeriod();
+        const subject = `user:${watch.user_id}`;
+        if (chargeQuota) {
+            const { limit } = await getAccountQuota(watch.user_id);
+            if (await reserveQuota(subject, period, limit) === null) {
+                await pool.query(
+                    'UPDATE watched_claims SET last_skipped_at = CURRENT_TIMESTAMP, last_skip_reason = $2 WHERE id = $1',
+                    [watch.id, 'quota_exhausted']
+                );
+                logWarn(`⚠️ Surveillance ${watch.id} sautée — quota mensuel épuisé`);
+                return null;
+            }
+        }
+
+        let payload;
+        try {
+            payload = await executeAndRecord('verify', executeVerify, {
+                text: watch.claim_text,
+                smartQueries: [],
+                analysisType: '',
+                fetchPages: PAGE_FETCH_ENABLED,
+                forceRefresh: true
+            }, { caller: { userId: watch.user_id, keyId: null } });
+        } catch (error) {
+            if (chargeQuota) {
+                await releaseQuota(subject, period).catch(releaseError => logError('❌ Erreur enregistrement quota', releaseError.message));
+            }
+            throw error;
+        }
+        const snapshot = snapshotFromPayload(payload);
+        const change = watch.last_run_at ? diffWatchSnapshots(watch, snapshot) : null;
+
+        await pool.query(
+            `UPDATE watched_claims
+             SET last_run_at = CURRENT_TIMESTAMP, last_verdict = $2, last_score = $3, last_label = $4,
+                 last_source_urls = $5, last_verification_id = $6, run_count = run_count + 1,
+                 last_skipped_at = NULL, last_skip_reason = NULL
+             WHERE id = $1`,
+            [watch.id, snapshot.verdict, snapshot.score, snapshot.label, JSON.stringify(snapshot.sourceUrls), snapshot.verificationId]
+        );
+
+        return change ? await recordClaimChange(watch, change, snapshot.verificationId) : null;
+    } catch (error) {
+        logError(`❌ Erreur surveillance ${watchId}`, error.message);
+        return null;
+    } finally {
+        runningWatches.delete(watchId);
+    }
+}
+
+function scheduleWatch(watch) {
+    unscheduleWatch(watch.id);
+    const job = nodeScheduleModule.scheduleJob({ rule: watch.cron, tz: 'UTC' }, () => runWatch(watch.id));
+    if (job) {
+        scheduledWatches.set(watch.id, job);
+    }
+}
+
+function unscheduleWatch(watchId) {
+    const job = scheduledWatches.get(watchId);
+    if (job) {
+        job.cancel();
+        scheduledWatches.delete(watchId);
+    }
+}
+
+async function scheduleWatchedClaims() {
+    if (!pool || !nodeScheduleModule) {
+        return;
+    }
+    try {
+        const { rows } = await pool.query('SELECT id, cron FROM watched_claims WHERE active = TRUE');
+        rows.forEach(scheduleWatch);
+        logInfo(`⏰ ${rows.length} affirmation(s) surveillée(s) planifiée(s)`);
+    } catch (error) {
+        logError('❌ Erreur planification des surveillances', error.message);
+    }
+}
+
+// ========== ÉVALUATION HORS-LIGNE ==========
+// Rejoue tout le pipeline (extraction, analyse des sources, verdicts, score) sur un jeu de données étiqueté
+// dont les sources sont enregistrées : aucune recherche web, résultats reproductibles d'une exécution à l'autre.
+
+const EVALUATION_VERDICTS = ['supported', 'contradicted', 'unverified'];
+const MAX_EVALUATION_ITEMS = 500;
+const EVALUATION_CALIBRATION_BINS = 10;
+const EVALUATION_DATASET_FILE = process.env.EVALUATION_DATASET_FILE || path.join(__dirname, 'evaluation', 'benchmark.json');
+const EVALUATION_BASELINE_FILE = process.env.EVALUATION_BASELINE_FILE || path.join(__dirname, 'evaluation', 'baseline.json');
+const EVALUATION_KNOWLEDGE_BASE_FILE = process.env.EVALUATION_KNOWLEDGE_BASE_FILE || path.join(__dirname, 'evaluation', 'knowledge-base.json');
+
+// Base de connaissances figée, comme les sources : les faits structurés sont vérifiés sans réseau
+const evaluationKnowledgeBases = [createLocalKnowledgeBase(EVALUATION_KNOWLEDGE_BASE_FILE)];
+
+const roundMetric = (value) => (typeof value === 'number' && Number.isFinite(value) ? Math.round(value * 10000) / 10000 : null);
+
+// Valide un jeu { name, referenceDate?, items: [{ id, text, expectedVerdict, sources: [{ title, url, snippet, publishedAt? }] }] }
+// ou un tableau d'éléments. referenceDate fige "maintenant" pour l'âge des sources et les expressions relatives.
+function normalizeEvaluationDataset(raw, defaultName = 'inline') {
+    const items = Array.isArray(raw) ? raw : raw?.items;
+    if (!Array.isArray(items) || items.length === 0) {
+        throw new Error('Dataset must be a non-empty array of items or an object with an items array.');
+    }
+    if (items.length > MAX_EVALUATION_ITEMS) {
+        throw new Error(`Dataset is limited to ${MAX_EVALUATION_ITEMS} items.`);
+    }
+
+    const seenIds = new Set();
+    const normalizedItems = items.map((item, index) => {
+        const id = item && item.id !== undefined ? String(item.id) : `item-${index + 1}`;
+        if (!item || typeof item.text !== 'string' || !item.text.trim() || item.text.length > MAX_TEXT_LENGTH) {
+            throw new Error(`Item "${id}": text is required (max ${MAX_TEXT_LENGTH} characters).`);
+        }
+        if (!EVALUATION_VERDICTS.includes(item.expectedVerdict)) {
+            throw new Error(`Item "${id}": expectedVerdict must be one of ${EVALUATION_VERDICTS.join(', ')}.`);
+        }
+        if (!Array.isArray(item.sources)) {
+            throw new Error(`Item "${id}": sources must be an array of recorded sources.`);
+        }
+        if (seenIds.has(id)) {
+            throw new Error(`Duplicate item id "${id}".`);
+        }
+        seenIds.add(id);
+
+        return {
+            id,
+            text: sanitizeInput(item.text),
+            expectedVerdict: item.expectedVerdict,
+            sources: item.sources
+                .filter(source => source && typeof source.url === 'string' && source.url)
+                .map(source => ({
+                    title: typeof source.title === 'string' ? source.title : '',
+                    url: source.url,
+                    snippet: typeof source.snippet === 'string' ? source.snippet : '',
+                    publishedAt: toIsoDate(source.publishedAt)
+                }))
+        };
+    });
+
+    const name = !Array.isArray(raw) && typeof raw.name === 'string' && raw.name.trim() ? raw.name.trim() : defaultName;
+    const referenceDate = Array.isArray(raw) || raw.referenceDate === undefined ? null : toIsoDate(raw.referenceDate);
+    if (!Array.isArray(raw) && raw.referenceDate !== undefined && !referenceDate) {
+        throw new Error('referenceDate must be a valid date.');
+    }
+    return { name, referenceDate, items: normalizedItems };
+}
+
+function loadEvaluationDataset(filePath = EVALUATION_DATASET_FILE) {
+    const resolved = path.resolve(filePath);
+    const raw = JSON.parse(fs.readFileSync(resolved, 'utf8'));
+    return normalizeEvaluationDataset(raw, path.basename(resolved, '.json'));
+}
+
+function loadEvaluationBaseline(filePath = EVALUATION_BASELINE_FILE) {
+    const resolved = path.resolve(filePath);
+    return fs.existsSync(resolved) ? JSON.parse(fs.readFileSync(resolved, 'utf8')) : null;
+}
+
+function saveEvaluationBaseline(report, filePath = EVALUATION_BASELINE_FILE) {
+    const { baseline, ...snapshot } = report;
+    fs.writeFileSync(path.resolve(filePath), `${JSON.stringify(snapshot, null, 2)}\n`);
+}
+
+// Remplace findWebSources : les sources enregistrées de l'élément, classées comme une vraie recherche
+function createRecordedSourceFinder(recordedSources) {
+    return async (keywords, smartQueries, originalText, { tenant = null } = {}) => recordedSources
+        .map(source => toSource({ ...source, provider: 'recorded' }, 'recorded', originalText, tenant))
+        .sort((a, b) => b.relevance - a.relevance)
+        .slice(0, 5);
+}
+
+// Verdict d'un élément : une affirmation contredite l'emporte, "supported" exige toutes les affirmations confirmées
+function aggregateEvaluationVerdict(factChecker, text, claims, analyzedSources) {
+    if (claims.length === 0) {
+        return factChecker.evaluateClaimVerdict({ text }, analyzedSources).verdict;
+    }
+    if (claims.some(claim => claim.verdict === 'contradicted')) return 'contradicted';
+    if (claims.every(claim => claim.verdict === 'supported')) return 'supported';
+    return 'unverified';
+}
+
+async function runEvaluationItem(item, scoringProfile, referenceDate = null) {
+    const factChecker = new ImprovedFactChecker({
+        language: detectLanguage(item.text),
+        scoringProfile,
+        referenceDate: referenceDate ? new Date(referenceDate) : null
+    });
+    const { claims, analyzedSources, result } = await verifyTextByClaims(factChecker, item.text, {
+        keywords: extractMainKeywords(item.text),
+        fetchPages: false,
+        findSources: createRecordedSourceFinder(item.sources),
+        searchDelayMs: 0,
+        knowledgeBases: evaluationKnowledgeBases
+    });
+    const predictedVerdict = aggregateEvaluationVerdict(factChecker, item.text, claims, analyzedSources);
+
+    return {
+        id: item.id,
+        expectedVerdict: item.expectedVerdict,
+        predictedVerdict,
+        correct: predictedVerdict === item.expectedVerdict,
+        overallConfidence: roundMetric(result.score),
+        reliabilityLabel: result.reliabilityLabel,
+        claims: claims.map(claim => ({ text: claim.text, verdict: claim.verdict, score: roundMetric(claim.score) }))
+    };
+}
+
+// overallConfidence est lu comme la probabilité que l'élément soit "supported"
+function computeCalibration(results) {
+    const bins = Array.from({ length: EVALUATION_CALIBRATION_BINS }, (_, index) => ({
+        from: index / EVALUATION_CALIBRATION_BINS,
+        to: (index + 1) / EVALUATION_CALIBRATION_BINS,
+        count: 0,
+        confidenceSum: 0,
+        supportedCount: 0
+    }));
+
+    let brierSum = 0;
+    for (const result of results) {
+        const outcome = result.expectedVerdict === 'supported' ? 1 : 0;
+        brierSum += (result.overallConfidence - outcome) ** 2;
+        const bin = bins[Math.min(EVALUATION_CALIBRATION_BINS - 1, Math.floor(result.overallConfidence * EVALUATION_CALIBRATION_BINS))];
+        bin.count += 1;
+        bin.confidenceSum += result.overallConfidence;
+        bin.supportedCount += outcome;
+    }
+
+    const filledBins = bins.filter(bin => bin.count > 0);
+    const calibrationError = filledBins.reduce((sum, bin) =>
+        sum + (bin.count / results.length) * Math.abs(bin.confidenceSum / bin.count - bin.supportedCount / bin.count), 0);
+
+    return {
+        brierScore: results.length > 0 ? roundMetric(brierSum / results.length) : null,
+        expectedCalibrationError: results.length > 0 ? roundMetric(calibrationError) : null,
+        bins: filledBins.map(bin => ({
+            from: roundMetric(bin.from),
+            to: roundMetric(bin.to),
+            count: bin.count,
+            meanConfidence: roundMetric(bin.confidenceSum / bin.count),
+            supportedRate: roundMetric(bin.supportedCount / bin.count)
+        }))
+    };
+}
+
+function computeEvaluationMetrics(results) {
+    const confusionMatrix = Object.fromEntries(EVALUATION_VERDICTS.map(expected =>
+        [expected, Object.fromEntries(EVALUATION_VERDICTS.map(predicted => [predicted, 0]))]));
+    results.forEach(result => {
+        confusionMatrix[result.expectedVerdict][result.predictedVerdict] += 1;
+    });
+
+    const labels = {};
+    for (const label of EVALUATION_VERDICTS) {
+        const truePositives = confusionMatrix[label][label];
+        const predicted = EVALUATION_VERDICTS.reduce((sum, expected) => sum + confusionMatrix[expected][label], 0);
+        const support = EVALUATION_VERDICTS.reduce((sum, other) => sum + confusionMatrix[label][other], 0);
+        const precision = predicted > 0 ? truePositives / predicted : null;
+        const recall = support > 0 ? truePositives / support : null;
+        const f1 = precision !== null && recall !== null
+            ? (precision + recall > 0 ? (2 * precision * recall) / (precision + recall) : 0)
+            : null;
+        labels[label] = { precision: roundMetric(precision), recall: roundMetric(recall), f1: roundMetric(f1), support, predicted };
+    }
+
+    const correct = results.filter(result => result.correct).length;
+    return {
+        total: results.length,
+        correct,
+        accuracy: results.length > 0 ? roundMetric(correct / results.length) : null,
+        labels,
+        confusionMatrix,
+        calibration: computeCalibration(results)
+    };
+}
+
+// Écarts avec la baseline enregistrée, élément par élément (même identifiant)
+function compareWithBaseline(report, baseline) {
+    if (!baseline || baseline.dataset?.name !== report.dataset.name || !Array.isArray(baseline.items)) {
+        return null;
+    }
+
+    const previousItems = new Map(baseline.items.map(item => [item.id, item]));
+    const regressions = [];
+    const improvements = [];
+    let comparedItems = 0;
+
+    for (const item of report.items) {
+        const previous = previousItems.get(item.id);
+        if (!previous) continue;
+        comparedItems += 1;
+        const change = {
+            id: item.id,
+            expectedVerdict: item.expectedVerdict,
+            baselineVerdict: previous.predictedVerdict,
+            predictedVerdict: item.predictedVerdict
+        };
+        if (previous.correct && !item.correct) regressions.push(change);
+        if (!previous.correct && item.correct) improvements.push(change);
+    }
+
+    const delta = (current, previous) => (typeof current === 'number' && typeof previous === 'number' ? roundMetric(current - previous) : null);
+    const metrics = baseline.metrics || {};
+    return {
+        generatedAt: baseline.generatedAt || null,
+        scoringProfile: baseline.scoringProfile || null,
+        comparedItems,
+        accuracyDelta: delta(report.metrics.accuracy, metrics.accuracy),
+        brierScoreDelta: delta(report.metrics.calibration.brierScore, metrics.calibration?.brierScore),
+        expectedCalibrationErrorDelta: delta(report.metrics.calibration.expectedCalibrationError, metrics.calibration?.expectedCalibrationError),
+        f1Delta: Object.fromEntries(EVALUATION_VERDICTS.map(label =>
+            [label, delta(report.metrics.labels[label].f1, metrics.labels?.[label]?.f1)])),
+        regressions,
+        improvements
+    };
+}
+
+async function runEvaluation(dataset, { scoringProfile = DEFAULT_SCORING_PROFILE_NAME, baseline = null } = {}) {
+    // Même détection de langue à chaque exécution, y compris au premier élément
+    await francLoading;
+
+    const results = [];
+    for (const item of dataset.items) {
+        results.push(await runEvaluationItem(item, scoringProfile, dataset.referenceDate));
+    }
+
+    const report = {
+        dataset: { name: dataset.name, referenceDate: dataset.referenceDate || null, items: dataset.items.length },
+        scoringProfile,
+        generatedAt: new Date().toISOString(),
+        metrics: computeEvaluationMetrics(results),
+        items: results
+    };
+    report.baseline = compareWithBaseline(report, baseline);
+    return report;
+}
+
+// ========== CALIBRATION PAR LES FEEDBACKS ==========
+// Ajuste les scores bruts du moteur sur l'utilité observée (feedback.is_useful), par type de contenu.
+// Chaque ajustement est une version de modèle (table calibration_models) ; la version active s'applique
+// aux réponses de /verify et /verify/ai, qui renvoient alors le score brut et le score calibré.
+
+const CALIBRATION_METHODS = ['isotonic', 'platt'];
+const CALIBRATION_FALLBACK_TYPE = '*';
+const CALIBRATION_MIN_SAMPLES = Math.max(2, Number(process.env.CALIBRATION_MIN_SAMPLES) || 30);
+const CALIBRATION_CURVE_BINS = 10;
+const CALIBRATED_ENDPOINTS = ['verify', 'verify_ai'];
+
+let activeCalibration = null;
+
+// Régression isotonique (pool adjacent violators) : points { score, value } à valeurs croissantes
+function fitIsotonic(samples) {
+    const blocks = [];
+    [...samples].sort((a, b) => a.score - b.score).forEach(sample => {
+        blocks.push({ scoreSum: sample.score, usefulSum: sample.useful ? 1 : 0, count: 1 });
+        while (blocks.length > 1) {
+            const last = blocks[blocks.length - 1];
+            const previous = blocks[blocks.length - 2];
+            if (previous.usefulSum / previous.count <= last.usefulSum / last.count) break;
+            blocks.splice(-2, 2, {
+                scoreSum: previous.scoreSum + last.scoreSum,
+                usefulSum: previous.usefulSum + last.usefulSum,
+                count: previous.count + last.count
+            });
+        }
+    });
+
+    // Seules les extrémités des paliers sont utiles à l'interpolation
+    const points = blocks.map(block => ({
+        score: roundMetric(block.scoreSum / block.count),
+        value: roundMetric(block.usefulSum / block.count)
+    }));
+    return {
+        points: points.filter((point, index) => index === 0 || index === points.length - 1
+            || point.value !== points[index - 1].value || point.value !== points[index + 1].value)
+    };
+}
+
+// Scaling de Platt : p = 1 / (1 + exp(-(a·score + b))), cibles lissées de Platt et méthode de Newton
+function fitPlatt(samples) {
+    const positives = samples.filter(sample => sample.useful).length;
+    const negatives = samples.length - positives;
+    const positiveTarget = (positives + 1) / (positives + 2);
+    const negativeTarget = 1 / (negatives + 2);
+
+    let a = 0;
+    let b = 0;
+    for (let iteration = 0; iteration < 100; iteration += 1) {
+        let gradientA = 0;
+        let gradientB = 0;
+        let hessianAA = 1e-9;
+        let hessianAB = 0;
+        let hessianBB = 1e-9;
+        for (const sample of samples) {
+            const probability = 1 / (1 + Math.exp(-(a * sample.score + b)));
+            const error = probability - (sample.useful ? positiveTarget : negativeTarget);
+            const weight = probability * (1 - probability);
+            gradientA += error * sample.score;
+            gradientB += error;
+            hessianAA += weight * sample.score * sample.score;
+            hessianAB += weight * sample.score;
+            hessianBB += weight;
+        }
+
+        const determinant = hessianAA * hessianBB - hessianAB * hessianAB;
+        if (Math.abs(determinant) < 1e-12) break;
+        const stepA = (hessianBB * gradientA - hessianAB * gradientB) / determinant;
+        const stepB = (hessianAA * gradientB - hessianAB * gradientA) / determinant;
+        a -= stepA;
+        b -= stepB;
+        if (Math.abs(stepA) + Math.abs(stepB) < 1e-9) break;
+    }
+
+    return { a: roundMetric(a), b: roundMetric(b) };
+}
+
+function calibrateScore(mapping, score) {
+    if (mapping.method === 'platt') {
+        return 1 / (1 + Math.exp(-(mapping.a * score + mapping.b)));
+    }
+
+    // Interpolation linéaire entre les points isotoniques, constante au-delà des extrémités
+    const { points } = mapping;
+    if (score <= points[0].score) return points[0].value;
+    for (let index = 1; index < points.length; index += 1) {
+        const point = points[index];
+        if (score <= point.score) {
+            const previous = points[index - 1];
+            const span = point.score - previous.score;
+            return span > 0 ? previous.value + (point.value - previous.value) * (score - previous.score) / span : point.value;
+        }
+    }
+    return points[points.length - 1].value;
+}
+
+// Courbe de calibration : feedbacks par classe de score brut, taux d'utilité observé et score calibré
+function buildCalibrationCurve(samples, mapping) {
+    const bins = Array.from({ length: CALIBRATION_CURVE_BINS }, (_, index) => ({
+        from: index / CALIBRATION_CURVE_BINS,
+        to: (index + 1) / CALIBRATION_CURVE_BINS,
+        count: 0,
+        useful: 0,
+        scoreSum: 0
+    }));
+    samples.forEach(sample => {
+        const bin = bins[Math.min(CALIBRATION_CURVE_BINS - 1, Math.floor(sample.score * CALIBRATION_CURVE_BINS))];
+        bin.count += 1;
+        bin.useful += sample.useful ? 1 : 0;
+        bin.scoreSum += sample.score;
+    });
+
+    return bins.filter(bin => bin.count > 0).map(bin => {
+        const meanRawScore = bin.scoreSum / bin.count;
+        return {
+            from: roundMetric(bin.from),
+            to: roundMetric(bin.to),
+            count: bin.count,
+            useful: bin.useful,
+            observedUsefulRate: roundMetric(bin.useful / bin.count),
+            meanRawScore: roundMetric(meanRawScore),
+            calibratedScore: roundMetric(calibrateScore(mapping, meanRawScore))
+        };
+    });
+}
+
+// Score brut : celui de la vérification liée, sinon le score_given transmis avec le feedback
+async function loadCalibrationSamples() {
+    const { rows } = await pool.query(`
+        SELECT f.is_useful, COALESCE(v.overall_confidence, f.score_given) AS score, v.score_details->>'contentType' AS content_type
+        FROM feedback f
+        LEFT JOIN verifications v ON v.id = f.verification_id
+        WHERE f.is_useful IS NOT NULL
+    `);
+    return rows
+        .map(row => ({ score: row.score === null ? NaN : Number(row.score), useful: row.is_useful === true, contentType: row.content_type || null }))
+        .filter(sample => Number.isFinite(sample.score) && sample.score >= 0 && sample.score <= 1);
+}
+
+function calibrationFromRow(row) {
+    return {
+        version: row.version,
+        method: row.method,
+        sampleCount: row.sample_count,
+        active: row.active,
+        createdAt: row.created_at,
+        mappings: row.mappings || {}
+    };
+}
+
+function formatCalibration(model) {
+    return {
+        version: model.version,
+        method: model.method,
+        active: model.active,
+        createdAt: model.createdAt,
+        sampleCount: model.sampleCount,
+        minSamples: CALIBRATION_MIN_SAMPLES,
+        contentTypes: model.mappings
+    };
+}
+
+// Ajuste un nouveau modèle et l'active ; un type de contenu sans assez de feedbacks utilise le modèle global
+async function fitCalibrationModel(method = CALIBRATION_METHODS[0]) {
+    const samples = await loadCalibrationSamples();
+    if (samples.length < CALIBRATION_MIN_SAMPLES) {
+        return { error: `At least ${CALIBRATION_MIN_SAMPLES} feedback entries with a score are required (found ${samples.length}).` };
+    }
+
+    const groups = { [CALIBRATION_FALLBACK_TYPE]: samples };
+    samples.filter(sample => sample.contentType).forEach(sample => {
+        groups[sample.contentType] = groups[sample.contentType] || [];
+        groups[sample.contentType].push(sample);
+    });
+
+    const fit = method === 'platt' ? fitPlatt : fitIsotonic;
+    const mappings = {};
+    for (const [contentType, group] of Object.entries(groups)) {
+        if (group.length < CALIBRATION_MIN_SAMPLES) continue;
+        const mapping = { method, samples: group.length, ...fit(group) };
+        mappings[contentType] = { ...mapping, curve: buildCalibrationCurve(group, mapping) };
+    }
+
+    const { rows } = await pool.query(
+        'INSERT INTO calibration_models(method, sample_count, mappings, active) VALUES($1, $2, $3, TRUE) RETURNING *',
+        [method, samples.length, JSON.stringify(mappings)]
+    );
+    await pool.query('UPDATE calibration_models SET active = FALSE WHERE active = TRUE AND version <> $1', [rows[0].version]);
+    activeCalibration = calibrationFromRow(rows[0]);
+
+    logInfo(`📐 Calibration v${activeCalibration.version} (${method}) : ${samples.length} feedbacks, ${Object.keys(mappings).length} type(s) de contenu`);
+    return { model: activeCalibration };
+}
+
+async function activateCalibrationModel(version) {
+    const existing = await pool.query('SELECT version FROM calibration_models WHERE version = $1', [version]);
+    if (existing.rows.length === 0) {
+        return null;
+    }
+    const { rows } = await pool.query('UPDATE calibration_models SET active = (version = $1) RETURNING *', [version]);
+    const row = rows.find(candidate => candidate.version === version);
+    activeCalibration = row ? calibrationFromRow(row) : null;
+    return activeCalibration;
+}
 
+async function loadActiveCalibration() {
+    if (!pool) {
+        return;
+    }
     try {
-        const response = await fetch(url, {
-            ...options,
-            signal: controller.signal
-        });
-        return response;
-    } finally {
-        clearTimeout(timeoutId);
+        const { rows } = await pool.query('SELECT * FROM calibration_models WHERE active = TRUE ORDER BY version DESC LIMIT 1');
+        activeCalibration = rows[0] ? calibrationFromRow(rows[0]) : null;
+        if (activeCalibration) {
+            logInfo(`📐 Calibration active : v${activeCalibration.version} (${activeCalibration.method})`);
+        }
+    } catch (error) {
+        logError('❌ Erreur chargement de la calibration', error.message);
     }
 }
 
-function truncatePayload(value, maxStringLength, maxArrayLength, depth = 0) {
-    if (value === null || value === undefined) {
-        return value;
+// Réajustement périodique (CALIBRATION_CRON, UTC) avec la méthode du modèle actif
+function scheduleCalibrationFit() {
+    const cron = process.env.CALIBRATION_CRON;
+    if (!cron || !pool) {
+        return;
+    }
+    if (!isValidWatchCron(cron)) {
+        logWarn(`⚠️ CALIBRATION_CRON invalide ou node-schedule absent : "${cron}"`);
+        return;
     }
+    nodeScheduleModule.scheduleJob({ rule: cron, tz: 'UTC' }, () => {
+        fitCalibrationModel(activeCalibration ? activeCalibration.method : CALIBRATION_METHODS[0])
+            .then(result => result.error && logWarn(`⚠️ Calibration non réajustée : ${result.error}`))
+            .catch(error => logError('❌ Erreur réajustement de la calibration', error.message));
+    });
+    logInfo(`⏰ Réajustement de la calibration planifié (${cron})`);
+}
 
-    if (typeof value === 'string') {
-        if (value.length > maxStringLength) {
-            return `${value.slice(0, maxStringLength)}…`;
+// Ajoute le score calibré aux réponses verify / verify_ai ; overallConfidence reste le score brut
+function withCalibratedScore(type, payload) {
+    if (!CALIBRATED_ENDPOINTS.includes(type) || typeof payload.overallConfidence !== 'number') {
+        return payload;
+    }
+
+    const contentType = payload.details?.contentType;
+    const mappingType = activeCalibration && activeCalibration.mappings[contentType] ? contentType : CALIBRATION_FALLBACK_TYPE;
+    const mapping = activeCalibration ? activeCalibration.mappings[mappingType] : null;
+    if (!mapping) {
+        return { ...payload, rawConfidence: payload.overallConfidence, calibratedConfidence: null, calibration: null };
+    }
+
+    return {
+        ...payload,
+        rawConfidence: payload.overallConfidence,
+        calibratedConfidence: roundMetric(calibrateScore(mapping, payload.overallConfidence)),
+        calibration: { version: activeCalibration.version, method: mapping.method, contentType: mappingType }
+    };
+}
+
+// ========== ENDPOINTS API ==========
+
+function sendPrepared(res, prepared) {
+    if (prepared.status) {
+        res.status(prepared.status);
+    }
+    return sendSafeJson(res, prepared.payload);
+}
+
+// Endpoint principal avec système amélioré
+app.post('/verify', requireScope('verify'), enforceQuota, async (req, res) => {
+    try {
+        const prepared = prepareVerifyRequest(req.body);
+        if (!prepared.params) {
+            return sendPrepared(res, prepared);
         }
-        return value;
+
+        return sendSafeJson(res, await executeAndRecord('verify', executeVerify, prepared.params, { caller: callerFromRequest(req) }));
+
+    } catch (error) {
+        logError('❌ Erreur analyse équilibrée', error);
+        res.status(500);
+        return sendSafeJson(res, {
+            overallConfidence: 0.20,
+            scoringExplanation: "**Erreur système** (20%) - Impossible de terminer l'analyse.",
+            keywords: [],
+            sources: [],
+            error: !isProduction ? error?.message : undefined
+        });
     }
+});
 
-    if (Array.isArray(value)) {
-        const limit = Math.max(1, Math.floor(maxArrayLength / Math.max(depth || 1, 1)));
-        return value.slice(0, limit).map(item => truncatePayload(item, maxStringLength, maxArrayLength, depth + 1));
+// Endpoint VerifyAI pour extension Chrome
+app.post('/verify/ai', requireScope('verify'), enforceQuota, async (req, res) => {
+    try {
+        const prepared = prepareVerifyAiRequest(req.body);
+        if (!prepared.params) {
+            return sendPrepared(res, prepared);
+        }
+
+        return sendSafeJson(res, await executeAndRecord('verify_ai', executeVerifyAi, prepared.params, { caller: callerFromRequest(req) }));
+    } catch (error) {
+        logError('❌ Erreur VerifyAI', error);
+        res.status(500);
+        return sendSafeJson(res, {
+            error: 'Erreur lors de la vérification du modèle.'
+        });
     }
+});
 
-    if (typeof value === 'object') {
-        const result = {};
-        for (const [key, val] of Object.entries(value)) {
-            result[key] = truncatePayload(val, maxStringLength, maxArrayLength, depth + 1);
+// Endpoint de comparaison multi-modèles
+app.post('/compare/ai', requireScope('verify'), enforceQuota, async (req, res) => {
+    try {
+        const prepared = prepareCompareRequest(req.body);
+        if (!prepared.params) {
+            return sendPrepared(res, prepared);
         }
-        return result;
+
+        return sendSafeJson(res, await executeAndRecord('compare_ai', executeCompare, prepared.params, { caller: callerFromRequest(req) }));
+    } catch (error) {
+        logError('❌ Erreur comparaison AI', error);
+        res.status(500);
+        return sendSafeJson(res, {
+            success: false,
+            error: 'Erreur lors de la comparaison des modèles.'
+        });
     }
+});
 
-    return value;
+// Profils de scoring disponibles
+app.get('/score/profiles', (req, res) => {
+    return sendSafeJson(res, {
+        default: DEFAULT_SCORING_PROFILE_NAME,
+        profiles: Object.values(scoringProfiles)
+    });
+});
+
+// Rejoue le scoring d'un jeu de sources déjà analysé sous un autre profil, sans nouvelle recherche
+app.post('/score/simulate', requireScope('verify'), async (req, res) => {
+    try {
+        const { verificationId, text, claims, sources, scoringProfile, profileOverrides } = req.body || {};
+
+        const profileName = parseScoringProfileName(scoringProfile);
+        if (profileName.error) {
+            res.status(400);
+            return sendSafeJson(res, { error: profileName.error });
+        }
+        let profile = getScoringProfile(profileName.name);
+        if (profileOverrides !== undefined) {
+            try {
+                profile = { ...applyScoringOverrides(profile, profileOverrides), name: `${profile.name}+overrides` };
+            } catch (error) {
+                res.status(400);
+                return sendSafeJson(res, { error: error.message });
+            }
+        }
+
+        let input;
+        let original = null;
+        if (verificationId !== undefined) {
+            if (!pool) {
+                res.status(503);
+                return sendSafeJson(res, { error: 'Verification history requires a configured database.' });
+            }
+            const row = typeof verificationId === 'string' ? await findAccessibleVerification(verificationId, req.account) : null;
+            if (!row || !['verify', 'verify_ai'].includes(row.endpoint)) {
+                res.status(404);
+                return sendSafeJson(res, { error: 'Verification not found.' });
+            }
+            input = { text: row.input_text, claims: row.claims, sources: row.sources, language: row.language };
+            original = {
+                overallConfidence: row.overall_confidence,
+                reliabilityLabel: row.reliability_label,
+                scoringProfile: row.scoring_profile || DEFAULT_SCORING_PROFILE_NAME
+            };
+        } else {
+            if (typeof text !== 'string' || text.trim().length < 10 || text.length > MAX_TEXT_LENGTH) {
+                res.status(400);
+                return sendSafeJson(res, { error: `text (10 to ${MAX_TEXT_LENGTH} characters) or verificationId is required.` });
+            }
+            if (!Array.isArray(sources) && !Array.isArray(claims)) {
+                res.status(400);
+                return sendSafeJson(res, { error: 'sources (analyzed sources) or claims with their sources are required.' });
+            }
+            input = { text: sanitizeInput(text), claims, sources, language: detectLanguage(text) };
+        }
+
+        const factChecker = new ImprovedFactChecker({
+            language: input.language,
+            tenant: req.account?.userId || null,
+            scoringProfile: profile
+        });
+        const { claims: claimResults, result } = rescoreAnalyzedSources(factChecker, input.text, input.claims, input.sources);
+
+        return sendSafeJson(res, {
+            scoringProfile: profile.name,
+            overallConfidence: result.score,
+            confidence: result.confidence,
+            reliabilityLabel: result.reliabilityLabel,
+            scoringExplanation: result.reasoning,
+            details: result.details,
+            claims: claimResults.map(claim => ({ text: claim.text, type: claim.type, verdict: claim.verdict, score: claim.score })),
+            original
+        });
+    } catch (error) {
+        logError('❌ Erreur simulation de scoring', error);
+        res.status(500);
+        return sendSafeJson(res, { error: 'Erreur lors de la simulation du scoring.' });
+    }
+});
+
+// Données envoyées au client SSE pour chaque événement du pipeline
+function toStreamEvent(event, data = {}) {
+    switch (event) {
+        case 'claims_extracted':
+            return { claims: data.claims };
+        case 'keywords_extracted':
+            return { keywords: data.keywords, language: data.language };
+        case 'source_found':
+        case 'source_analyzed':
+            return { claimIndex: data.claimIndex, source: data.source };
+        case 'sources_analyzed':
+            return { claimIndex: data.claimIndex, verdict: data.verdict || null, score: data.score ?? null, sourcesCount: data.sources.length };
+        case 'scored':
+            return {
+                overallConfidence: data.result.score,
+                confidence: data.result.confidence,
+                reliabilityLabel: data.result.reliabilityLabel
+            };
+        default:
+            return null;
+    }
 }
 
-function enforceResponseSize(payload) {
-    const reductionSteps = [
-        { maxString: 2000, maxArray: 20 },
-        { maxString: 1000, maxArray: 10 },
-        { maxString: 400, maxArray: 5 }
-    ];
+const STREAM_HEARTBEAT_MS = 15000;
 
-    for (const step of reductionSteps) {
-        const truncated = truncatePayload(payload, step.maxString, step.maxArray);
-        const size = Buffer.byteLength(JSON.stringify(truncated), 'utf8');
-        if (size <= MAX_RESPONSE_BYTES) {
-            return truncated;
+// Vérification en Server-Sent Events : un événement par étape, puis "result" au format de /verify
+async function streamVerification(res, body, caller = null) {
+    const prepared = prepareVerifyRequest(body);
+    if (prepared.status) {
+        return sendPrepared(res, prepared);
+    }
+
+    res.status(200);
+    res.set({
+        'Content-Type': 'text/event-stream; charset=utf-8',
+        'Cache-Control': 'no-cache, no-transform',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    let closed = false;
+    const writeEvent = (event, data) => {
+        if (closed) return;
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+    const heartbeat = setInterval(() => {
+        if (!closed) res.write(': keep-alive\n\n');
+    }, STREAM_HEARTBEAT_MS);
+    // res (et non req) : "close" de la requête est émis dès que le corps JSON est lu
+    res.on('close', () => {
+        closed = true;
+        clearInterval(heartbeat);
+    });
+
+    try {
+        const payload = prepared.params
+            ? await executeAndRecord('verify', executeVerify, prepared.params, {
+                caller,
+                onProgress: (event, data) => {
+                    const streamData = toStreamEvent(event, data);
+                    if (streamData) {
+                        writeEvent(event, enforceResponseSize(streamData));
+                    }
+                }
+            })
+            : prepared.payload;
+
+        writeEvent('result', enforceResponseSize(payload));
+    } catch (error) {
+        logError('❌ Erreur analyse en streaming', error);
+        writeEvent('error', {
+            error: "Impossible de terminer l'analyse.",
+            details: !isProduction ? error?.message : undefined
+        });
+    } finally {
+        clearInterval(heartbeat);
+        if (!closed) {
+            res.end();
+        }
+    }
+}
+
+app.get('/verify/stream', requireScope('verify'), enforceQuota, (req, res) => {
+    const { text, smartQueries, analysisType, fetchPages, forceRefresh, scoringProfile } = req.query || {};
+    return streamVerification(res, {
+        text,
+        scoringProfile,
+        smartQueries: smartQueries ? [].concat(smartQueries) : undefined,
+        analysisType,
+        fetchPages: fetchPages === undefined ? undefined : fetchPages === 'true',
+        forceRefresh: forceRefresh === 'true'
+    }, callerFromRequest(req));
+});
+
+app.post('/verify/stream', requireScope('verify'), enforceQuota, (req, res) => streamVerification(res, req.body, callerFromRequest(req)));
+
+// Jobs asynchrones : création immédiate, exécution en arrière-plan
+app.post('/jobs', requireScope('jobs'), enforceQuota, async (req, res) => {
+    try {
+        const { type, input, callbackUrl } = req.body || {};
+
+        if (!JOB_TYPES[type]) {
+            res.status(400);
+            return sendSafeJson(res, { error: `Invalid job type. Allowed values: ${Object.keys(JOB_TYPES).join(', ')}.` });
+        }
+
+        const callbackError = callbackUrlError(callbackUrl);
+        if (callbackError) {
+            res.status(400);
+            return sendSafeJson(res, { error: callbackError });
+        }
+
+        const prepared = JOB_TYPES[type].prepare(input);
+        if (prepared.status) {
+            return sendPrepared(res, prepared);
+        }
+
+        if (prepared.params && jobQueue.length >= MAX_QUEUED_JOBS) {
+            res.status(503);
+            res.set('Retry-After', '30');
+            return sendSafeJson(res, { error: 'Job queue is full, retry later.' });
+        }
+
+        const now = new Date().toISOString();
+        const job = {
+            id: randomUUID(),
+            type,
+            userId: req.account?.userId || null,
+            caller: callerFromRequest(req),
+            status: prepared.params ? 'queued' : 'succeeded',
+            input: truncatePayload(input || {}, 2000, 20),
+            params: prepared.params,
+            progress: prepared.params ? createJobProgress(type) : completeJobProgress(createJobProgress(type)),
+            result: prepared.params ? null : prepared.payload,
+            error: null,
+            callbackUrl: callbackUrl || null,
+            webhook: null,
+            createdAt: now,
+            updatedAt: now,
+            completedAt: null
+        };
+
+        await jobStore.create(job);
+
+        if (prepared.params) {
+            jobQueue.push(job);
+            drainJobQueue();
+        } else {
+            finishJob(job, { status: 'succeeded', result: prepared.payload })
+                .catch(error => logError(`Erreur job ${job.id}`, error.message));
+        }
+
+        logInfo(`🗂️ Job ${job.id} (${type}) créé`);
+        res.status(202);
+        return sendSafeJson(res, {
+            id: job.id,
+            type,
+            status: job.status,
+            statusUrl: `/jobs/${job.id}`
+        });
+    } catch (error) {
+        logError('❌ Erreur création job', error);
+        res.status(500);
+        return sendSafeJson(res, { error: 'Erreur lors de la création du job.' });
+    }
+});
+
+app.get('/jobs/:id', requireScope('jobs'), async (req, res) => {
+    try {
+        const job = await jobStore.get(req.params.id);
+        // Un job créé avec une clé n'est visible que par son propriétaire
+        if (!job || (job.userId && job.userId !== req.account?.userId)) {
+            res.status(404);
+            return sendSafeJson(res, { error: 'Job not found.' });
+        }
+        return sendSafeJson(res, formatJob(job));
+    } catch (error) {
+        logError('❌ Erreur lecture job', error);
+        res.status(500);
+        return sendSafeJson(res, { error: 'Erreur lors de la lecture du job.' });
+    }
+});
+
+// Endpoint de vérification de documents (PDF, texte, markdown)
+app.post('/verify/document', requireScope('verify'), enforceQuota, (req, res) => {
+    if (!documentUpload) {
+        res.status(501);
+        return sendSafeJson(res, { error: 'Document upload is not available on this server.' });
+    }
+
+    documentUpload(req, res, async (uploadError) => {
+        if (uploadError) {
+            res.status(uploadError.code === 'LIMIT_FILE_SIZE' ? 413 : 400);
+            return sendSafeJson(res, {
+                error: uploadError.code === 'LIMIT_FILE_SIZE'
+                    ? `Document exceeds maximum of ${MAX_DOCUMENT_BYTES / (1024 * 1024)}MB.`
+                    : 'Invalid document upload.'
+            });
+        }
+
+        try {
+            const file = req.file;
+            if (!file || !file.buffer || file.buffer.length === 0) {
+                res.status(400);
+                return sendSafeJson(res, { error: 'A document file is required (multipart field "file").' });
+            }
+
+            const profile = parseScoringProfileName(req.body?.scoringProfile);
+            if (profile.error) {
+                res.status(400);
+                return sendSafeJson(res, { error: profile.error });
+            }
+
+            const documentType = detectDocumentType(file);
+            if (!documentType || (documentType === 'pdf' && !pdfParseModule)) {
+                res.status(415);
+                return sendSafeJson(res, { error: 'Unsupported document type. Allowed: PDF, plain text, markdown.' });
+            }
+
+            logInfo(`\n📄 === VÉRIFICATION DOCUMENT ===`);
+            logInfo(`📝 Fichier: ${file.originalname} (${documentType}, ${file.buffer.length} octets)`);
+
+            let documentTitle = null;
+            let pageCount = null;
+            let blocks;
+            if (documentType === 'pdf') {
+                const pdf = await extractPdfPages(file.buffer);
+                documentTitle = pdf.title;
+                pageCount = pdf.pageCount;
+                blocks = pdf.pages;
+            } else {
+                blocks = extractTextBlocks(file.buffer.toString('utf8'), documentType);
+            }
+
+            const sections = splitDocumentSections(blocks);
+            if (sections.length === 0) {
+                res.status(422);
+                return sendSafeJson(res, { error: 'No extractable text found in document.' });
+            }
+
+            const language = detectLanguage(sections.map(section => section.text).join(' ').substring(0, 2000));
+            const factChecker = new ImprovedFactChecker({ language, tenant: req.account?.userId || null, scoringProfile: profile.name });
+            const sectionReports = [];
+            let quotaExhausted = false;
+
+            for (const [index, section] of sections.entries()) {
+                const baseReport = {
+                    index,
+                    page: section.page,
+                    heading: section.heading,
+                    part: section.part || null,
+                    length: section.text.length,
+                    excerpt: section.text.substring(0, 200)
+                };
+
+                if (index >= MAX_DOCUMENT_SECTIONS) {
+                    sectionReports.push({ ...baseReport, skipped: true, reason: `Limite de ${MAX_DOCUMENT_SECTIONS} sections atteinte.` });
+                    continue;
+                }
+
+                // Une unité de quota par section analysée : la première est couverte par enforceQuota
+                if (quotaExhausted || (index > 0 && !(await reserveExtraQuota(req, res)))) {
+                    quotaExhausted = true;
+                    sectionReports.push({ ...baseReport, skipped: true, reason: 'Quota mensuel épuisé.' });
+                    continue;
+                }
+
+                const sectionText = sanitizeInput(section.text);
+                const keywords = extractMainKeywords(sectionText);
+                const { claims, analyzedSources, result } = await verifyTextByClaims(factChecker, sectionText, { keywords });
+
+                sectionReports.push({
+                    ...baseReport,
+                    overallConfidence: result.score,
+                    confidence: result.confidence,
+                    reliabilityLabel: result.reliabilityLabel,
+                    scoringExplanation: result.reasoning,
+                    claimsAnalyzed: claims,
+                    sources: analyzedSources,
+                    keywords,
+                    details: result.details
+                });
+            }
+
+            const summary = summarizeDocumentReport(sectionReports, factChecker.scoring);
+            logInfo(`✅ Document: ${summary.sectionsAnalyzed} sections | ${summary.claimsFound} claims | score ${summary.overallConfidence === null ? 'N/A' : Math.round(summary.overallConfidence * 100) + '%'}`);
+
+            const analyzedReports = sectionReports.filter(section => !section.skipped);
+            const verificationId = await saveVerification('document', {
+                text: sections.map(section => section.text).join('\n\n'),
+                language,
+                claims: analyzedReports.flatMap(section => section.claimsAnalyzed),
+                sources: dedupeSourcesByUrl(analyzedReports.flatMap(section => section.sources)),
+                label: summary.reliabilityLabel,
+                scoringProfile: factChecker.scoring.name,
+                details: { document: { name: file.originalname, type: documentType }, ...summary, sections: analyzedReports.map(section => ({ index: section.index, overallConfidence: section.overallConfidence, details: section.details })) },
+                score: summary.overallConfidence
+            }, callerFromRequest(req));
+
+            return sendSafeJson(res, {
+                ...(verificationId ? { verificationId } : {}),
+                document: {
+                    name: file.originalname,
+                    type: documentType,
+                    language,
+                    title: documentTitle,
+                    pageCount,
+                    sectionCount: sections.length
+                },
+                scoringProfile: factChecker.scoring.name,
+                ...summary,
+                sections: sectionReports,
+                methodology: "Analyse équilibrée par section avec détection contextuelle intelligente"
+            });
+        } catch (error) {
+            logError('❌ Erreur vérification document', error);
+            res.status(500);
+            return sendSafeJson(res, {
+                error: 'Erreur lors de la vérification du document.',
+                details: !isProduction ? error?.message : undefined
+            });
+        }
+    });
+});
+
+// Historique des vérifications
+app.get('/verifications', requireDatabase, requireScope('verify', { allowAnonymous: false }), async (req, res) => {
+    try {
+        const filters = buildVerificationFilters(req.query || {}, req.account);
+        if (filters.error) {
+            res.status(400);
+            return sendSafeJson(res, { error: filters.error });
         }
+
+        const limit = Math.min(Math.max(Number.parseInt(req.query.limit, 10) || 20, 1), 100);
+        const offset = Math.max(Number.parseInt(req.query.offset, 10) || 0, 0);
+        const { rows: countRows } = await pool.query(`SELECT COUNT(*)::int AS total FROM verifications ${filters.where}`, filters.values);
+        const { rows } = await pool.query(
+            `SELECT * FROM verifications ${filters.where}
+             ORDER BY created_at DESC
+             LIMIT $${filters.values.length + 1} OFFSET $${filters.values.length + 2}`,
+            [...filters.values, limit, offset]
+        );
+
+        return sendSafeJson(res, {
+            verifications: rows.map(formatVerificationSummary),
+            total: countRows[0].total,
+            limit,
+            offset
+        });
+    } catch (error) {
+        logError('❌ Erreur liste vérifications', error);
+        res.status(500);
+        return sendSafeJson(res, { error: "Erreur lors de la lecture de l'historique." });
     }
+});
 
-    return {
-        error: 'Response exceeded maximum size and was truncated.',
-        truncated: true
-    };
+// Une vérification anonyme est lisible par quiconque connaît son identifiant
+async function findAccessibleVerification(id, account) {
+    const { rows } = await pool.query('SELECT * FROM verifications WHERE id = $1', [id]);
+    const row = rows[0];
+    if (!row) return null;
+    if (row.user_id && row.user_id !== account?.userId && !account?.scopes.includes('admin')) return null;
+    return row;
 }
 
-function sendSafeJson(res, payload) {
-    res.json(enforceResponseSize(payload));
-}
+app.get('/verifications/:id', requireDatabase, requireScope('verify'), async (req, res) => {
+    try {
+        const row = await findAccessibleVerification(req.params.id, req.account);
+        if (!row) {
+            res.status(404);
+            return sendSafeJson(res, { error: 'Verification not found.' });
+        }
+        return sendSafeJson(res, formatVerification(row));
+    } catch (error) {
+        logError('❌ Erreur lecture vérification', error);
+        res.status(500);
+        return sendSafeJson(res, { error: 'Erreur lors de la lecture de la vérification.' });
+    }
+});
 
-function createCacheKey(prefix, data) {
-    return `${prefix}:${createHash('sha1').update(JSON.stringify(data)).digest('hex')}`;
+// Surveillance d'affirmations vérifiées
+function requireScheduler(req, res, next) {
+    if (!nodeScheduleModule) {
+        res.status(503);
+        return sendSafeJson(res, { error: 'Claim watching is not available on this server.' });
+    }
+    return next();
 }
 
-function extractMainKeywords(text) {
-    const cleaned = sanitizeInput(text).substring(0, 1000);
-    const keywords = [];
-    
-    try {
-        // Entités nommées
-        const namedEntities = cleaned.match(/\b[A-Z][a-zA-ZÀ-ÿ]+(?:\s+[A-Z][a-zA-ZÀ-ÿ]+){0,2}\b/g) || [];
-        keywords.push(...namedEntities.slice(0, 4));
-        
-        // Dates importantes
-        const dates = cleaned.match(/\b(19|20)\d{2}\b/g) || [];
-        keywords.push(...dates.slice(0, 2));
-        
-        // Nombres avec unités
-        const numbersWithUnits = cleaned.match(/\b\d+([,\.]\d+)?\s*(?:million|milliard|%|km|habitants|meters)\b/gi) || [];
-        keywords.push(...numbersWithUnits.slice(0, 2));
-        
-        // Mots significatifs longs
-        const significantWords = cleaned.match(/\b[a-zA-ZÀ-ÿ]{5,15}\b/g) || [];
-        keywords.push(...significantWords.slice(0, 3));
-        
-        return [...new Set(keywords)].filter(k => k && k.length > 2).slice(0, 6);
-        
-    } catch (e) {
-        logError('Erreur extraction keywords', e.message);
-        return [];
+async function findOwnWatch(req, res) {
+    const watchId = Number.parseInt(req.params.id, 10);
+    const { rows } = Number.isInteger(watchId)
+        ? await pool.query('SELECT * FROM watched_claims WHERE id = $1 AND user_id = $2', [watchId, req.account.userId])
+        : { rows: [] };
+    if (!rows[0]) {
+        res.status(404);
+        sendSafeJson(res, { error: 'Watch not found.' });
+        return null;
     }
+    return rows[0];
 }
 
-async function findWebSources(keywords, smartQueries, originalText) {
-    const API_KEY = process.env.GOOGLE_API_KEY;
-    const SEARCH_ENGINE_ID = process.env.SEARCH_ENGINE_ID;
+app.post('/watches', requireDatabase, requireScheduler, requireScope('verify', { allowAnonymous: false }), enforceQuota, async (req, res) => {
+    try {
+        const { text, verificationId, claimIndex = 0, cron, callbackUrl } = req.body || {};
 
-    if (!API_KEY || !SEARCH_ENGINE_ID) {
-        logWarn('API credentials manquantes - sources mock');
-        return [
-            {
-                title: "Wikipedia - Source de référence",
-                url: "https://fr.wikipedia.org/wiki/Main_Page",
-                snippet: "Information encyclopédique vérifiée",
-                query_used: "mock",
-                relevance: 0.8
-            },
-            {
-                title: "Source officielle",
-                url: "https://www.insee.fr",
-                snippet: "Données officielles et statistiques",
-                query_used: "mock",
-                relevance: 0.9
-            }
-        ];
-    }
-    
-    let allSources = [];
+        if (!isValidWatchCron(cron)) {
+            res.status(400);
+            return sendSafeJson(res, { error: 'cron must be a 5-field expression with a fixed minute (at most hourly), e.g. "0 6 * * 1".' });
+        }
+        const callbackError = callbackUrlError(callbackUrl);
+        if (callbackError) {
+            res.status(400);
+            return sendSafeJson(res, { error: callbackError });
+        }
+        if (!Number.isInteger(claimIndex) || claimIndex < 0) {
+            res.status(400);
+            return sendSafeJson(res, { error: 'claimIndex must be a non-negative integer.' });
+        }
 
-    if (smartQueries && smartQueries.length > 0) {
-        const queryPromises = smartQueries.slice(0, 2).map((query, index) => (async () => {
-            const delayMs = Math.min(index * MAX_API_DELAY_MS, MAX_API_DELAY_MS);
-            if (delayMs > 0) {
-                await delay(delayMs);
+        let claimText = typeof text === 'string' ? sanitizeInput(text) : '';
+        if (verificationId !== undefined) {
+            const verification = typeof verificationId === 'string'
+                ? await findAccessibleVerification(verificationId, req.account)
+                : null;
+            const claim = verification && Array.isArray(verification.claims) ? verification.claims[claimIndex] : null;
+            if (!claim || typeof claim !== 'object' || typeof claim.text !== 'string') {
+                res.status(404);
+                return sendSafeJson(res, { error: 'Verification or claim not found.' });
             }
+            claimText = claim.text;
+        }
+        if (claimText.length < 10 || claimText.length > MAX_WATCH_CLAIM_LENGTH) {
+            res.status(400);
+            return sendSafeJson(res, { error: `A claim text between 10 and ${MAX_WATCH_CLAIM_LENGTH} characters (or a verificationId) is required.` });
+        }
 
-            try {
-                const url = `https://www.googleapis.com/customsearch/v1?key=${API_KEY}&cx=${SEARCH_ENGINE_ID}&q=${encodeURIComponent(query)}&num=4`;
-                const response = await fetchWithTimeout(url, {}, FETCH_TIMEOUT_MS);
-                const data = await response.json();
+        const { rows: countRows } = await pool.query(
+            'SELECT COUNT(*)::int AS count FROM watched_claims WHERE user_id = $1 AND active = TRUE',
+            [req.account.userId]
+        );
+        if (countRows[0].count >= MAX_WATCHES_PER_USER) {
+            res.status(409);
+            return sendSafeJson(res, { error: `Active watch limit reached (${MAX_WATCHES_PER_USER}).` });
+        }
 
-                if (response.ok && data.items) {
-                    return data.items.map(item => ({
-                        title: item.title || 'Sans titre',
-                        url: item.link || '',
-                        snippet: item.snippet || 'Pas de description',
-                        query_used: query,
-                        relevance: calculateRelevance(item, originalText)
-                    }));
-                }
+        const { rows } = await pool.query(
+            `INSERT INTO watched_claims(user_id, claim_text, source_verification_id, cron, callback_url)
+             VALUES($1, $2, $3, $4, $5)
+             RETURNING *`,
+            [req.account.userId, claimText, verificationId || null, cron.trim(), callbackUrl || null]
+        );
+        const watch = rows[0];
+        scheduleWatch(watch);
+        // Exécution de référence immédiate, payée par le quota réservé pour cette requête
+        runWatch(watch.id, { chargeQuota: false });
+
+        logInfo(`👁️ Surveillance ${watch.id} créée (${watch.cron})`);
+        res.status(201);
+        return sendSafeJson(res, formatWatch(watch));
+    } catch (error) {
+        logError('❌ Erreur création surveillance', error);
+        res.status(500);
+        return sendSafeJson(res, { error: 'Erreur lors de la création de la surveillance.' });
+    }
+});
 
-                return [];
-            } catch (error) {
-                logError(`Erreur recherche pour "${query}"`, error.message);
-                return [];
-            }
-        })());
+app.get('/watches', requireDatabase, requireScope('verify', { allowAnonymous: false }), async (req, res) => {
+    try {
+        const { rows } = await pool.query(
+            'SELECT * FROM watched_claims WHERE user_id = $1 ORDER BY created_at DESC',
+            [req.account.userId]
+        );
+        return sendSafeJson(res, { watches: rows.map(formatWatch) });
+    } catch (error) {
+        logError('❌ Erreur liste surveillances', error);
+        res.status(500);
+        return sendSafeJson(res, { error: 'Erreur lors de la lecture des surveillances.' });
+    }
+});
 
-        const results = await Promise.allSettled(queryPromises);
-        for (const result of results) {
-            if (result.status === 'fulfilled' && Array.isArray(result.value)) {
-                allSources.push(...result.value);
-            }
-        }
+app.get('/watches/:id', requireDatabase, requireScope('verify', { allowAnonymous: false }), async (req, res) => {
+    try {
+        const watch = await findOwnWatch(req, res);
+        if (!watch) return undefined;
+        return sendSafeJson(res, formatWatch(watch));
+    } catch (error) {
+        logError('❌ Erreur lecture surveillance', error);
+        res.status(500);
+        return sendSafeJson(res, { error: 'Erreur lors de la lecture de la surveillance.' });
     }
+});
 
-    if (allSources.length < 2 && keywords.length > 0) {
-        try {
-            await delay(MAX_API_DELAY_MS);
-            const fallbackQuery = keywords.slice(0, 3).join(' ');
-            const url = `https://www.googleapis.com/customsearch/v1?key=${API_KEY}&cx=${SEARCH_ENGINE_ID}&q=${encodeURIComponent(fallbackQuery)}&num=3`;
-
-            const response = await fetchWithTimeout(url, {}, FETCH_TIMEOUT_MS);
-            const data = await response.json();
-
-            if (response.ok && data.items) {
-                const sources = data.items.map(item => ({
-                    title: item.title || 'Sans titre',
-                    url: item.link || '',
-                    snippet: item.snippet || 'Pas de description',
-                    query_used: fallbackQuery,
-                    relevance: calculateRelevance(item, originalText)
-                }));
-                allSources.push(...sources);
-            }
-        } catch (error) {
-            logError('Erreur recherche fallback', error.message);
-        }
+app.get('/watches/:id/changes', requireDatabase, requireScope('verify', { allowAnonymous: false }), async (req, res) => {
+    try {
+        const watch = await findOwnWatch(req, res);
+        if (!watch) return undefined;
+
+        const limit = Math.min(Math.max(Number.parseInt(req.query.limit, 10) || 20, 1), 100);
+        const offset = Math.max(Number.parseInt(req.query.offset, 10) || 0, 0);
+        const { rows } = await pool.query(
+            'SELECT * FROM claim_changes WHERE watch_id = $1 ORDER BY created_at DESC, id DESC LIMIT $2 OFFSET $3',
+            [watch.id, limit, offset]
+        );
+        return sendSafeJson(res, { watchId: watch.id, changes: rows.map(formatClaimChange), limit, offset });
+    } catch (error) {
+        logError('❌ Erreur lecture changements', error);
+        res.status(500);
+        return sendSafeJson(res, { error: 'Erreur lors de la lecture des changements.' });
     }
-    
-    // Déduplication et tri
-    const uniqueSources = [];
-    const seenUrls = new Set();
-    
-    allSources.sort((a, b) => b.relevance - a.relevance);
-    
-    for (const source of allSources) {
-        if (!seenUrls.has(source.url) && uniqueSources.length < 5) {
-            seenUrls.add(source.url);
-            uniqueSources.push(source);
+});
+
+// Revérification immédiate, hors planning
+app.post('/watches/:id/run', requireDatabase, requireScope('verify', { allowAnonymous: false }), enforceQuota, async (req, res) => {
+    try {
+        const watch = await findOwnWatch(req, res);
+        if (!watch) return undefined;
+        if (!watch.active) {
+            res.status(409);
+            return sendSafeJson(res, { error: 'Watch is no longer active.' });
+        }
+        if (runningWatches.has(watch.id)) {
+            res.status(409);
+            return sendSafeJson(res, { error: 'Watch is already running.' });
         }
+
+        const change = await runWatch(watch.id, { chargeQuota: false });
+        const { rows } = await pool.query('SELECT * FROM watched_claims WHERE id = $1', [watch.id]);
+        return sendSafeJson(res, { watch: formatWatch(rows[0]), change: change ? formatClaimChange(change) : null });
+    } catch (error) {
+        logError('❌ Erreur exécution surveillance', error);
+        res.status(500);
+        return sendSafeJson(res, { error: "Erreur lors de l'exécution de la surveillance." });
     }
-    
-    logInfo(`📋 ${uniqueSources.length} sources uniques trouvées`);
-    return uniqueSources;
+});
+
+app.delete('/watches/:id', requireDatabase, requireScope('verify', { allowAnonymous: false }), async (req, res) => {
+    try {
+        const watch = await findOwnWatch(req, res);
+        if (!watch) return undefined;
+
+        const { rows } = await pool.query('UPDATE watched_claims SET active = FALSE WHERE id = $1 RETURNING *', [watch.id]);
+        unscheduleWatch(watch.id);
+        logInfo(`👁️ Surveillance ${watch.id} arrêtée`);
+        return sendSafeJson(res, formatWatch(rows[0]));
+    } catch (error) {
+        logError('❌ Erreur suppression surveillance', error);
+        res.status(500);
+        return sendSafeJson(res, { error: 'Erreur lors de la suppression de la surveillance.' });
+    }
+});
+
+// Registre de crédibilité : registre global (admin) et surcharges propres à chaque compte
+function resolveCredibilityScope(req, res) {
+    if (req.query.tenantId === undefined) {
+        return GLOBAL_CREDIBILITY_SCOPE;
+    }
+    const tenantId = Number.parseInt(req.query.tenantId, 10);
+    if (!Number.isInteger(tenantId) || tenantId < 1) {
+        res.status(400);
+        sendSafeJson(res, { error: 'tenantId must be a positive integer.' });
+        return null;
+    }
+    return tenantCredibilityScope(tenantId);
 }
 
-function calculateRelevance(item, originalText) {
-    const title = (item.title || '').toLowerCase();
-    const snippet = (item.snippet || '').toLowerCase();
-    const url = (item.link || '').toLowerCase();
-    const original = originalText.toLowerCase();
-    
-    let score = 0.3;
-    
-    // Mots communs
-    const originalWords = original.split(/\s+/).filter(w => w.length > 3).slice(0, 8);
-    let commonWords = 0;
-    
-    for (const word of originalWords) {
-        if (title.includes(word) || snippet.includes(word)) {
-            commonWords++;
+function listCredibilityEntries(scope, res) {
+    return sendSafeJson(res, { scope, sources: credibilityRegistry.list(scope) });
+}
+
+async function upsertCredibilityEntry(scope, req, res) {
+    try {
+        const { entry, error } = normalizeCredibilityEntry({ ...(req.body || {}), domain: req.params.domain });
+        if (error) {
+            res.status(400);
+            return sendSafeJson(res, { error });
         }
+        const saved = await saveCredibilityEntry(scope, entry);
+        credibilityRegistry.set(scope, saved);
+        logInfo(`🏷️ Crédibilité ${scope} ${saved.domain} → ${saved.tier} (${saved.score})`);
+        return sendSafeJson(res, { scope, source: saved });
+    } catch (error) {
+        logError('❌ Erreur enregistrement crédibilité', error);
+        res.status(500);
+        return sendSafeJson(res, { error: "Erreur lors de l'enregistrement de la source." });
     }
-    
-    score += (commonWords / Math.max(originalWords.length, 1)) * 0.4;
-    
-    // Bonus sources fiables
-    if (url.includes('wikipedia')) score += 0.25;
-    else if (url.includes('.edu') || url.includes('.gov')) score += 0.2;
-    else if (url.includes('britannica') || url.includes('nature.com')) score += 0.15;
-    
-    // Pénalité sources douteuses
-    if (url.includes('reddit') || url.includes('forum')) score -= 0.15;
-    
-    return Math.max(0.1, Math.min(1, score));
 }
 
-// ========== ENDPOINTS API ==========
-
-// Endpoint principal avec système amélioré
-app.post('/verify', async (req, res) => {
+async function deleteCredibilityEntry(scope, req, res) {
     try {
-        const { text, smartQueries, analysisType, forceRefresh } = req.body || {};
+        const domain = String(req.params.domain || '').toLowerCase();
+        const result = await pool.query('DELETE FROM credibility_sources WHERE scope = $1 AND domain = $2', [scope, domain]);
+        credibilityRegistry.remove(scope, domain);
+        if (result.rowCount === 0) {
+            res.status(404);
+            return sendSafeJson(res, { error: 'Source not found.' });
+        }
+        return sendSafeJson(res, { scope, deleted: domain });
+    } catch (error) {
+        logError('❌ Erreur suppression crédibilité', error);
+        res.status(500);
+        return sendSafeJson(res, { error: 'Erreur lors de la suppression de la source.' });
+    }
+}
 
-        const sanitizedInput = typeof text === 'string' ? text : '';
-        logInfo(`\n🔍 === ANALYSE ÉQUILIBRÉE ===`);
-        logInfo(`📝 Texte: "${sanitizedInput.substring(0, 80)}..."`);
+const requireAdmin = requireScope('admin', { allowAnonymous: false });
+const requireAccount = requireScope('account', { allowAnonymous: false });
 
-        if (!sanitizedInput || sanitizedInput.length < 10) {
-            return sendSafeJson(res, {
-                overallConfidence: 0.25,
-                scoringExplanation: "**Texte insuffisant** (25%) - Contenu trop court pour analyse.",
-                keywords: [],
-                sources: [],
-                methodology: "Analyse équilibrée avec détection contextuelle"
-            });
-        }
+app.get('/credibility/resolve', (req, res) => {
+    const url = typeof req.query.url === 'string' ? req.query.url : '';
+    const tenant = req.account?.userId || null;
+    const entry = credibilityRegistry.resolve(url, tenant);
+    const factChecker = new ImprovedFactChecker({ tenant });
+    return sendSafeJson(res, { url, match: entry, credibility: factChecker.getSourceCredibilityTier(url) });
+});
 
-        if (sanitizedInput.length > MAX_TEXT_LENGTH) {
-            res.status(413);
-            return sendSafeJson(res, {
-                error: `Text length exceeds maximum of ${MAX_TEXT_LENGTH} characters.`
-            });
-        }
+app.get('/admin/credibility', requireAdmin, (req, res) => {
+    const scope = resolveCredibilityScope(req, res);
+    return scope ? listCredibilityEntries(scope, res) : undefined;
+});
 
-        const sanitizedSmartQueries = Array.isArray(smartQueries)
-            ? smartQueries.map(query => sanitizeInput(query))
-            : [];
+app.put('/admin/credibility/:domain', requireDatabase, requireAdmin, (req, res) => {
+    const scope = resolveCredibilityScope(req, res);
+    return scope ? upsertCredibilityEntry(scope, req, res) : undefined;
+});
 
-        const cacheKey = createCacheKey('verify', {
-            text: sanitizeInput(sanitizedInput),
-            smartQueries: sanitizedSmartQueries,
-            analysisType: typeof analysisType === 'string' ? sanitizeInput(analysisType) : ''
-        });
-        const bypassCache = forceRefresh === true;
-        if (!bypassCache) {
-            const cached = verificationCache.get(cacheKey);
-            if (cached) {
-                metrics.cacheHits += 1;
-                return sendSafeJson(res, cached);
-            }
-        }
+app.delete('/admin/credibility/:domain', requireDatabase, requireAdmin, (req, res) => {
+    const scope = resolveCredibilityScope(req, res);
+    return scope ? deleteCredibilityEntry(scope, req, res) : undefined;
+});
 
-        const factChecker = new ImprovedFactChecker();
+app.get('/account/credibility', requireAccount, (req, res) => {
+    return listCredibilityEntries(tenantCredibilityScope(req.account.userId), res);
+});
 
-        const claims = factChecker.extractVerifiableClaims(sanitizedInput);
-        const keywords = extractMainKeywords(sanitizedInput);
-        const sources = await findWebSources(keywords, sanitizedSmartQueries, sanitizedInput);
-        const analyzedSources = await analyzeSourcesWithImprovedLogic(factChecker, sanitizedInput, sources);
-        const result = factChecker.calculateBalancedScore(sanitizedInput, analyzedSources, claims);
+app.put('/account/credibility/:domain', requireDatabase, requireAccount, (req, res) => {
+    return upsertCredibilityEntry(tenantCredibilityScope(req.account.userId), req, res);
+});
 
-        const reliabilityLabel =
-            result.score > 0.85 ? 'Highly Reliable' :
-            result.score > 0.6 ? 'Mostly Reliable' :
-            result.score > 0.4 ? 'Uncertain' :
-            'Low Reliability';
+app.delete('/account/credibility/:domain', requireDatabase, requireAccount, (req, res) => {
+    return deleteCredibilityEntry(tenantCredibilityScope(req.account.userId), req, res);
+});
 
-        const response = {
-            overallConfidence: result.score,
-            confidence: result.confidence,
-            scoringExplanation: result.reasoning,
-            sources: analyzedSources,
-            keywords,
-            claimsAnalyzed: claims,
-            details: result.details,
-            methodology: "Analyse équilibrée avec détection contextuelle intelligente",
-            reliabilityLabel
-        };
+// Registre des modèles d'IA : consultation publique, modification par un administrateur
+function findModelOr404(req, res) {
+    const entry = aiModelRegistry.resolve(req.params.id);
+    if (!entry) {
+        res.status(404);
+        sendSafeJson(res, { error: 'Model not found.' });
+    }
+    return entry;
+}
 
-        verificationCache.set(cacheKey, response);
+app.get('/models', (req, res) => {
+    return sendSafeJson(res, { models: aiModelRegistry.list() });
+});
 
-        logInfo(`✅ Score équilibré: ${Math.round(result.score * 100)}% (confiance: ${Math.round(result.confidence * 100)}%)`);
-        logInfo(`📊 ${analyzedSources.length} sources | ${claims.length} claims | ${analyzedSources.filter(s => s.actuallySupports).length} confirment`);
-        logInfo(`===============================\n`);
+app.get('/models/:id', (req, res) => {
+    const entry = findModelOr404(req, res);
+    return entry ? sendSafeJson(res, { model: entry }) : undefined;
+});
 
-        return sendSafeJson(res, response);
+app.get('/models/:id/stats', requireDatabase, requireScope('verify'), async (req, res) => {
+    try {
+        const entry = findModelOr404(req, res);
+        if (!entry) return undefined;
+
+        const range = {};
+        for (const param of ['from', 'to']) {
+            if (req.query[param] === undefined) continue;
+            const date = new Date(req.query[param]);
+            if (Number.isNaN(date.getTime())) {
+                res.status(400);
+                return sendSafeJson(res, { error: `${param} must be an ISO date.` });
+            }
+            range[param] = date;
+        }
 
+        return sendSafeJson(res, await loadModelStatistics(entry, range));
     } catch (error) {
-        logError('❌ Erreur analyse équilibrée', error);
+        logError('❌ Erreur statistiques modèle', error);
         res.status(500);
-        return sendSafeJson(res, {
-            overallConfidence: 0.20,
-            scoringExplanation: "**Erreur système** (20%) - Impossible de terminer l'analyse.",
-            keywords: [],
-            sources: [],
-            error: !isProduction ? error?.message : undefined
-        });
+        return sendSafeJson(res, { error: 'Erreur lors du calcul des statistiques du modèle.' });
     }
 });
 
-// Endpoint VerifyAI pour extension Chrome
-app.post('/verify/ai', async (req, res) => {
+app.put('/admin/models/:id', requireDatabase, requireAdmin, async (req, res) => {
     try {
-        const { model, prompt, response: modelResponse, forceRefresh } = req.body || {};
-
-        const allowedModels = ['ChatGPT', 'Claude', 'Gemini'];
-        if (!allowedModels.includes(model)) {
+        const { entry, error } = normalizeAiModelEntry({ ...(req.body || {}), id: req.params.id });
+        if (error) {
             res.status(400);
-            return sendSafeJson(res, {
-                error: 'Invalid model specified. Allowed values: ChatGPT, Claude, Gemini.'
-            });
+            return sendSafeJson(res, { error });
         }
+        const conflict = aiModelRegistry.findConflict(entry);
+        if (conflict) {
+            res.status(409);
+            return sendSafeJson(res, { error: `A name or alias of this model is already used by "${conflict.id}".` });
+        }
+        const saved = await saveAiModelEntry(entry);
+        aiModelRegistry.set(saved);
+        logInfo(`🤖 Modèle ${saved.id} enregistré (${saved.displayName}, ${saved.aliases.length} alias)`);
+        return sendSafeJson(res, { model: saved });
+    } catch (error) {
+        logError('❌ Erreur enregistrement modèle', error);
+        res.status(500);
+        return sendSafeJson(res, { error: "Erreur lors de l'enregistrement du modèle." });
+    }
+});
+
+// L'historique garde l'identifiant : un modèle supprimé puis recréé retrouve ses statistiques
+app.delete('/admin/models/:id', requireDatabase, requireAdmin, async (req, res) => {
+    try {
+        const id = String(req.params.id || '').toLowerCase();
+        const result = await pool.query('DELETE FROM ai_models WHERE id = $1', [id]);
+        aiModelRegistry.remove(id);
+        if (result.rowCount === 0) {
+            res.status(404);
+            return sendSafeJson(res, { error: 'Model not found.' });
+        }
+        return sendSafeJson(res, { deleted: id });
+    } catch (error) {
+        logError('❌ Erreur suppression modèle', error);
+        res.status(500);
+        return sendSafeJson(res, { error: 'Erreur lors de la suppression du modèle.' });
+    }
+});
 
-        const sanitizedPrompt = typeof prompt === 'string' ? sanitizeInput(prompt) : '';
-        const sanitizedResponse = sanitizeInput(modelResponse);
+// Évaluation hors-ligne : jeu de référence (EVALUATION_DATASET_FILE) ou éléments fournis dans le corps
+app.post('/admin/evaluations', requireAdmin, async (req, res) => {
+    try {
+        const { name, items, referenceDate, scoringProfile, saveBaseline } = req.body || {};
 
-        if (!sanitizedResponse || sanitizedResponse.length < 10) {
+        const profile = parseScoringProfileName(scoringProfile);
+        if (profile.error) {
             res.status(400);
-            return sendSafeJson(res, {
-                error: 'Response text is required for verification.'
-            });
+            return sendSafeJson(res, { error: profile.error });
         }
 
-        if (sanitizedResponse.length > MAX_TEXT_LENGTH) {
-            res.status(413);
-            return sendSafeJson(res, {
-                error: `Response text exceeds maximum of ${MAX_TEXT_LENGTH} characters.`
-            });
+        let dataset;
+        if (items !== undefined) {
+            try {
+                dataset = normalizeEvaluationDataset({ name, referenceDate, items });
+            } catch (error) {
+                res.status(400);
+                return sendSafeJson(res, { error: error.message });
+            }
+        } else {
+            dataset = loadEvaluationDataset();
         }
 
-        const cacheKey = createCacheKey('verify_ai', {
-            model,
-            prompt: sanitizedPrompt,
-            response: sanitizedResponse
-        });
-        const bypassCache = forceRefresh === true;
-        if (!bypassCache) {
-            const cached = verificationCache.get(cacheKey);
-            if (cached) {
-                metrics.cacheHits += 1;
-                return sendSafeJson(res, cached);
+        const report = await runEvaluation(dataset, { scoringProfile: profile.name, baseline: loadEvaluationBaseline() });
+        if (saveBaseline === true) {
+            saveEvaluationBaseline(report);
+            logInfo(`💾 Baseline d'évaluation enregistrée (${dataset.name})`);
+        }
+
+        return sendSafeJson(res, report);
+    } catch (error) {
+        logError('❌ Erreur évaluation', error);
+        res.status(500);
+        return sendSafeJson(res, { error: "Erreur lors de l'évaluation." });
+    }
+});
+
+// Courbe de calibration du modèle actif (ou ?version=) et feedbacks derrière chaque classe de score
+app.get('/calibration', requireScope('verify'), async (req, res) => {
+    try {
+        let model = activeCalibration;
+        if (req.query.version !== undefined) {
+            const version = Number(req.query.version);
+            if (!Number.isInteger(version) || version < 1) {
+                res.status(400);
+                return sendSafeJson(res, { error: 'version must be a positive integer.' });
             }
+            const { rows } = pool ? await pool.query('SELECT * FROM calibration_models WHERE version = $1', [version]) : { rows: [] };
+            model = rows[0] ? calibrationFromRow(rows[0]) : null;
+        }
+        if (!model) {
+            res.status(404);
+            return sendSafeJson(res, { error: 'No calibration model found.' });
         }
 
-        const factChecker = new ImprovedFactChecker();
-        const claims = factChecker.extractVerifiableClaims(sanitizedResponse);
-        const keywords = extractMainKeywords(sanitizedResponse);
-        const smartQueries = sanitizedPrompt ? extractMainKeywords(sanitizedPrompt) : [];
-        const sources = await findWebSources(keywords, smartQueries, sanitizedResponse);
-        const analyzedSources = await analyzeSourcesWithImprovedLogic(factChecker, sanitizedResponse, sources);
-        const result = factChecker.calculateBalancedScore(sanitizedResponse, analyzedSources, claims);
-
-        const reliabilityLabel =
-            result.score > 0.85 ? 'Highly Reliable' :
-            result.score > 0.6 ? 'Mostly Reliable' :
-            result.score > 0.4 ? 'Uncertain' :
-            'Low Reliability';
-
-        const responsePayload = {
-            modelAnalyzed: model,
-            reliabilityScore: result.score,
-            reasoningSummary: result.reasoning,
-            sources: analyzedSources,
-            claims,
-            keywords,
-            overallConfidence: result.score,
-            reliabilityLabel
-        };
-
-        verificationCache.set(cacheKey, responsePayload);
-
-        return sendSafeJson(res, responsePayload);
+        return sendSafeJson(res, formatCalibration(model));
     } catch (error) {
-        logError('❌ Erreur VerifyAI', error);
+        logError('❌ Erreur lecture calibration', error);
         res.status(500);
+        return sendSafeJson(res, { error: 'Erreur lors de la lecture de la calibration.' });
+    }
+});
+
+app.get('/admin/calibration', requireDatabase, requireAdmin, async (req, res) => {
+    try {
+        const { rows } = await pool.query('SELECT version, method, sample_count, active, created_at FROM calibration_models ORDER BY version DESC LIMIT 100');
         return sendSafeJson(res, {
-            error: 'Erreur lors de la vérification du modèle.'
+            versions: rows.map(row => ({
+                version: row.version,
+                method: row.method,
+                sampleCount: row.sample_count,
+                active: row.active,
+                createdAt: row.created_at
+            }))
         });
+    } catch (error) {
+        logError('❌ Erreur liste des calibrations', error);
+        res.status(500);
+        return sendSafeJson(res, { error: 'Erreur lors de la lecture des calibrations.' });
     }
 });
 
-// Endpoint de comparaison multi-modèles
-app.post('/compare/ai', async (req, res) => {
+// Ajuste immédiatement un nouveau modèle sur les feedbacks et l'active
+app.post('/admin/calibration/fit', requireDatabase, requireAdmin, async (req, res) => {
     try {
-        const { prompt, responses } = req.body || {};
-
-        if (!prompt || typeof prompt !== 'string' || !responses || typeof responses !== 'object') {
+        const method = req.body?.method ?? CALIBRATION_METHODS[0];
+        if (!CALIBRATION_METHODS.includes(method)) {
             res.status(400);
-            return sendSafeJson(res, {
-                success: false,
-                error: 'Prompt and responses are required for comparison.'
-            });
-        }
-
-        const responseEntries = Object.entries(responses).filter(([model, text]) => typeof text === 'string' && text.trim().length > 0);
-
-        if (responseEntries.length === 0) {
-            res.status(400);
-            return sendSafeJson(res, {
-                success: false,
-                error: 'At least one model response must be provided.'
-            });
+            return sendSafeJson(res, { error: `method must be one of ${CALIBRATION_METHODS.join(', ')}.` });
         }
 
-        if (prompt.length > MAX_TEXT_LENGTH) {
-            res.status(413);
-            return sendSafeJson(res, {
-                success: false,
-                error: `Prompt exceeds maximum of ${MAX_TEXT_LENGTH} characters.`
-            });
+        const result = await fitCalibrationModel(method);
+        if (result.error) {
+            res.status(422);
+            return sendSafeJson(res, { error: result.error });
         }
+        res.status(201);
+        return sendSafeJson(res, formatCalibration(result.model));
+    } catch (error) {
+        logError('❌ Erreur ajustement calibration', error);
+        res.status(500);
+        return sendSafeJson(res, { error: "Erreur lors de l'ajustement de la calibration." });
+    }
+});
 
-        const factChecker = new ImprovedFactChecker();
-        const sanitizedPrompt = sanitizeInput(prompt);
-        const promptKeywords = extractMainKeywords(sanitizedPrompt);
-        const smartQueries = promptKeywords;
-        const promptClaims = factChecker.extractVerifiableClaims(sanitizedPrompt);
-
-        const comparison = [];
-
-        for (const [modelName, rawResponse] of responseEntries) {
-            if (rawResponse.length > MAX_TEXT_LENGTH) {
-                comparison.push({
-                    model: modelName,
-                    score: 0,
-                    confidence: 0,
-                    summary: `Réponse rejetée: dépasse ${MAX_TEXT_LENGTH} caractères.`,
-                    sourcesCount: 0
-                });
-                continue;
-            }
-
-            const sanitizedResponse = sanitizeInput(rawResponse);
-
-            if (!sanitizedResponse || sanitizedResponse.length < 10) {
-                comparison.push({
-                    model: modelName,
-                    score: 0,
-                    confidence: 0,
-                    summary: 'Réponse insuffisante pour une analyse fiable.',
-                    sourcesCount: 0
-                });
-                continue;
-            }
-
-            const responseClaims = factChecker.extractVerifiableClaims(sanitizedResponse);
-            const responseKeywords = extractMainKeywords(sanitizedResponse);
-            const combinedKeywords = Array.from(new Set([...promptKeywords, ...responseKeywords]));
-
-            const sources = await findWebSources(combinedKeywords, smartQueries, sanitizedResponse);
-            const analyzedSources = await analyzeSourcesWithImprovedLogic(factChecker, sanitizedResponse, sources);
-            const scoringClaims = responseClaims.length > 0 ? responseClaims : promptClaims;
-            const result = factChecker.calculateBalancedScore(sanitizedResponse, analyzedSources, scoringClaims);
-
-            comparison.push({
-                model: modelName,
-                score: Number(result.score.toFixed(2)),
-                confidence: Number(result.confidence.toFixed(2)),
-                summary: result.reasoning,
-                sourcesCount: analyzedSources.length
-            });
+// Retour à une version antérieure
+app.post('/admin/calibration/:version/activate', requireDatabase, requireAdmin, async (req, res) => {
+    try {
+        const version = Number(req.params.version);
+        const model = Number.isInteger(version) ? await activateCalibrationModel(version) : null;
+        if (!model) {
+            res.status(404);
+            return sendSafeJson(res, { error: 'Calibration version not found.' });
         }
-
-        const bestModelEntry = comparison.reduce((best, current) => {
-            if (!best || current.score > best.score) {
-                return current;
-            }
-            return best;
-        }, null);
-
-        return sendSafeJson(res, {
-            success: true,
-            prompt: sanitizedPrompt,
-            comparison,
-            bestModel: bestModelEntry ? bestModelEntry.model : null
-        });
+        return sendSafeJson(res, formatCalibration(model));
     } catch (error) {
-        logError('❌ Erreur comparaison AI', error);
+        logError('❌ Erreur activation calibration', error);
         res.status(500);
-        return sendSafeJson(res, {
-            success: false,
-            error: 'Erreur lors de la comparaison des modèles.'
-        });
+        return sendSafeJson(res, { error: "Erreur lors de l'activation de la calibration." });
     }
 });
 
 // Endpoint feedback
-app.post('/feedback', async (req, res) => {
+app.post('/feedback', requireScope('feedback'), async (req, res) => {
   if (!pool) {
     logWarn(`⚠️ DB désactivée — feedback non stocké: ${JSON.stringify(req.body || {})}`);
     return sendSafeJson(res, { success: true, message: 'Feedback reçu (non stocké)' });
@@ -1371,7 +8130,7 @@ app.post('/feedback', async (req, res) => {
 
   const client = await pool.connect();
   try {
-    const { originalText, scoreGiven, isUseful, comment, sourcesFound } = req.body;
+    const { originalText, scoreGiven, isUseful, comment, sourcesFound, verificationId } = req.body;
 
     // 🧩 Logs de diagnostic
     logInfo(`📩 Feedback reçu - texte: ${sanitizeInput(originalText || '').substring(0, 120)}`);
@@ -1430,15 +8189,29 @@ app.post('/feedback', async (req, res) => {
         `🧩 Pro Survey enregistré — willing: ${sanitizedWilling || 'N/A'}, features: [${sanitizedFeatures.join(', ')}], email: ${sanitizedEmail || 'N/A'}`
       );
     } else {
+      // 🔗 Feedback rattaché à une vérification enregistrée : texte, score et sources viennent de l'historique
+      let verification = null;
+      if (verificationId !== undefined) {
+        verification = typeof verificationId === 'string'
+          ? await findAccessibleVerification(verificationId, req.account)
+          : null;
+        if (!verification) {
+          res.status(404);
+          return sendSafeJson(res, { success: false, error: 'Verification not found.' });
+        }
+      }
+
       // 🔁 Feedback IA classique
       await client.query(
-        'INSERT INTO feedback(original_text, score_given, is_useful, comment, sources_found) VALUES($1,$2,$3,$4,$5)',
+        'INSERT INTO feedback(original_text, score_given, is_useful, comment, sources_found, user_id, verification_id) VALUES($1,$2,$3,$4,$5,$6,$7)',
         [
-          sanitizeInput(originalText).substring(0, 2000),
-          scoreGiven,
+          sanitizeInput(verification ? verification.input_text : originalText).substring(0, 2000),
+          scoreGiven ?? verification?.overall_confidence ?? null,
           isUseful,
           sanitizeInput(comment || '').substring(0, 500),
-          JSON.stringify(sourcesFound || [])
+          JSON.stringify(verification ? (verification.sources || []).map(source => source.url) : (sourcesFound || [])),
+          req.account?.userId || null,
+          verification ? verification.id : null
         ]
       );
 
@@ -1455,14 +8228,332 @@ app.post('/feedback', async (req, res) => {
   }
 });
 
+// Comptes : inscription, connexion et gestion des clés API
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MIN_PASSWORD_LENGTH = 10;
+const MAX_API_KEYS_PER_USER = 20;
+
+function requireDatabase(req, res, next) {
+    if (!pool) {
+        res.status(503);
+        return sendSafeJson(res, { error: 'Accounts require a configured database.' });
+    }
+    return next();
+}
+
+function formatUser(row) {
+    return { id: row.id, email: row.email, name: row.name || null, role: row.role, createdAt: row.created_at };
+}
+
+app.post('/auth/signup', requireDatabase, async (req, res) => {
+    try {
+        const { email, password, name } = req.body || {};
+        const normalizedEmail = typeof email === 'string' ? email.trim().toLowerCase() : '';
+
+        if (!EMAIL_PATTERN.test(normalizedEmail) || normalizedEmail.length > 320) {
+            res.status(400);
+            return sendSafeJson(res, { error: 'A valid email is required.' });
+        }
+        if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH || password.length > 200) {
+            res.status(400);
+            return sendSafeJson(res, { error: `Password must contain between ${MIN_PASSWORD_LENGTH} and 200 characters.` });
+        }
+
+        // Jamais admin à l'inscription : l'adresse n'y est pas vérifiée (voir node server.js grant-admin)
+        const role = 'user';
+        const passwordHash = await credentialHasher.hash(password);
+        let rows;
+        try {
+            ({ rows } = await pool.query(
+                `INSERT INTO users(email, password_hash, name, role) VALUES($1, $2, $3, $4)
+                 RETURNING id, email, name, role, created_at`,
+                [normalizedEmail, passwordHash, name ? sanitizeInput(name).substring(0, 120) : null, role]
+            ));
+        } catch (insertError) {
+            if (insertError.code === '23505') {
+                res.status(409);
+                return sendSafeJson(res, { error: 'An account already exists for this email.' });
+            }
+            throw insertError;
+        }
+
+        const apiKey = await issueApiKey(rows[0].id, { name: 'default', scopes: normalizeScopes(null, role) });
+        logInfo(`👤 Compte créé: ${rows[0].id}`);
+        res.status(201);
+        return sendSafeJson(res, { user: formatUser(rows[0]), apiKey });
+    } catch (error) {
+        logError('❌ Erreur inscription', error);
+        res.status(500);
+        return sendSafeJson(res, { error: 'Erreur lors de la création du compte.' });
+    }
+});
+
+// Connexion : renvoie une clé de session à durée limitée
+app.post('/auth/login', requireDatabase, async (req, res) => {
+    try {
+        const { email, password } = req.body || {};
+        const normalizedEmail = typeof email === 'string' ? email.trim().toLowerCase() : '';
+        if (!normalizedEmail || typeof password !== 'string') {
+            res.status(400);
+            return sendSafeJson(res, { error: 'Email and password are required.' });
+        }
+
+        const { rows } = await pool.query('SELECT * FROM users WHERE email = $1', [normalizedEmail]);
+        const user = rows[0];
+        if (!user) {
+            dummyCredentialHash = dummyCredentialHash || await credentialHasher.hash(randomUUID());
+            await credentialHasher.compare(password, dummyCredentialHash);
+        }
+        if (!user || !await credentialHasher.compare(password, user.password_hash)) {
+            res.status(401);
+            return sendSafeJson(res, { error: 'Invalid email or password.' });
+        }
+
+        await pruneSessionKeys(user.id);
+        const expiresAt = new Date(Date.now() + SESSION_KEY_TTL_HOURS * 60 * 60 * 1000).toISOString();
+        const apiKey = await issueApiKey(user.id, { name: 'session', scopes: normalizeScopes(null, user.role), expiresAt, session: true });
+        return sendSafeJson(res, { user: formatUser(user), apiKey });
+    } catch (error) {
+        logError('❌ Erreur connexion', error);
+        res.status(500);
+        return sendSafeJson(res, { error: 'Erreur lors de la connexion.' });
+    }
+});
+
+app.get('/account', requireScope('account', { allowAnonymous: false }), async (req, res) => {
+    try {
+        const { rows } = await pool.query('SELECT id, email, name, role, created_at FROM users WHERE id = $1', [req.account.userId]);
+        return sendSafeJson(res, { user: formatUser(rows[0]), scopes: req.account.scopes });
+    } catch (error) {
+        logError('❌ Erreur lecture compte', error);
+        res.status(500);
+        return sendSafeJson(res, { error: 'Erreur lors de la lecture du compte.' });
+    }
+});
+
+app.get('/account/api-keys', requireScope('account', { allowAnonymous: false }), async (req, res) => {
+    try {
+        const { rows } = await pool.query(
+            'SELECT * FROM api_keys WHERE user_id = $1 ORDER BY created_at DESC',
+            [req.account.userId]
+        );
+        return sendSafeJson(res, { apiKeys: rows.map(formatApiKey) });
+    } catch (error) {
+        logError('❌ Erreur liste clés API', error);
+        res.status(500);
+        return sendSafeJson(res, { error: 'Erreur lors de la lecture des clés API.' });
+    }
+});
+
+app.post('/account/api-keys', requireScope('account', { allowAnonymous: false }), async (req, res) => {
+    try {
+        const { name, scopes, expiresInDays } = req.body || {};
+
+        if (scopes !== undefined && (!Array.isArray(scopes) || scopes.some(scope => !API_KEY_SCOPES.includes(scope)))) {
+            res.status(400);
+            return sendSafeJson(res, { error: `Invalid scopes. Allowed values: ${API_KEY_SCOPES.join(', ')}.` });
+        }
+        if (expiresInDays !== undefined && (!Number.isInteger(expiresInDays) || expiresInDays < 1 || expiresInDays > 365)) {
+            res.status(400);
+            return sendSafeJson(res, { error: 'expiresInDays must be an integer between 1 and 365.' });
+        }
+
+        // Une clé ne peut pas obtenir plus de droits que celle qui la crée
+        const grantedScopes = normalizeScopes(scopes, req.account.role).filter(scope => req.account.scopes.includes(scope));
+        if (grantedScopes.length === 0) {
+            res.status(403);
+            return sendSafeJson(res, { error: 'None of the requested scopes can be granted.' });
+        }
+
+        // Les clés de session et les clés expirées ne comptent pas dans la limite
+        const { rows } = await pool.query(
+            `SELECT COUNT(*)::int AS count FROM api_keys
+             WHERE user_id = $1 AND revoked_at IS NULL AND NOT is_session
+               AND (expires_at IS NULL OR expires_at > $2)`,
+            [req.account.userId, new Date().toISOString()]
+        );
+        if (rows[0].count >= MAX_API_KEYS_PER_USER) {
+            res.status(409);
+            return sendSafeJson(res, { error: `Active API key limit reached (${MAX_API_KEYS_PER_USER}).` });
+        }
+
+        const expiresAt = expiresInDays ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000).toISOString() : null;
+        const apiKey = await issueApiKey(req.account.userId, {
+            name: name ? sanitizeInput(name).substring(0, 120) : 'api',
+            scopes: grantedScopes,
+            expiresAt
+        });
+        res.status(201);
+        return sendSafeJson(res, { apiKey });
+    } catch (error) {
+        logError('❌ Erreur création clé API', error);
+        res.status(500);
+        return sendSafeJson(res, { error: 'Erreur lors de la création de la clé API.' });
+    }
+});
+
+app.delete('/account/api-keys/:id', requireScope('account', { allowAnonymous: false }), async (req, res) => {
+    try {
+        const keyId = Number.parseInt(req.params.id, 10);
+        const { rows } = Number.isInteger(keyId)
+            ? await pool.query(
+                `UPDATE api_keys SET revoked_at = CURRENT_TIMESTAMP
+                 WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL
+                 RETURNING *`,
+                [keyId, req.account.userId]
+            )
+            : { rows: [] };
+
+        if (!rows[0]) {
+            res.status(404);
+            return sendSafeJson(res, { error: 'API key not found.' });
+        }
+
+        revokeCachedApiKey(keyId);
+        logInfo(`🔒 Clé API ${keyId} révoquée`);
+        return sendSafeJson(res, { apiKey: formatApiKey(rows[0]) });
+    } catch (error) {
+        logError('❌ Erreur révocation clé API', error);
+        res.status(500);
+        return sendSafeJson(res, { error: 'Erreur lors de la révocation de la clé API.' });
+    }
+});
+
+// Abonnements : plans, état du compte, Stripe Checkout et webhooks
+app.get('/billing/plans', (req, res) => {
+    return sendSafeJson(res, {
+        plans: Object.entries(BILLING_PLANS).map(([id, plan]) => ({
+            id,
+            name: plan.name,
+            monthlyQuota: plan.monthlyQuota,
+            purchasable: !!(stripe && plan.priceId)
+        }))
+    });
+});
+
+app.get('/billing/subscription', requireDatabase, requireScope('account', { allowAnonymous: false }), async (req, res) => {
+    try {
+        const period = currentUsagePeriod();
+        const subscription = await getAccountSubscription(req.account.userId);
+        const { rows } = await pool.query(
+            `SELECT k.id, k.name, k.prefix, COALESCE(u.count, 0)::int AS used
+             FROM api_keys k LEFT JOIN api_key_usage u ON u.api_key_id = k.id AND u.period = $2
+             WHERE k.user_id = $1
+             ORDER BY k.id`,
+            [req.account.userId, period]
+        );
+        const used = await getAccountUsage(req.account.userId, period);
+        const limit = BILLING_PLANS[subscription.plan].monthlyQuota;
+
+        return sendSafeJson(res, {
+            plan: subscription.plan,
+            status: subscription.status,
+            currentPeriodEnd: subscription.currentPeriodEnd,
+            usage: {
+                period,
+                limit,
+                used,
+                remaining: Math.max(0, limit - used),
+                resetsAt: nextUsagePeriodStart(),
+                byApiKey: rows.filter(row => row.used > 0).map(row => ({ id: row.id, name: row.name, prefix: `vai_${row.prefix}`, used: row.used }))
+            }
+        });
+    } catch (error) {
+        logError('❌ Erreur lecture abonnement', error);
+        res.status(500);
+        return sendSafeJson(res, { error: "Erreur lors de la lecture de l'abonnement." });
+    }
+});
+
+app.post('/billing/checkout', requireDatabase, requireScope('account', { allowAnonymous: false }), async (req, res) => {
+    if (!stripe) {
+        res.status(503);
+        return sendSafeJson(res, { error: 'Billing is not configured.' });
+    }
+
+    try {
+        const { plan, successUrl = process.env.BILLING_SUCCESS_URL, cancelUrl = process.env.BILLING_CANCEL_URL } = req.body || {};
+        const paidPlans = Object.keys(BILLING_PLANS).filter(id => BILLING_PLANS[id].priceId);
+
+        if (!paidPlans.includes(plan)) {
+            res.status(400);
+            return sendSafeJson(res, { error: `Invalid plan. Allowed values: ${paidPlans.join(', ') || 'none'}.` });
+        }
+        if (!isValidCallbackUrl(successUrl) || !isValidCallbackUrl(cancelUrl)) {
+            res.status(400);
+            return sendSafeJson(res, { error: 'Valid successUrl and cancelUrl are required.' });
+        }
+
+        const subscription = await getAccountSubscription(req.account.userId);
+        const metadata = { userId: String(req.account.userId), plan };
+        const session = await stripe.checkout.sessions.create({
+            mode: 'subscription',
+            line_items: [{ price: BILLING_PLANS[plan].priceId, quantity: 1 }],
+            client_reference_id: String(req.account.userId),
+            ...(subscription.stripeCustomerId
+                ? { customer: subscription.stripeCustomerId }
+                : { customer_email: req.account.email }),
+            metadata,
+            subscription_data: { metadata },
+            success_url: successUrl,
+            cancel_url: cancelUrl
+        });
+
+        logInfo(`💳 Session Checkout ${session.id} (${plan}) pour le compte ${req.account.userId}`);
+        res.status(201);
+        return sendSafeJson(res, { id: session.id, url: session.url, plan });
+    } catch (error) {
+        logError('❌ Erreur Stripe Checkout', error.message);
+        res.status(502);
+        return sendSafeJson(res, { error: 'Checkout session could not be created.' });
+    }
+});
+
+app.post('/billing/webhook', async (req, res) => {
+    if (!stripeModule || !STRIPE_WEBHOOK_SECRET) {
+        res.status(503);
+        return sendSafeJson(res, { error: 'Billing webhooks are not configured.' });
+    }
+
+    let event;
+    try {
+        event = stripeModule.webhooks.constructEvent(req.rawBody || '', req.headers['stripe-signature'] || '', STRIPE_WEBHOOK_SECRET);
+    } catch (error) {
+        logWarn(`⚠️ Webhook Stripe rejeté: ${error.message}`);
+        res.status(400);
+        return sendSafeJson(res, { error: 'Invalid Stripe signature.' });
+    }
+
+    if (!pool) {
+        logWarn(`⚠️ DB désactivée — événement Stripe ${event.type} ignoré`);
+        return sendSafeJson(res, { received: true, applied: false });
+    }
+
+    try {
+        const applied = await applyStripeEvent(event);
+        logInfo(`💳 Événement Stripe ${event.type} ${applied ? 'appliqué' : 'ignoré'}`);
+        return sendSafeJson(res, { received: true, applied });
+    } catch (error) {
+        // 500 pour que Stripe renvoie l'événement plus tard
+        logError('❌ Erreur webhook Stripe', error);
+        res.status(500);
+        return sendSafeJson(res, { error: 'Webhook processing failed.' });
+    }
+});
+
 // Endpoint health
 app.get('/health', (req, res) => {
     return sendSafeJson(res, {
         status: 'ok',
         version: 'VERIFYAI-SERVER-2.3',
-        features: ['balanced_scoring', 'contextual_analysis', 'intelligent_contradictions', 'source_verification'],
+        features: ['balanced_scoring', 'contextual_analysis', 'intelligent_contradictions', 'source_verification', 'stance_detection'],
         timestamp: new Date().toISOString(),
-        api_configured: !!(process.env.GOOGLE_API_KEY && process.env.SEARCH_ENGINE_ID)
+        api_configured: searchProviders.length > 0,
+        search_providers: searchProviders.map(provider => provider.name),
+        stance_detector: stanceDetector.name,
+        claim_extractor: claimDecomposer ? claimDecomposer.name : 'rules',
+        knowledge_bases: knowledgeBases.map(base => base.name),
+        models: aiModelRegistry.list().map(entry => entry.id)
     });
 });
 
@@ -1506,6 +8597,190 @@ const initDb = async () => {
                 created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
             );
         `);
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS verification_jobs (
+                id TEXT PRIMARY KEY,
+                type TEXT NOT NULL,
+                user_id INTEGER,
+                status TEXT NOT NULL,
+                input JSONB,
+                progress JSONB,
+                result JSONB,
+                error TEXT,
+                callback_url TEXT,
+                webhook JSONB,
+                created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+                completed_at TIMESTAMPTZ
+            );
+        `);
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS users (
+                id SERIAL PRIMARY KEY,
+                email TEXT UNIQUE NOT NULL,
+                password_hash TEXT NOT NULL,
+                name TEXT,
+                role TEXT NOT NULL DEFAULT 'user',
+                created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+            );
+        `);
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS api_keys (
+                id SERIAL PRIMARY KEY,
+                user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                name TEXT,
+                prefix TEXT UNIQUE NOT NULL,
+                key_hash TEXT NOT NULL,
+                scopes TEXT[] NOT NULL,
+                created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+                last_used_at TIMESTAMPTZ,
+                expires_at TIMESTAMPTZ,
+                revoked_at TIMESTAMPTZ,
+                is_session BOOLEAN NOT NULL DEFAULT FALSE
+            );
+        `);
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS subscriptions (
+                user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+                plan TEXT NOT NULL DEFAULT 'free',
+                status TEXT NOT NULL,
+                stripe_customer_id TEXT,
+                stripe_subscription_id TEXT UNIQUE,
+                current_period_end TIMESTAMPTZ,
+                updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+            );
+        `);
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS api_key_usage (
+                api_key_id INTEGER NOT NULL REFERENCES api_keys(id) ON DELETE CASCADE,
+                period TEXT NOT NULL,
+                count INTEGER NOT NULL DEFAULT 0,
+                PRIMARY KEY (api_key_id, period)
+            );
+        `);
+        // Compteur de quota par compte ("user:<id>") ou par IP anonyme ("ip:<hash>"), incrémenté sous condition
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS quota_usage (
+                subject TEXT NOT NULL,
+                period TEXT NOT NULL,
+                count INTEGER NOT NULL DEFAULT 0,
+                PRIMARY KEY (subject, period)
+            );
+        `);
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS verifications (
+                id TEXT PRIMARY KEY,
+                endpoint TEXT NOT NULL,
+                model TEXT,
+                user_id INTEGER,
+                api_key_id INTEGER,
+                input_hash TEXT NOT NULL,
+                input_text TEXT,
+                prompt TEXT,
+                language TEXT,
+                overall_confidence REAL,
+                reliability_label TEXT,
+                claims JSONB,
+                sources JSONB,
+                score_details JSONB,
+                created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+            );
+        `);
+        await client.query('CREATE INDEX IF NOT EXISTS verifications_user_created_idx ON verifications(user_id, created_at DESC)');
+        await client.query('CREATE INDEX IF NOT EXISTS verifications_input_hash_idx ON verifications(input_hash)');
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS watched_claims (
+                id SERIAL PRIMARY KEY,
+                user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                claim_text TEXT NOT NULL,
+                source_verification_id TEXT,
+                cron TEXT NOT NULL,
+                callback_url TEXT,
+                active BOOLEAN NOT NULL DEFAULT TRUE,
+                run_count INTEGER NOT NULL DEFAULT 0,
+                last_run_at TIMESTAMPTZ,
+                last_verdict TEXT,
+                last_score REAL,
+                last_label TEXT,
+                last_source_urls JSONB,
+                last_verification_id TEXT,
+                last_skipped_at TIMESTAMPTZ,
+                last_skip_reason TEXT,
+                created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+            );
+        `);
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS claim_changes (
+                id SERIAL PRIMARY KEY,
+                watch_id INTEGER NOT NULL REFERENCES watched_claims(id) ON DELETE CASCADE,
+                previous_label TEXT,
+                new_label TEXT,
+                previous_verdict TEXT,
+                new_verdict TEXT,
+                previous_score REAL,
+                new_score REAL,
+                sources_added JSONB,
+                sources_removed JSONB,
+                verification_id TEXT,
+                webhook JSONB,
+                created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+            );
+        `);
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS credibility_sources (
+                scope TEXT NOT NULL,
+                domain TEXT NOT NULL,
+                match TEXT NOT NULL DEFAULT 'domain',
+                tier TEXT NOT NULL,
+                score REAL NOT NULL,
+                category TEXT,
+                notes TEXT,
+                updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (scope, domain)
+            );
+        `);
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS ai_models (
+                id TEXT PRIMARY KEY,
+                display_name TEXT NOT NULL,
+                vendor TEXT,
+                aliases JSONB NOT NULL DEFAULT '[]',
+                quirks JSONB NOT NULL DEFAULT '[]',
+                updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+            );
+        `);
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS calibration_models (
+                version SERIAL PRIMARY KEY,
+                method TEXT NOT NULL,
+                sample_count INTEGER NOT NULL,
+                mappings JSONB NOT NULL,
+                active BOOLEAN NOT NULL DEFAULT FALSE,
+                created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+            );
+        `);
+        await client.query('ALTER TABLE verifications ADD COLUMN IF NOT EXISTS scoring_profile TEXT');
+        await client.query('ALTER TABLE feedback ADD COLUMN IF NOT EXISTS user_id INTEGER');
+        await client.query('ALTER TABLE feedback ADD COLUMN IF NOT EXISTS verification_id TEXT');
+        await client.query('ALTER TABLE verification_jobs ADD COLUMN IF NOT EXISTS user_id INTEGER');
+        await client.query('ALTER TABLE api_keys ADD COLUMN IF NOT EXISTS is_session BOOLEAN NOT NULL DEFAULT FALSE');
+        await client.query('ALTER TABLE watched_claims ADD COLUMN IF NOT EXISTS last_skipped_at TIMESTAMPTZ');
+        await client.query('ALTER TABLE watched_claims ADD COLUMN IF NOT EXISTS last_skip_reason TEXT');
+        await client.query("UPDATE api_keys SET is_session = TRUE WHERE name = 'session' AND expires_at IS NOT NULL AND NOT is_session");
+        // Consommation déjà décomptée par clé avant l'existence du compteur par compte
+        await client.query(`
+            INSERT INTO quota_usage(subject, period, count)
+            SELECT 'user:' || k.user_id, u.period, SUM(u.count)
+            FROM api_key_usage u JOIN api_keys k ON k.id = u.api_key_id
+            GROUP BY k.user_id, u.period
+            ON CONFLICT (subject, period) DO NOTHING
+        `);
+        // Les jobs en cours lors d'un redémarrage ne reprendront pas
+        await client.query(`
+            UPDATE verification_jobs
+            SET status = 'failed', error = 'Interrompu par un redémarrage du serveur', completed_at = CURRENT_TIMESTAMP
+            WHERE status IN ('queued', 'running');
+        `);
         client.release();
         logInfo('✅ Database ready');
     } catch (err) {
@@ -1513,16 +8788,120 @@ const initDb = async () => {
     }
 };
 
+// ========== COMMANDE D'ÉVALUATION (CLI) ==========
+// node server.js evaluate [--dataset fichier] [--baseline fichier] [--profile nom] [--save-baseline] [--json]
+// Code de sortie 1 en cas de régression par rapport à la baseline.
+
+function parseEvaluationCliArgs(args) {
+    const options = { dataset: EVALUATION_DATASET_FILE, baseline: EVALUATION_BASELINE_FILE, profile: undefined, saveBaseline: false, json: false };
+    for (let index = 0; index < args.length; index += 1) {
+        const arg = args[index];
+        if (arg === '--save-baseline') options.saveBaseline = true;
+        else if (arg === '--json') options.json = true;
+        else if (['--dataset', '--baseline', '--profile'].includes(arg) && args[index + 1]) {
+            options[arg.substring(2)] = args[index + 1];
+            index += 1;
+        } else {
+            throw new Error(`Option inconnue ou incomplète : ${arg}`);
+        }
+    }
+    return options;
+}
+
+function printEvaluationReport(report) {
+    const percent = (value) => (value === null ? 'n/a' : `${(value * 100).toFixed(1)}%`);
+    const signed = (value) => (value === null ? 'n/a' : `${value >= 0 ? '+' : ''}${value}`);
+    const { metrics } = report;
+
+    console.log(`\n🧪 === ÉVALUATION : ${report.dataset.name} (${report.dataset.items} éléments, profil ${report.scoringProfile}) ===`);
+    console.log(`🎯 Exactitude: ${percent(metrics.accuracy)} (${metrics.correct}/${metrics.total})`);
+    for (const label of EVALUATION_VERDICTS) {
+        const stats = metrics.labels[label];
+        console.log(`   ${label.padEnd(13)} précision ${percent(stats.precision).padStart(6)}  rappel ${percent(stats.recall).padStart(6)}  F1 ${percent(stats.f1).padStart(6)}  (n=${stats.support})`);
+    }
+    console.log(`📏 Calibration: Brier ${metrics.calibration.brierScore} | ECE ${metrics.calibration.expectedCalibrationError}`);
+
+    report.items.filter(item => !item.correct).forEach(item => {
+        console.log(`   ✗ ${item.id}: attendu ${item.expectedVerdict}, obtenu ${item.predictedVerdict} (${percent(item.overallConfidence)})`);
+    });
+
+    if (!report.baseline) {
+        console.log('📂 Aucune baseline comparable');
+        return;
+    }
+    const { baseline } = report;
+    console.log(`📊 Baseline du ${baseline.generatedAt}: exactitude ${signed(baseline.accuracyDelta)} | Brier ${signed(baseline.brierScoreDelta)} | ECE ${signed(baseline.expectedCalibrationErrorDelta)}`);
+    console.log(`📉 Régressions: ${baseline.regressions.length} | 📈 Améliorations: ${baseline.improvements.length}`);
+    baseline.regressions.forEach(change => {
+        console.log(`   ⚠️  ${change.id}: attendu ${change.expectedVerdict}, baseline ${change.baselineVerdict}, obtenu ${change.predictedVerdict}`);
+    });
+}
+
+async function runEvaluationCli(args) {
+    const options = parseEvaluationCliArgs(args);
+    const profile = parseScoringProfileName(options.profile);
+    if (profile.error) {
+        throw new Error(profile.error);
+    }
+
+    const dataset = loadEvaluationDataset(options.dataset);
+    const report = await runEvaluation(dataset, { scoringProfile: profile.name, baseline: loadEvaluationBaseline(options.baseline) });
+
+    if (options.json) {
+        console.log(JSON.stringify(report, null, 2));
+    } else {
+        printEvaluationReport(report);
+    }
+    if (options.saveBaseline) {
+        saveEvaluationBaseline(report, options.baseline);
+        console.error(`💾 Baseline enregistrée : ${path.resolve(options.baseline)}`);
+        return 0;
+    }
+    return report.baseline && report.baseline.regressions.length > 0 ? 1 : 0;
+}
+
 // Startup
 const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => {
-    console.log(`\n🚀 === VERIFYAI BALANCED SERVER ===`);
-    console.log(`📡 Port: ${PORT}`);
-    console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
-    console.log(`🔑 Google API configured: ${!!process.env.GOOGLE_API_KEY}`);
-    console.log(`💾 Database configured: ${!!process.env.DATABASE_URL}`);
-    console.log(`⚖️  Features: Balanced scoring, Contextual analysis, Smart contradictions`);
-    console.log(`🧩 VerifyAI Integration active: Model verification endpoint ready`);
-    console.log(`=====================================\n`);
-    initDb();
-});
+if (cliCommand === 'evaluate') {
+    runEvaluationCli(process.argv.slice(3))
+        .then(code => process.exit(code))
+        .catch(error => {
+            console.error(colorize('red', `❌ Évaluation impossible : ${error.message}`));
+            process.exit(2);
+        });
+} else if (cliCommand === 'grant-admin') {
+    grantAdminRole(process.argv[3])
+        .then(user => {
+            console.log(`🛡️ Rôle admin accordé au compte ${user.id} (${user.email}) — nouvelle clé ou connexion requise pour le scope admin`);
+            process.exit(0);
+        })
+        .catch(error => {
+            console.error(colorize('red', `❌ Attribution du rôle admin impossible : ${error.message}`));
+            process.exit(2);
+        });
+} else {
+    app.listen(PORT, () => {
+        console.log(`\n🚀 === VERIFYAI BALANCED SERVER ===`);
+        console.log(`📡 Port: ${PORT}`);
+        console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
+        console.log(`🔑 Google API configured: ${!!process.env.GOOGLE_API_KEY}`);
+        console.log(`🔎 Search providers: ${searchProviders.map(provider => provider.name).join(' → ') || 'none'}`);
+        console.log(`💾 Database configured: ${!!process.env.DATABASE_URL}`);
+        console.log(`⚖️  Features: Balanced scoring, Contextual analysis, Smart contradictions`);
+        console.log(`🧭 Stance detector: ${stanceDetector.name}`);
+        console.log(`🤖 Claim extractor: ${claimDecomposer ? `${claimDecomposer.name} (${CLAIM_LLM_URL})` : 'rules'}`);
+        console.log(`📚 Knowledge bases: ${knowledgeBases.map(base => base.name).join(' → ') || 'none'}`);
+        console.log(`🧩 VerifyAI Integration active: Model verification endpoint ready`);
+        console.log(`=====================================\n`);
+        initDb()
+            .then(() => credibilityRegistry.loadFromDatabase())
+            .catch(error => logError('❌ Erreur chargement du registre de crédibilité', error.message))
+            .then(() => aiModelRegistry.loadFromDatabase())
+            .catch(error => logError('❌ Erreur chargement du registre des modèles', error.message))
+            .then(scheduleWatchedClaims)
+            .then(loadActiveCalibration)
+            .then(scheduleCalibrationFit);
+        // Chargement du modèle NLI dès le démarrage plutôt qu'à la première vérification
+        if (stanceDetector.load) stanceDetector.load();
+    });
+}